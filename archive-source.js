@@ -0,0 +1,280 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+
+// ZIP フォーマットのシグネチャ
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const ZIP64_EXTRA_FIELD_ID = 0x0001;
+
+// EOCD(22バイト) + コメント最大長(65535バイト)
+const MAX_EOCD_SEARCH_LENGTH = 22 + 0xffff;
+
+// 圧縮方式
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// ファイルの指定位置から指定バイト数を読み込む
+async function readAt(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await fs.read(fd, buffer, 0, length, position);
+  if (bytesRead < length) {
+    throw new Error('ZIPファイルが途中で切れています');
+  }
+  return buffer;
+}
+
+// 展開済みフォルダ（like.js などが直接置かれている、または data フォルダを含む）
+class DirectoryArchive {
+  constructor(dirPath) {
+    const dataDir = path.join(dirPath, 'data');
+    this.dataDir = fs.existsSync(dataDir) && fs.statSync(dataDir).isDirectory() ? dataDir : dirPath;
+    this.description = this.dataDir;
+  }
+
+  // data フォルダ直下のファイル名一覧
+  async list() {
+    try {
+      return await fs.readdir(this.dataDir);
+    } catch (error) {
+      throw new Error(`アーカイブのデータフォルダを読み込めません: ${this.dataDir} (${error.message})`);
+    }
+  }
+
+  createReadStream(name) {
+    return fs.createReadStream(path.join(this.dataDir, name));
+  }
+
+  async close() {}
+}
+
+// 公式アーカイブの .zip を展開せずに読むためのクラス
+// 中央ディレクトリだけを読み込み、必要なエントリだけをストリームで取り出す
+class ZipArchive {
+  constructor(zipPath) {
+    this.zipPath = zipPath;
+    this.description = zipPath;
+    this.fd = null;
+    this.entries = null;
+    this.dataPrefix = '';
+  }
+
+  async open() {
+    if (this.entries) return this;
+
+    this.fd = await fs.open(this.zipPath, 'r');
+    const { size } = await fs.fstat(this.fd);
+    const { cdOffset, cdSize, totalEntries } = await this.readEndOfCentralDirectory(size);
+    this.entries = await this.readCentralDirectory(cdOffset, cdSize, totalEntries);
+
+    // data フォルダの位置を特定する（ZIP のルートに別フォルダが挟まる場合もあるので、最も浅いものを採用）
+    // 深さが同じなら短いパスを優先する
+    const depth = name => name.split('/').length;
+    const dataEntry = Array.from(this.entries.keys())
+      .filter(name => /(^|\/)data\/[^/]+\.js$/.test(name))
+      .sort((a, b) => depth(a) - depth(b) || a.length - b.length)[0];
+    if (dataEntry) {
+      this.dataPrefix = dataEntry.slice(0, dataEntry.lastIndexOf('/') + 1);
+    }
+    return this;
+  }
+
+  async readEndOfCentralDirectory(size) {
+    const searchLength = Math.min(size, MAX_EOCD_SEARCH_LENGTH);
+    const tail = await readAt(this.fd, size - searchLength, searchLength);
+
+    let eocdPos = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+        eocdPos = i;
+        break;
+      }
+    }
+    if (eocdPos === -1) {
+      throw new Error(`ZIPファイルとして読み込めません（公式アーカイブの .zip か、展開したフォルダを指定してください）: ${this.zipPath}`);
+    }
+
+    let totalEntries = tail.readUInt16LE(eocdPos + 10);
+    let cdSize = tail.readUInt32LE(eocdPos + 12);
+    let cdOffset = tail.readUInt32LE(eocdPos + 16);
+
+    // 4GB を超えるアーカイブは ZIP64 形式になっている
+    if (totalEntries === 0xffff || cdSize === 0xffffffff || cdOffset === 0xffffffff) {
+      const locatorPos = eocdPos - 20;
+      if (locatorPos < 0 || tail.readUInt32LE(locatorPos) !== ZIP64_EOCD_LOCATOR_SIGNATURE) {
+        throw new Error(`ZIP64 の終端レコードが見つかりません: ${this.zipPath}`);
+      }
+      const zip64EocdOffset = Number(tail.readBigUInt64LE(locatorPos + 8));
+      const zip64Eocd = await readAt(this.fd, zip64EocdOffset, 56);
+      if (zip64Eocd.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+        throw new Error(`ZIP64 の終端レコードが壊れています: ${this.zipPath}`);
+      }
+      totalEntries = Number(zip64Eocd.readBigUInt64LE(32));
+      cdSize = Number(zip64Eocd.readBigUInt64LE(40));
+      cdOffset = Number(zip64Eocd.readBigUInt64LE(48));
+    }
+
+    return { cdOffset, cdSize, totalEntries };
+  }
+
+  async readCentralDirectory(cdOffset, cdSize, totalEntries) {
+    const cd = await readAt(this.fd, cdOffset, cdSize);
+    const entries = new Map();
+
+    let pos = 0;
+    for (let i = 0; i < totalEntries; i++) {
+      if (cd.readUInt32LE(pos) !== CENTRAL_DIRECTORY_SIGNATURE) {
+        throw new Error(`ZIPの中央ディレクトリが壊れています: ${this.zipPath}`);
+      }
+      const flags = cd.readUInt16LE(pos + 8);
+      const method = cd.readUInt16LE(pos + 10);
+      let compressedSize = cd.readUInt32LE(pos + 20);
+      let uncompressedSize = cd.readUInt32LE(pos + 24);
+      const nameLength = cd.readUInt16LE(pos + 28);
+      const extraLength = cd.readUInt16LE(pos + 30);
+      const commentLength = cd.readUInt16LE(pos + 32);
+      let localHeaderOffset = cd.readUInt32LE(pos + 42);
+      const name = cd.toString('utf8', pos + 46, pos + 46 + nameLength);
+
+      // ZIP64 拡張フィールドには 0xFFFFFFFF になっている値だけがこの順で入る
+      let extraPos = pos + 46 + nameLength;
+      const extraEnd = extraPos + extraLength;
+      while (extraPos + 4 <= extraEnd) {
+        const headerId = cd.readUInt16LE(extraPos);
+        const dataSize = cd.readUInt16LE(extraPos + 2);
+        if (headerId === ZIP64_EXTRA_FIELD_ID) {
+          let fieldPos = extraPos + 4;
+          if (uncompressedSize === 0xffffffff) {
+            uncompressedSize = Number(cd.readBigUInt64LE(fieldPos));
+            fieldPos += 8;
+          }
+          if (compressedSize === 0xffffffff) {
+            compressedSize = Number(cd.readBigUInt64LE(fieldPos));
+            fieldPos += 8;
+          }
+          if (localHeaderOffset === 0xffffffff) {
+            localHeaderOffset = Number(cd.readBigUInt64LE(fieldPos));
+          }
+        }
+        extraPos += 4 + dataSize;
+      }
+
+      if (!name.endsWith('/')) {
+        entries.set(name, {
+          name,
+          flags,
+          method,
+          compressedSize,
+          uncompressedSize,
+          localHeaderOffset
+        });
+      }
+
+      pos += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  // data フォルダ直下のファイル名一覧
+  async list() {
+    await this.open();
+    const names = [];
+    for (const name of this.entries.keys()) {
+      if (!name.startsWith(this.dataPrefix)) continue;
+      const relative = name.slice(this.dataPrefix.length);
+      if (relative && !relative.includes('/')) {
+        names.push(relative);
+      }
+    }
+    return names;
+  }
+
+  createReadStream(name) {
+    const output = new PassThrough();
+
+    this.openEntryStream(this.dataPrefix + name)
+      .then(stream => {
+        stream.on('error', error => output.destroy(error));
+        stream.pipe(output);
+      })
+      .catch(error => output.destroy(error));
+
+    return output;
+  }
+
+  async openEntryStream(entryName) {
+    await this.open();
+    const entry = this.entries.get(entryName);
+    if (!entry) {
+      throw new Error(`ZIP内にファイルが見つかりません: ${entryName}`);
+    }
+    if (entry.flags & 0x1) {
+      throw new Error(`暗号化されたZIPエントリには対応していません: ${entryName}`);
+    }
+
+    // ローカルヘッダーの拡張フィールド長は中央ディレクトリと異なる場合があるので読み直す
+    const localHeader = await readAt(this.fd, entry.localHeaderOffset, 30);
+    if (localHeader.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`ZIPのローカルヘッダーが壊れています: ${entryName}`);
+    }
+    const dataStart = entry.localHeaderOffset + 30 +
+      localHeader.readUInt16LE(26) + localHeader.readUInt16LE(28);
+
+    if (entry.compressedSize === 0) {
+      const empty = new PassThrough();
+      empty.end();
+      return empty;
+    }
+
+    const raw = fs.createReadStream(this.zipPath, {
+      start: dataStart,
+      end: dataStart + entry.compressedSize - 1
+    });
+
+    if (entry.method === METHOD_STORED) {
+      return raw;
+    }
+    if (entry.method === METHOD_DEFLATE) {
+      const inflate = zlib.createInflateRaw();
+      raw.on('error', error => inflate.destroy(error));
+      return raw.pipe(inflate);
+    }
+    raw.destroy();
+    throw new Error(`未対応の圧縮方式です (${entry.method}): ${entryName}`);
+  }
+
+  async close() {
+    if (this.fd !== null) {
+      await fs.close(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+// アーカイブのパス（.zip / 展開済みフォルダ）から読み込み元を作成する
+// like.js などのデータファイルを直接指定された場合は、それを含むフォルダを指定するよう案内する
+// （パートが分かれていると like-part1.js なども読む必要があるため、1ファイルだけでは扱わない）
+async function openArchive(archivePath) {
+  if (!(await fs.pathExists(archivePath))) {
+    throw new Error(`アーカイブが見つかりません: ${archivePath}`);
+  }
+  const stat = await fs.stat(archivePath);
+  if (stat.isDirectory()) {
+    return new DirectoryArchive(archivePath);
+  }
+  if (path.extname(archivePath).toLowerCase() === '.js') {
+    throw new Error(`アーカイブには公式アーカイブの .zip か、展開したフォルダを指定してください。${path.basename(archivePath)} を読み込む場合は、それを含むフォルダを指定します: ${path.dirname(archivePath)}`);
+  }
+  return new ZipArchive(archivePath).open();
+}
+
+module.exports = {
+  DirectoryArchive,
+  ZipArchive,
+  openArchive
+};
@@ -0,0 +1,121 @@
+// アーカイブ（tweets.js / like.js など）の生データを、TwitterDL の result と同じ形の
+// tweet-data.json に変換するヘルパー
+// media-check-and-download.js などの後段処理は、この形を前提にしている
+
+// アーカイブ（API v1.1 形式）のメディア1件を TwitterDL の media 形式に変換
+function convertArchiveMedia(media) {
+  const converted = {
+    type: media.type,
+    expandedUrl: media.expanded_url || ''
+  };
+
+  if (media.type === 'photo') {
+    converted.image = media.media_url_https || media.media_url;
+  } else {
+    // video / animated_gif はサムネイルと MP4 などのバリアントを持つ
+    converted.cover = media.media_url_https || media.media_url;
+    const variants = (media.video_info && media.video_info.variants) || [];
+    converted.videos = variants.map(variant => ({
+      bitrate: Number(variant.bitrate) || 0,
+      content_type: variant.content_type,
+      url: variant.url
+    }));
+    if (media.video_info && media.video_info.duration_millis) {
+      converted.duration = String(media.video_info.duration_millis);
+    }
+  }
+
+  return converted;
+}
+
+// メディア情報が後段のダウンロードに十分か（足りなければ TwitterDL で補う）
+function isMediaComplete(media) {
+  if (media.type === 'photo') {
+    return !!media.image;
+  }
+  return Array.isArray(media.videos) && media.videos.some(v => v.url);
+}
+
+// tweets.js の1要素（tweet）を tweet-data.json の形に変換する
+// 戻り値: { tweetData, complete }
+//   complete が false の場合、メディア URL などが不足しているので TwitterDL で補う必要がある
+function fromOwnTweet(tweet, account = null) {
+  // 複数枚の写真や動画は extended_entities にしか入っていない
+  const extendedMedia = (tweet.extended_entities && tweet.extended_entities.media) || null;
+  const entityMedia = (tweet.entities && tweet.entities.media) || [];
+  const media = (extendedMedia || entityMedia).map(convertArchiveMedia);
+
+  const tweetData = {
+    id: tweet.id_str,
+    createdAt: tweet.created_at,
+    description: tweet.full_text || '',
+    languange: tweet.lang,
+    possiblySensitive: !!tweet.possibly_sensitive,
+    possiblySensitiveEditable: false,
+    isQuoteStatus: !!tweet.is_quote_status,
+    mediaCount: media.length,
+    author: account
+      ? { username: account.username, displayName: account.accountDisplayName }
+      : null,
+    statistics: {
+      replieCount: 0,
+      retweetCount: Number(tweet.retweet_count) || 0,
+      favoriteCount: Number(tweet.favorite_count) || 0,
+      bookmarkCount: 0,
+      viewCount: 0
+    },
+    media
+  };
+
+  // entities にメディアがあるのに extended_entities が無い場合、2枚目以降が欠けている可能性がある
+  const complete = media.every(isMediaComplete) && !(entityMedia.length > 0 && !extendedMedia);
+  return { tweetData, complete };
+}
+
+// like.js の1要素（like）から、本文だけの tweet-data.json スタブを作る
+// TwitterDL で取得できなかった（削除・非公開・404 など）ツイートの代わりに保存する
+// 本文も URL も無い場合は作る意味がないので null を返す
+function fromLike(like) {
+  if (!like.fullText && !like.expandedUrl) {
+    return null;
+  }
+
+  const tweetData = {
+    id: like.tweetId,
+    createdAt: null,
+    description: like.fullText || '',
+    expandedUrl: like.expandedUrl || '',
+    languange: null,
+    possiblySensitive: false,
+    possiblySensitiveEditable: false,
+    isQuoteStatus: false,
+    mediaCount: 0,
+    author: null,
+    statistics: null,
+    media: []
+  };
+
+  return { tweetData, complete: false, stub: true };
+}
+
+// アーカイブ由来のデータに TwitterDL の結果を重ねる
+// 本文などはアーカイブ側にもあるが、メディアや統計は TwitterDL の方が新しく完全なので優先する
+function mergeTweetData(archiveData, remoteData) {
+  const merged = { ...archiveData, ...remoteData };
+  if (!Array.isArray(remoteData.media) || remoteData.media.length === 0) {
+    merged.media = archiveData.media;
+    merged.mediaCount = archiveData.mediaCount;
+  }
+  if (!remoteData.author) {
+    merged.author = archiveData.author;
+  }
+  return merged;
+}
+
+module.exports = {
+  convertArchiveMedia,
+  fromLike,
+  fromOwnTweet,
+  isMediaComplete,
+  mergeTweetData
+};
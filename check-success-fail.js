@@ -1,34 +1,20 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { ErrorManager, ERROR_TYPES } = require('./error-manager');
+const { DATA_DIR } = require('./data-dir');
+const { TWEET_STATUSES, getStateStore } = require('./state-store');
+const { acquireStateLock } = require('./state-file');
+const { findTweetDataPath } = require('./tweet-data');
 
 // メモリ使用量を制限するためのバッチサイズ
 const BATCH_SIZE = 1000;
 
-// processed-tweets.jsonの読み込み
-const processedPath = path.join(__dirname, 'processed-tweets.json');
+// 処理状況（state.db）。ロックを取ってから main() で開く
+let store = null;
+let errorManager = null;
+let successful = {};
 
-// 初回実行などでファイルが存在しない場合にも落ちないように安全に読み込む
-let processed = {
-  successful: {},
-  failed: {},
-  noMedia: {}
-};
-
-try {
-  if (fs.existsSync(processedPath)) {
-    const loaded = fs.readJSONSync(processedPath);
-    processed.successful = loaded.successful || {};
-    processed.failed = loaded.failed || {};
-    processed.noMedia = loaded.noMedia || {};
-  }
-} catch (e) {
-  console.error(`processed-tweets.json の読み込みに失敗しました: ${e.message}`);
-}
-
-const successful = processed.successful || {};
-
-const downloadsDir = path.join(__dirname, 'downloads');
+const downloadsDir = path.join(DATA_DIR, 'downloads');
 
 // ディレクトリ一覧を取得（メモリ効率化）
 function getDownloadIds() {
@@ -50,13 +36,22 @@ function getDownloadIds() {
 const allDownloadIds = getDownloadIds();
 const notFound = [];
 const newlyAdded = [];
-const errorManager = new ErrorManager();
 
+// tweet-data.json（移行前の古いフォルダでは {TweetID}.json）があるか
 function existsTweetJson(tweetId) {
-  const tweetDir = path.join(downloadsDir, tweetId);
-  const tweetDataPath = path.join(tweetDir, 'tweet-data.json');
-  const tweetIdJsonPath = path.join(tweetDir, tweetId + '.json');
-  return fs.existsSync(tweetDataPath) || fs.existsSync(tweetIdJsonPath);
+  return findTweetDataPath(path.join(downloadsDir, tweetId), tweetId) !== null;
+}
+
+// like.js の本文から作ったスタブか（download-tweets.js が取得に失敗したときに保存する）
+// 印は tweet-data.json 自体にあるので、error-utils.js retry などでエラー記録が消えていても分かる
+// 以前のスタブは archiveFallback に失敗の内容を入れていたので、true 以外も印として扱う
+function isArchiveFallback(tweetId) {
+  const dataPath = findTweetDataPath(path.join(downloadsDir, tweetId), tweetId);
+  try {
+    return !!fs.readJSONSync(dataPath).archiveFallback;
+  } catch {
+    return false;
+  }
 }
 
 // バッチ処理でメモリ使用量を制限
@@ -96,8 +91,8 @@ function validateSuccessfulTweets(tweetIds) {
         console.log(`削除失敗: ${tweetId} (${e.message})`);
       }
       
-      // processed-tweets.jsonからも削除
-      delete processed.successful[tweetId];
+      // 処理状況からも削除
+      store.clearTweetStatus(tweetId);
       
       // エラー登録
       errorManager.addError(tweetId, ERROR_TYPES.NOT_FOUND, { 
@@ -119,8 +114,9 @@ function validateNewTweets(tweetIds) {
   const batchNewlyAdded = [];
   
   for (const tweetId of tweetIds) {
-    if (existsTweetJson(tweetId) && !successful[tweetId]) {
-      processed.successful[tweetId] = new Date().toISOString();
+    // 取得に失敗し、like.js の本文から作ったスタブしか無いツイートは成功扱いにしない
+    if (existsTweetJson(tweetId) && !successful[tweetId] && !isArchiveFallback(tweetId)) {
+      store.setTweetStatus(tweetId, TWEET_STATUSES.SUCCESSFUL);
       batchNewlyAdded.push(tweetId);
       console.log(`追加: ${tweetId}`);
       
@@ -137,10 +133,25 @@ function validateNewTweets(tweetIds) {
 // メイン処理
 async function main() {
   console.log('=== ツイート検証処理開始 ===');
+  
+  // 他のスクリプトが処理状況を更新中なら、何もせずに終わる
+  try {
+    acquireStateLock('check-success-fail');
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  store = getStateStore();
+  errorManager = new ErrorManager(store);
+  // 実行前の state.db を state.db.bak.1 に残す
+  store.backup();
+  const runId = store.startRun('check-success-fail');
+  successful = store.getTweetsByStatus(TWEET_STATUSES.SUCCESSFUL);
+  
   console.log(`成功ツイート数: ${Object.keys(successful).length}`);
   console.log(`ダウンロードディレクトリ数: ${allDownloadIds.length}`);
   
-  // バッチモードを有効化
+  // バッチモードを有効化（処理状況とエラー記録の変更を1つのトランザクションにまとめる）
   errorManager.setBatchMode(true);
   
   // 成功ツイートの検証（バッチ処理）
@@ -154,13 +165,10 @@ async function main() {
   const batchNewlyAdded = processBatch(allDownloadIds, validateNewTweets);
   newlyAdded.push(...batchNewlyAdded);
   
-  // エラーファイルを保存
-  console.log('\nエラーファイルを保存中...');
-  errorManager.saveErrors();
-  
-  // processed-tweets.jsonを上書き保存
-  console.log('processed-tweets.jsonを保存中...');
-  fs.writeJSONSync(processedPath, processed, { spaces: 2 });
+  // 処理状況とエラー記録を確定
+  console.log('\n処理状況を保存中...');
+  errorManager.setBatchMode(false);
+  store.finishRun(runId, 'completed', { notFound: notFound.length, newlyAdded: newlyAdded.length });
   
   // 結果表示
   console.log('\n=== 処理結果 ===');
@@ -0,0 +1,11 @@
+const path = require('path');
+
+// config.json / state.db / downloads などを置くフォルダ
+// 通常はこのリポジトリ直下。テストなどで別の場所を使う場合は環境変数 LIKEJS_DATA_DIR で指定する
+const DATA_DIR = process.env.LIKEJS_DATA_DIR
+  ? path.resolve(process.env.LIKEJS_DATA_DIR)
+  : __dirname;
+
+module.exports = {
+  DATA_DIR
+};
@@ -1,29 +1,53 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { TwitterDL } = require('twitter-downloader');
 const { ErrorManager, ERROR_TYPES, determineErrorType } = require('./error-manager');
+const { YTD_DATASETS, readYtdDataset } = require('./ytd-reader');
+const { openArchive } = require('./archive-source');
+const { fromLike, fromOwnTweet, mergeTweetData } = require('./archive-tweet-data');
+const { AdaptiveRateLimiter, runWorkerPool } = require('./rate-limiter');
+const { createFetcherChain } = require('./fetchers');
+const { DATA_DIR } = require('./data-dir');
+const { TWEET_STATUSES, getStateStore } = require('./state-store');
+const { acquireStateLock, writeJSONAtomic } = require('./state-file');
+const { JOURNAL_EVENTS } = require('./state-journal');
+const { TWEET_DATA_FILE_NAME, withSchemaVersion } = require('./tweet-data');
 
 // 設定ファイルのパス
-const CONFIG_FILE_PATH = path.join(__dirname, 'config.json');
+const CONFIG_FILE_PATH = path.join(DATA_DIR, 'config.json');
 
 // 設定
 let CONFIG = {
-  likeJsPath: path.join(__dirname, 'like.js'),
-  processedTweetsFile: path.join(__dirname, 'processed-tweets.json'),
-  outputDir: path.join(__dirname, 'downloads'),
-  logFile: path.join(__dirname, 'download-log.txt'),
-  // 一度に処理するツイート数の制限（レート制限対策）
+  // アーカイブの場所（公式エクスポートの .zip、または like.js などを置いたフォルダ）
+  archivePath: DATA_DIR,
+  outputDir: path.join(DATA_DIR, 'downloads'),
+  logFile: path.join(DATA_DIR, 'download-log.txt'),
+  // 一度に処理するツイート数（進捗の表示と中断の単位。取得の速度は rate-limiter.js が調整する）
   batchSize: 50,
-  // バッチ間の待機時間（ミリ秒）
-  batchDelay: 5000,
   // レート制限時の待機時間（ミリ秒）- デフォルトで15分
   rateLimitWaitTime: 15 * 60 * 1000,
   // レート制限時の最大再試行回数
-  maxRateLimitRetries: 3
+  maxRateLimitRetries: 3,
+  // ツイート情報を同時に取得するワーカー数
+  concurrency: 4,
+  // 取得速度（件/秒）の初期値・下限・上限。レート制限の発生状況に応じて自動で上下する
+  requestsPerSecond: 1,
+  minRequestsPerSecond: 0.1,
+  maxRequestsPerSecond: 4,
+  // ツイート情報の取得バックエンド（先頭から順に試し、失敗したら次へフォールバック）
+  // 登録済み: twitterdl, syndication, local-json, mock
+  fetchers: ['twitterdl'],
+  // バックエンドごとの設定 例: { "local-json": { "path": "tweet-dump" } }
+  fetcherOptions: {},
+  // 処理する取得元（like / bookmark / tweets）
+  sources: ['like']
 };
 
-// エラー管理インスタンス
-const errorManager = new ErrorManager();
+// 処理状況の保存先（state.db）とエラー管理インスタンス（main でロックを取ってから開く）
+let store = null;
+let errorManager = null;
+
+// ツイート情報の取得バックエンド（main で設定に従って作成する）
+let fetcher = null;
 
 // 設定ファイルから設定を読み込む
 function loadConfig() {
@@ -34,9 +58,21 @@ function loadConfig() {
       // ダウンロード設定を適用
       if (configData.downloadSettings) {
         CONFIG.batchSize = configData.downloadSettings.batchSize || CONFIG.batchSize;
-        CONFIG.batchDelay = configData.downloadSettings.batchDelay || CONFIG.batchDelay;
         CONFIG.rateLimitWaitTime = configData.downloadSettings.rateLimitWaitTime || CONFIG.rateLimitWaitTime;
         CONFIG.maxRateLimitRetries = configData.downloadSettings.maxRateLimitRetries || CONFIG.maxRateLimitRetries;
+        CONFIG.concurrency = configData.downloadSettings.concurrency || CONFIG.concurrency;
+        CONFIG.requestsPerSecond = configData.downloadSettings.requestsPerSecond || CONFIG.requestsPerSecond;
+        CONFIG.minRequestsPerSecond = configData.downloadSettings.minRequestsPerSecond || CONFIG.minRequestsPerSecond;
+        CONFIG.maxRequestsPerSecond = configData.downloadSettings.maxRequestsPerSecond || CONFIG.maxRequestsPerSecond;
+        CONFIG.fetchers = configData.downloadSettings.fetchers || CONFIG.fetchers;
+        CONFIG.fetcherOptions = configData.downloadSettings.fetcherOptions || CONFIG.fetcherOptions;
+        if (configData.downloadSettings.sources) {
+          const sources = configData.downloadSettings.sources;
+          CONFIG.sources = parseSources(Array.isArray(sources) ? sources.join(',') : sources);
+        }
+        if (configData.downloadSettings.archivePath) {
+          CONFIG.archivePath = path.resolve(DATA_DIR, configData.downloadSettings.archivePath);
+        }
       }
       
       return true;
@@ -76,32 +112,11 @@ function formatErrorOutput(rawOutput) {
   return sliced.join(' / ');
 }
 
-// 処理済みツイートの読み込み
-async function loadProcessedTweets() {
-  try {
-    if (await fs.pathExists(CONFIG.processedTweetsFile)) {
-      return await fs.readJSON(CONFIG.processedTweetsFile);
-    }
-  } catch (error) {
-    log(`処理済みツイートファイルの読み込みに失敗しました: ${error.message}`);
-  }
-  return { successful: {}, failed: {}, noMedia: {} };
-}
-
-// 処理済みツイートの保存
-async function saveProcessedTweets(processed) {
-  try {
-    await fs.writeJSON(CONFIG.processedTweetsFile, processed, { spaces: 2 });
-  } catch (error) {
-    log(`処理済みツイートファイルの保存に失敗しました: ${error.message}`);
-  }
-}
-
 // ツイートが処理可能かチェック
-// ※ 高速化のため、メイン処理からは事前に作ったエラーIDのSetを渡して使う
-function isTweetProcessable(tweetId, processed, errorIdSet = null, enableLog = true) {
+// ※ 高速化のため、メイン処理からは事前に作った処理済みIDとエラーIDのSetを渡して使う
+function isTweetProcessable(tweetId, processedIdSet, errorIdSet = null, enableLog = true) {
   // 既に処理済みの場合はスキップ
-  if (processed.successful[tweetId] || processed.failed[tweetId] || processed.noMedia[tweetId]) {
+  if (processedIdSet.has(tweetId)) {
     return false;
   }
   
@@ -118,139 +133,353 @@ function isTweetProcessable(tweetId, processed, errorIdSet = null, enableLog = t
   return true;
 }
 
+// tweet-data.json を書き込む（既存の media-check-and-download.js の想定形式と整合）
+async function writeTweetData(tweetId, tweetData) {
+  const outputPath = path.join(CONFIG.outputDir, tweetId);
+
+  // 出力ディレクトリ作成
+  await fs.ensureDir(outputPath);
+
+  // 書きかけの tweet-data.json が残ると check-success-fail.js が成功扱いにしてしまうので、一時ファイル経由で書く
+  const jsonPath = path.join(outputPath, TWEET_DATA_FILE_NAME);
+  writeJSONAtomic(jsonPath, withSchemaVersion(tweetData));
+}
+
+// tweet-data.json を保存し、メディア有無に応じた結果を返す
+async function saveTweetData(tweetId, tweetData) {
+  await writeTweetData(tweetId, tweetData);
+
+  // メディア有無による判定
+  const hasMedia = Array.isArray(tweetData.media) && tweetData.media.length > 0;
+
+  // 成功した場合はエラーを削除
+  errorManager.removeError(tweetId);
+
+  return {
+    success: hasMedia,
+    noMedia: !hasMedia,
+    rateLimit: false,
+    authError: false,
+    output: '',
+  };
+}
+
+// 取得バックエンドで取得できなかったツイートの失敗処理
+// like.js の本文などが残っていれば、検索・閲覧できるように tweet-data.json のスタブを保存する
+async function handleFetchFailure(tweetId, errorType, details, archiveTweet) {
+  let archiveFallback = false;
+  if (archiveTweet && archiveTweet.stub) {
+    try {
+      // archiveFallback はスタブの印（エラー記録が消されても check-success-fail.js が成功扱いにしないように）
+      await writeTweetData(tweetId, {
+        ...archiveTweet.tweetData,
+        archiveFallback: true,
+        archiveFallbackError: {
+          errorType,
+          message: details.message,
+          savedAt: new Date().toISOString()
+        }
+      });
+      archiveFallback = true;
+      log(`アーカイブの本文から tweet-data.json を保存しました: ${tweetId}`);
+    } catch (error) {
+      log(`アーカイブの本文からの保存に失敗しました: ${tweetId} - ${error.message}`);
+    }
+  }
+
+  // スタブを保存したことはエラー記録にも残す（error-utils.js list で分かるように）
+  errorManager.addError(tweetId, errorType, archiveFallback ? { ...details, archiveFallback: true } : details);
+
+  return {
+    success: false,
+    noMedia: false,
+    rateLimit: false,
+    authError: false,
+    archiveFallback,
+    output: details.message,
+  };
+}
+
+// レート制限で再試行させるときの結果
+function rateLimitResult(retryCount, message) {
+  return {
+    success: false,
+    noMedia: false,
+    rateLimit: true,
+    authError: false,
+    retryCount: retryCount + 1,
+    output: message,
+  };
+}
+
 // ツイートのダウンロード（twitter-media-downloader.exe 非依存版）
-async function downloadTweet(tweetId, retryCount = 0) {
+// archiveTweet: アーカイブ側にあるデータ { tweetData, complete, stub }
+//   自分のツイートはメディアまで含むので、TwitterDL は不足分を補うためだけに使う
+//   いいねは本文だけのスタブ（stub: true）で、取得に失敗したときの代わりとして保存する
+async function downloadTweet(tweetId, retryCount = 0, archiveTweet = null) {
   const tweetUrl = `https://twitter.com/i/web/status/${tweetId}`;
-  const outputPath = path.join(CONFIG.outputDir, tweetId);
+
+  // アーカイブのデータだけでメディアまで揃っている場合は TwitterDL を呼ばない
+  if (archiveTweet && archiveTweet.complete) {
+    return saveTweetData(tweetId, archiveTweet.tweetData);
+  }
 
   try {
-    // TwitterDL でツイート情報を取得
-    const res = await TwitterDL(tweetUrl);
+    // 設定された取得バックエンド（デフォルトは TwitterDL）でツイート情報を取得
+    const res = await fetcher.fetchTweet(tweetId);
 
     if (res.status !== 'success') {
       const message = res.message || 'Unknown error';
       const error = new Error(message);
       const isGuestTokenError = message.includes('Failed to get Guest Token');
 
-      // Guest Token が取れない場合は、実質的にレート制限扱いとして再試行させる
-      if (isGuestTokenError && retryCount < CONFIG.maxRateLimitRetries) {
-        return {
-          success: false,
-          noMedia: false,
-          rateLimit: true,
-          authError: false,
-          retryCount: retryCount + 1,
-          output: message,
-        };
+      // 自分のツイートはアーカイブ側のデータがあるので、不足はあってもそれを保存する
+      if (archiveTweet && !archiveTweet.stub) {
+        log(`取得バックエンドで補完できないため、アーカイブのデータを保存します: ${tweetId} - ${message}`);
+        return saveTweetData(tweetId, archiveTweet.tweetData);
       }
 
       const errorType = determineErrorType(error, message) || ERROR_TYPES.RATE_LIMIT;
 
-      // エラーを記録
-      errorManager.addError(tweetId, errorType, {
+      // Guest Token が取れない場合も、実質的にレート制限扱いとして再試行させる
+      // ただし削除済みなど取り直しても変わらない失敗（retryable: false）は、前のバックエンドがレート制限でも再試行しない
+      const retryable = res.retryable !== false;
+      if (retryable && (isGuestTokenError || errorType === ERROR_TYPES.RATE_LIMIT) && retryCount < CONFIG.maxRateLimitRetries) {
+        return rateLimitResult(retryCount, message);
+      }
+
+      // それ以外のケースは通常の失敗として扱う
+      return await handleFetchFailure(tweetId, errorType, {
         message,
         tweetId,
         tweetUrl,
-      });
-
-      // それ以外のケースは通常の失敗として扱う
-      return {
-        success: false,
-        noMedia: false,
-        rateLimit: false,
-        authError: false,
-        output: message,
-      };
+      }, archiveTweet);
     }
 
-    const tweetData = res.result;
-
-    // 出力ディレクトリ作成
-    await fs.ensureDir(outputPath);
-
-    // tweet-data.json として保存（既存の media-check-and-download.js の想定形式と整合）
-    const jsonPath = path.join(outputPath, 'tweet-data.json');
-    await fs.writeJSON(jsonPath, tweetData, { spaces: 2 });
-
-    // メディア有無による判定
-    const hasMedia = Array.isArray(tweetData.media) && tweetData.media.length > 0;
-
-    // 成功した場合はエラーを削除
-    errorManager.removeError(tweetId);
-
-    return {
-      success: hasMedia,
-      noMedia: !hasMedia,
-      rateLimit: false,
-      authError: false,
-      output: '',
-    };
+    const tweetData = archiveTweet && !archiveTweet.stub
+      ? mergeTweetData(archiveTweet.tweetData, res.result)
+      : res.result;
+    return await saveTweetData(tweetId, tweetData);
   } catch (e) {
     const message = e.message || String(e);
     const errorType = determineErrorType(e);
 
-    errorManager.addError(tweetId, errorType || ERROR_TYPES.DOWNLOAD_FAILED, {
+    // 429 などのレート制限は再試行させる
+    if (errorType === ERROR_TYPES.RATE_LIMIT && retryCount < CONFIG.maxRateLimitRetries) {
+      return rateLimitResult(retryCount, message);
+    }
+
+    return handleFetchFailure(tweetId, errorType || ERROR_TYPES.DOWNLOAD_FAILED, {
       message,
       tweetId,
       tweetUrl,
-    });
+    }, archiveTweet);
+  }
+}
 
-    return {
-      success: false,
-      noMedia: false,
-      rateLimit: false,
-      authError: false,
-      output: message,
+// 取得元のデータセット名（ytd-reader.js の YTD_DATASETS のキー）
+// tweets は自分のツイート（tweets.js）
+const TWEET_SOURCES = ['like', 'bookmark', 'tweets'];
+
+// --source の指定値を取得元の配列に変換する
+// "both" は likes と bookmarks の両方、"all" は自分のツイートも含めたすべて
+function parseSources(value) {
+  if (!value) return null;
+  let sources;
+  if (value === 'both') {
+    sources = ['like', 'bookmark'];
+  } else if (value === 'all') {
+    sources = TWEET_SOURCES;
+  } else {
+    sources = value.split(',').map(s => s.trim()).filter(Boolean);
+  }
+  const unknown = sources.filter(s => !TWEET_SOURCES.includes(s));
+  if (unknown.length > 0 || sources.length === 0) {
+    throw new Error(`不明な取得元です: ${value} (指定可能: ${TWEET_SOURCES.join(', ')}, both, all)`);
+  }
+  return sources;
+}
+
+// アーカイブの like.js / bookmark.js / tweets.js（分割されている場合は like-part1.js なども含む）からツイートIDを抽出
+// ファイル全体を読み込まず、要素を1件ずつストリームで処理する
+// 戻り値: {
+//   tweetIds: 重複を除いたID配列,
+//   sourcesById: Map<tweetId, Set<取得元>>,
+//   archiveTweets: Map<tweetId, { tweetData, complete, stub }>（自分のツイートと、本文のあるいいね）
+// }
+// isPending を渡すと、処理対象のツイートだけアーカイブ側のデータを保持する（メモリ節約）
+async function extractTweetIds(sources = CONFIG.sources, isPending = () => true) {
+  log(`アーカイブを開いています: ${CONFIG.archivePath}`);
+  const archive = await openArchive(CONFIG.archivePath);
+  try {
+    const extracted = {
+      tweetIds: [],
+      sourcesById: new Map(),
+      archiveTweets: new Map(),
+      account: null
     };
+
+    // 自分のツイートの投稿者情報は account.js から補う
+    if (sources.includes('tweets')) {
+      for await (const { record } of readYtdDataset(archive, 'account', { optional: true, onWarning: log })) {
+        extracted.account = record;
+      }
+    }
+
+    for (const source of sources) {
+      // 複数の取得元を指定した場合、アーカイブに含まれないものは警告だけにする
+      await extractTweetIdsFromArchive(archive, source, extracted, sources.length > 1, isPending);
+    }
+    log(`合計${extracted.tweetIds.length}件のツイートIDを抽出しました (${sources.join(', ')})`);
+    return extracted;
+  } finally {
+    await archive.close();
   }
 }
 
-// like.jsからツイートIDを抽出
-async function extractTweetIds() {
-  log('like.jsファイルを読み込み中...');
+async function extractTweetIdsFromArchive(archive, source, extracted, optional, isPending) {
+  log(`${source}.jsファイルを読み込み中...`);
   
-  // ファイル全体を読み込む
-  const content = await fs.readFile(CONFIG.likeJsPath, 'utf8');
+  const { idField } = YTD_DATASETS[source];
+  // パートごとの件数 { fileName: { part, count, duplicates } }
+  const partStats = new Map();
   
-  // "window.YTD.like.part0 = " の部分を取り除く
-  let jsonContent;
   try {
-    // JavaScriptの代入式からJSONデータ部分を抽出
-    const match = content.match(/^window\.YTD\.like\.part0\s*=\s*(.+)/s);
-    if (match && match[1]) {
-      jsonContent = match[1].trim();
-      // 末尾にセミコロンがある場合は削除
-      if (jsonContent.endsWith(';')) {
-        jsonContent = jsonContent.slice(0, -1);
+    for await (const { record, fileName, part } of readYtdDataset(archive, source, { optional, onWarning: log })) {
+      if (!partStats.has(fileName)) {
+        partStats.set(fileName, { part, count: 0, duplicates: 0 });
       }
+      const stats = partStats.get(fileName);
+      stats.count++;
+      const tweetId = record[idField];
+      
+      if (isPending(tweetId)) {
+        if (source === 'tweets') {
+          // 自分のツイートはアーカイブ側のデータを保持しておき、TwitterDL の呼び出しを減らす
+          extracted.archiveTweets.set(tweetId, fromOwnTweet(record, extracted.account));
+        } else if (source === 'like' && !extracted.archiveTweets.has(tweetId)) {
+          // いいねの本文（fullText / expandedUrl）は取得失敗時の代わりとして保持する
+          const stub = fromLike(record);
+          if (stub) {
+            extracted.archiveTweets.set(tweetId, stub);
+          }
+        }
+      }
+      
+      // パートや取得元をまたいで同じツイートが含まれることがあるので重複を除く
+      const tweetSources = extracted.sourcesById.get(tweetId);
+      if (tweetSources) {
+        if (tweetSources.has(source)) {
+          stats.duplicates++;
+        }
+        tweetSources.add(source);
+        continue;
+      }
+      extracted.sourcesById.set(tweetId, new Set([source]));
+      extracted.tweetIds.push(tweetId);
+    }
+  } catch (error) {
+    log(`JSONデータの解析に失敗しました: ${error.message}`);
+    throw error;
+  }
+  
+  if (partStats.size === 0) {
+    log(`${source}.jsファイルが見つからないため、${source} はスキップします`);
+    return;
+  }
+  for (const [fileName, { part, count, duplicates }] of partStats) {
+    log(`- ${fileName} (part${part}): ${count}件${duplicates > 0 ? ` (重複 ${duplicates}件)` : ''}`);
+  }
+}
+
+// コマンドライン引数の解析
+// 例: npm run download -- twitter-archive.zip --source=both
+//     npm run download -- twitter-archive.zip --source=tweets
+function parseArgs(argv) {
+  const options = { archivePath: null, sources: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--source=')) {
+      options.sources = parseSources(arg.slice('--source='.length));
+    } else if (arg === '--source') {
+      options.sources = parseSources(argv[++i]);
+    } else if (!arg.startsWith('--')) {
+      options.archivePath = path.resolve(arg);
     } else {
-      throw new Error('期待されるフォーマットではありません');
+      throw new Error(`不明なオプションです: ${arg}`);
     }
+  }
+  return options;
+}
+
+// 1件のツイートを取得して state.db に結果を記録する
+// 戻り値が false の場合は認証エラーなので、以降の処理を中止する
+async function processTweet(tweetId, rateLimiter, archiveTweet) {
+  log(`ツイート処理開始: ${tweetId}`);
+  
+  try {
+    await rateLimiter.acquire();
+    let result = await downloadTweet(tweetId, 0, archiveTweet);
     
-    // JSONとして解析
-    const data = JSON.parse(jsonContent);
-    
-    // ツイートIDを抽出
-    const tweetIds = [];
-    if (Array.isArray(data)) {
-      for (const item of data) {
-        if (item && item.like && item.like.tweetId) {
-          tweetIds.push(item.like.tweetId);
-        }
+    // レート制限の場合は速度を下げて再試行（downloadTweet が再試行回数の上限を管理する）
+    while (result.rateLimit) {
+      // 他のワーカーが同じレート制限で既に速度を下げていれば、重ねて下げたり止めたりしない
+      const alreadyLowered = rateLimiter.isCoolingDown();
+      const newRate = rateLimiter.onRateLimit();
+      log(`レート制限: ${tweetId} - ${result.output}`);
+      if (alreadyLowered) {
+        log(`同時に受けたレート制限のため、取得速度は${newRate.toFixed(2)}件/秒のままにします`);
+      } else if (rateLimiter.isAtMinimum()) {
+        // 速度を下限まで落としても制限される場合は、全体を止めて待つ
+        log(`レート制限のため${CONFIG.rateLimitWaitTime}ミリ秒待機します...`);
+        rateLimiter.pause(CONFIG.rateLimitWaitTime);
+      } else {
+        log(`取得速度を${newRate.toFixed(2)}件/秒に下げます`);
       }
+      await rateLimiter.acquire();
+      log(`再試行: ${tweetId} (${result.retryCount}/${CONFIG.maxRateLimitRetries})`);
+      result = await downloadTweet(tweetId, result.retryCount, archiveTweet);
     }
     
-    log(`${tweetIds.length}件のツイートIDを抽出しました`);
-    return tweetIds;
-    
+    if (result.success) {
+      rateLimiter.onSuccess();
+      store.setTweetStatus(tweetId, TWEET_STATUSES.SUCCESSFUL);
+      log(`成功: ${tweetId}`);
+    } else if (result.noMedia) {
+      rateLimiter.onSuccess();
+      store.setTweetStatus(tweetId, TWEET_STATUSES.NO_MEDIA);
+      log(`メディアなし: ${tweetId}`);
+    } else if (result.authError) {
+      log(`認証エラー: ${tweetId} - ${result.output}`);
+      log('Twitter認証に失敗しました。config.jsonの認証情報を確認してください');
+      store.setTweetStatus(tweetId, TWEET_STATUSES.FAILED);
+      return false;
+    } else {
+      store.setTweetStatus(tweetId, TWEET_STATUSES.FAILED);
+      log(`失敗: ${tweetId} - ${formatErrorOutput(result.output)}`);
+    }
   } catch (error) {
-    log(`JSONデータの解析に失敗しました: ${error.message}`);
-    throw error;
+    store.setTweetStatus(tweetId, TWEET_STATUSES.FAILED);
+    log(`エラー: ${tweetId} - ${error.message}`);
   }
+  
+  return true;
 }
 
 // メイン処理
 async function main() {
+  // 他のスクリプト（npm run media など）が処理状況を更新中なら、何もせずに終わる
+  try {
+    acquireStateLock('download-tweets');
+  } catch (error) {
+    log(error.message);
+    process.exit(1);
+  }
+  store = getStateStore();
+  errorManager = new ErrorManager(store);
+  // 実行前の state.db を state.db.bak.1 に残す
+  store.backup();
+  const runId = store.startRun('download-tweets');
   try {
     // 設定ファイルの読み込み
     const configLoaded = loadConfig();
@@ -260,27 +489,46 @@ async function main() {
       log('設定ファイルが見つからないため、デフォルト設定で実行します');
     }
 
+    // コマンドライン引数でアーカイブ（.zip またはフォルダ）と取得元を指定できる
+    const args = parseArgs(process.argv.slice(2));
+    if (args.archivePath) {
+      CONFIG.archivePath = args.archivePath;
+    }
+    if (args.sources) {
+      CONFIG.sources = args.sources;
+    }
+
+    // 取得バックエンドの準備
+    fetcher = createFetcherChain(CONFIG.fetchers, CONFIG.fetcherOptions);
+    log(`取得バックエンド: ${fetcher.name}`);
+
     // 出力ディレクトリの作成
     await fs.ensureDir(CONFIG.outputDir);
 
     // 処理済みツイートの読み込み
-    const processed = await loadProcessedTweets();
+    const processedIdSet = store.getProcessedIdSet();
     
-    log('ツイートIDの抽出を開始します...');
-    
-    // ツイートIDの抽出
-    const allTweetIds = await extractTweetIds();
-
     // 既知のエラーIDをSetにして、高速にスキップできるようにする
     const currentErrors = errorManager.getErrorList();
     const errorIdSet = new Set(currentErrors.map(e => e.tweetId));
+    
+    log('ツイートIDの抽出を開始します...');
+    
+    // ツイートIDの抽出（アーカイブ側のデータは未処理のツイート分だけ保持する）
+    const { tweetIds: allTweetIds, sourcesById, archiveTweets } = await extractTweetIds(
+      CONFIG.sources,
+      tweetId => isTweetProcessable(tweetId, processedIdSet, errorIdSet, false)
+    );
+    
+    // 取得元（like / bookmark / tweets）を記録しておき、後から絞り込めるようにする
+    store.mergeTweetSources(sourcesById, TWEET_SOURCES);
 
     // 未処理のツイートをフィルタリング（ログはまとめて出す）
     let skippedAlreadyProcessed = 0;
     let skippedByError = 0;
     const tweetIds = allTweetIds.filter(tweetId => {
       // 既に処理済みの場合
-      if (processed.successful[tweetId] || processed.failed[tweetId] || processed.noMedia[tweetId]) {
+      if (processedIdSet.has(tweetId)) {
         skippedAlreadyProcessed++;
         return false;
       }
@@ -293,6 +541,12 @@ async function main() {
     });
     
     log(`未処理のツイート: ${tweetIds.length}件`);
+    // 処理対象になったことを履歴に残す（何回目の実行で取れたかを後から追えるように）
+    store.recordEvents(tweetIds.map(tweetId => ({
+      event: JOURNAL_EVENTS.QUEUED,
+      tweetId,
+      sources: TWEET_SOURCES.filter(s => sourcesById.get(tweetId).has(s))
+    })));
     if (skippedAlreadyProcessed > 0) {
       log(`既に処理済みのためスキップ: ${skippedAlreadyProcessed}件`);
     }
@@ -300,68 +554,38 @@ async function main() {
       log(`エラー記録があるためスキップ: ${skippedByError}件`);
     }
     
-    // バッチ処理
+    // 取得速度の制御（レート制限が出たら自動で速度を下げ、成功が続けば戻す）
+    const rateLimiter = new AdaptiveRateLimiter({
+      rate: CONFIG.requestsPerSecond,
+      minRate: CONFIG.minRequestsPerSecond,
+      maxRate: CONFIG.maxRequestsPerSecond
+    });
+    log(`同時取得数: ${CONFIG.concurrency}, 初期速度: ${rateLimiter.rate}件/秒`);
+    
+    // バッチ処理（バッチ内は複数ワーカーで並列に取得する）
     for (let i = 0; i < tweetIds.length; i += CONFIG.batchSize) {
       const batch = tweetIds.slice(i, i + CONFIG.batchSize);
       log(`バッチ処理開始: ${i+1}～${Math.min(i+CONFIG.batchSize, tweetIds.length)}/${tweetIds.length}`);
       
-      for (const tweetId of batch) {
-        log(`ツイート処理開始: ${tweetId}`);
-        
-        try {
-          const result = await downloadTweet(tweetId);
-          
-          if (result.success) {
-            processed.successful[tweetId] = new Date().toISOString();
-            log(`成功: ${tweetId}`);
-          } else if (result.noMedia) {
-            processed.noMedia[tweetId] = new Date().toISOString();
-            log(`メディアなし: ${tweetId}`);
-          } else if (result.authError) {
-            log(`認証エラー: ${tweetId} - ${result.output}`);
-            log('Twitter認証に失敗しました。config.jsonの認証情報を確認してください');
-            processed.failed[tweetId] = new Date().toISOString();
-            // 認証エラーが発生した場合は処理を中止
-            return;
-          } else if (result.rateLimit) {
-            log(`レート制限: ${tweetId} - ${result.output}`);
-            log(`レート制限のため${CONFIG.rateLimitWaitTime}ミリ秒待機します...`);
-            await new Promise(resolve => setTimeout(resolve, CONFIG.rateLimitWaitTime));
-            log(`再試行: ${tweetId} (${result.retryCount}/${CONFIG.maxRateLimitRetries})`);
-            const retryResult = await downloadTweet(tweetId, result.retryCount);
-            if (retryResult.success) {
-              processed.successful[tweetId] = new Date().toISOString();
-              log(`成功: ${tweetId}`);
-            } else if (retryResult.noMedia) {
-              processed.noMedia[tweetId] = new Date().toISOString();
-              log(`メディアなし: ${tweetId}`);
-            } else {
-              processed.failed[tweetId] = new Date().toISOString();
-            log(`失敗: ${tweetId} - ${formatErrorOutput(retryResult.output)}`);
-            }
-          } else {
-            processed.failed[tweetId] = new Date().toISOString();
-          log(`失敗: ${tweetId} - ${formatErrorOutput(result.output)}`);
-          }
-        } catch (error) {
-          processed.failed[tweetId] = new Date().toISOString();
-          log(`エラー: ${tweetId} - ${error.message}`);
-        }
-        
-        // 各ダウンロード後に処理済みツイートを保存
-        await saveProcessedTweets(processed);
-      }
+      // 結果は1件ごとに state.db へ書き込まれる
+      const completed = await runWorkerPool(batch, CONFIG.concurrency, tweetId =>
+        processTweet(tweetId, rateLimiter, archiveTweets.get(tweetId))
+      );
       
-      // バッチ間の待機（最後のバッチ以外）
-      if (i + CONFIG.batchSize < tweetIds.length) {
-        log(`次のバッチまで${CONFIG.batchDelay}ミリ秒待機します...`);
-        await new Promise(resolve => setTimeout(resolve, CONFIG.batchDelay));
+      // 認証エラーが発生した場合は処理を中止
+      if (!completed) {
+        store.finishRun(runId, 'aborted', { reason: 'auth_error' });
+        return;
       }
+      
+      // 取得の間隔はトークンバケットが決めるので、バッチの間では待たない
+      log(`バッチ完了 (現在の速度: ${rateLimiter.rate.toFixed(2)}件/秒)`);
     }
     
-    const processedCount = Object.keys(processed.successful).length;
-    const failedCount = Object.keys(processed.failed).length;
-    const noMediaCount = Object.keys(processed.noMedia).length;
+    const counts = store.countTweetsByStatus();
+    const processedCount = counts[TWEET_STATUSES.SUCCESSFUL];
+    const failedCount = counts[TWEET_STATUSES.FAILED];
+    const noMediaCount = counts[TWEET_STATUSES.NO_MEDIA];
     
     log('処理完了:');
     log(`- 成功: ${processedCount}件`);
@@ -371,8 +595,10 @@ async function main() {
     // エラー統計の表示
     errorManager.printSummary();
     
+    store.finishRun(runId, 'completed', { targets: tweetIds.length, ...counts });
   } catch (error) {
     log(`予期せぬエラーが発生しました: ${error.message}`);
+    store.finishRun(runId, 'failed', { error: error.message });
     process.exit(1);
   }
 }
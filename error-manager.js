@@ -1,8 +1,5 @@
-const fs = require('fs-extra');
-const path = require('path');
-
-// エラー管理ファイルのパス
-const ERROR_FILE_PATH = path.join(__dirname, 'error-tweets.json');
+const { getStateStore } = require('./state-store');
+const { JOURNAL_EVENTS } = require('./state-journal');
 
 // エラータイプの定義
 const ERROR_TYPES = {
@@ -11,6 +8,7 @@ const ERROR_TYPES = {
   MEDIA_404: 'media_404',                       // メディアファイルの404エラー
   MEDIA_403: 'media_403',                       // メディアファイルの403エラー
   MEDIA_DOWNLOAD_FAILED: 'media_download_failed', // メディアファイルのダウンロード失敗
+  MEDIA_CORRUPT: 'media_corrupt',               // 受信したメディアファイルが壊れている（サイズ不一致・形式不明）
   RATE_LIMIT: 'rate_limit',                     // レート制限
   AUTH_ERROR: 'auth_error',                     // 認証エラー
   NETWORK_ERROR: 'network_error',               // ネットワークエラー
@@ -19,132 +17,105 @@ const ERROR_TYPES = {
 };
 
 // エラー管理クラス
+// 記録は state.db（state-store.js）の errors / error_statistics テーブルに保存する
+// 統計は今残っている記録の数（同じツイートが何度失敗しても1件）。食い違ったら error-utils.js rebuild-stats で数え直せる
 class ErrorManager {
-  constructor() {
-    this.errors = this.loadErrors();
-  }
-
-  // エラーファイルの読み込み
-  loadErrors() {
-    try {
-      if (fs.existsSync(ERROR_FILE_PATH)) {
-        return fs.readJSONSync(ERROR_FILE_PATH);
-      }
-    } catch (error) {
-      console.error(`エラーファイルの読み込みに失敗しました: ${error.message}`);
-    }
-    return {
-      errors: {},
-      statistics: {
-        total_errors: 0,
-        by_type: {},
-        by_date: {}
-      }
-    };
+  constructor(store = getStateStore()) {
+    this.store = store;
+    this.batchMode = false;
   }
 
-  // エラーファイルの保存（同期版でメモリ効率化）
+  // バッチモード中の書き込みを確定する（バッチモードでなければ書き込みは都度確定しているので何もしない）
   saveErrors() {
+    if (!this.batchMode) return;
     try {
-      fs.writeJSONSync(ERROR_FILE_PATH, this.errors, { spaces: 2 });
+      this.store.commit();
     } catch (error) {
-      console.error(`エラーファイルの保存に失敗しました: ${error.message}`);
+      console.error(`エラー記録の保存に失敗しました: ${error.message}`);
     }
+    this.store.begin();
   }
 
   // バッチ処理用の保存制御
+  // 有効な間は1つのトランザクションにまとめ、saveErrors() か無効にした時点で確定する
   setBatchMode(enabled) {
+    if (enabled && !this.batchMode) {
+      this.store.begin();
+    } else if (!enabled && this.batchMode) {
+      this.store.commit();
+    }
     this.batchMode = enabled;
   }
 
   // エラーの追加
   addError(tweetId, errorType, details = {}) {
     const timestamp = new Date().toISOString();
-    
-    this.errors.errors[tweetId] = {
-      type: errorType,
-      timestamp: timestamp,
-      details: details,
-      retry_count: (this.errors.errors[tweetId]?.retry_count || 0) + 1
-    };
-
-    // 統計情報の更新
-    this.errors.statistics.total_errors++;
-    
-    // エラータイプ別の統計
-    if (!this.errors.statistics.by_type[errorType]) {
-      this.errors.statistics.by_type[errorType] = 0;
-    }
-    this.errors.statistics.by_type[errorType]++;
-
-    // 日付別の統計
-    const date = timestamp.split('T')[0];
-    if (!this.errors.statistics.by_date[date]) {
-      this.errors.statistics.by_date[date] = 0;
-    }
-    this.errors.statistics.by_date[date]++;
+    this.store.transaction(() => {
+      const previous = this.store.getError(tweetId);
+      const retryCount = (previous?.retry_count || 0) + 1;
+      this.store.putError(tweetId, {
+        type: errorType,
+        timestamp: timestamp,
+        details: details,
+        retry_count: retryCount
+      });
 
-    // バッチモードでない場合のみ即座に保存
-    if (!this.batchMode) {
-      this.saveErrors();
-    }
+      // 統計情報の更新（総数・エラータイプ別・日付別）
+      // 前の記録を置き換える場合は、前のタイプ・日付から新しいタイプ・日付に数を移す
+      if (previous) {
+        this.store.incrementErrorStatistics(previous.type, previous.timestamp.split('T')[0], -1);
+      }
+      this.store.incrementErrorStatistics(errorType, timestamp.split('T')[0], 1);
+      this.store.recordEvent({ at: timestamp, event: JOURNAL_EVENTS.FAILED, tweetId, errorType, details, retryCount });
+    });
   }
 
   // エラーの確認
   hasError(tweetId) {
-    return !!this.errors.errors[tweetId];
+    return !!this.store.getError(tweetId);
   }
 
   // エラーの取得
   getError(tweetId) {
-    return this.errors.errors[tweetId];
+    return this.store.getError(tweetId);
   }
 
   // エラーの削除（成功した場合）
   removeError(tweetId) {
-    if (this.errors.errors[tweetId]) {
-      const errorType = this.errors.errors[tweetId].type;
-      
-      // 統計情報の更新
-      this.errors.statistics.total_errors--;
-      this.errors.statistics.by_type[errorType]--;
-      
-      const date = this.errors.errors[tweetId].timestamp.split('T')[0];
-      this.errors.statistics.by_date[date]--;
-
-      delete this.errors.errors[tweetId];
-      // バッチモードでない場合のみ即座に保存
-      if (!this.batchMode) {
-        this.saveErrors();
+    this.store.transaction(() => {
+      const error = this.store.getError(tweetId);
+      if (error) {
+        // 統計情報の更新
+        this.store.incrementErrorStatistics(error.type, error.timestamp.split('T')[0], -1);
+        this.store.deleteError(tweetId);
+        this.store.recordEvent({ event: JOURNAL_EVENTS.CLEARED, tweetId, errorType: error.type });
       }
-    }
+    });
   }
 
   // エラータイプ別のフィルタリング
   getErrorsByType(errorType) {
-    return Object.entries(this.errors.errors)
-      .filter(([_, error]) => error.type === errorType)
-      .map(([tweetId, error]) => ({ tweetId, ...error }));
+    return this.store.listErrors({ type: errorType });
   }
 
   // 再試行回数でフィルタリング
   getErrorsByRetryCount(minRetryCount) {
-    return Object.entries(this.errors.errors)
-      .filter(([_, error]) => error.retry_count >= minRetryCount)
-      .map(([tweetId, error]) => ({ tweetId, ...error }));
+    return this.store.listErrors({ minRetryCount });
   }
 
   // 統計情報の取得
   getStatistics() {
-    return this.errors.statistics;
+    return this.store.getErrorStatistics();
+  }
+
+  // 統計情報をエラー記録から数え直す（dryRun なら食い違いを調べるだけ）
+  rebuildStatistics(options = {}) {
+    return this.store.rebuildErrorStatistics(options);
   }
 
   // エラーリストの取得
   getErrorList() {
-    return Object.entries(this.errors.errors).map(([tweetId, error]) => ({
-      tweetId,
-      ...error
-    }));
+    return this.store.listErrors();
   }
 
   // エラーのクリア（特定のツイートID）
@@ -154,18 +125,7 @@ class ErrorManager {
 
   // 全エラーのクリア
   clearAllErrors() {
-    this.errors = {
-      errors: {},
-      statistics: {
-        total_errors: 0,
-        by_type: {},
-        by_date: {}
-      }
-    };
-    // バッチモードでない場合のみ即座に保存
-    if (!this.batchMode) {
-      this.saveErrors();
-    }
+    this.store.clearErrors();
   }
 
   // エラーサマリーの表示
@@ -193,11 +153,31 @@ class ErrorManager {
   }
 }
 
+// HTTP ステータスごとのエラータイプ
+const HTTP_STATUS_ERROR_TYPES = {
+  401: ERROR_TYPES.AUTH_ERROR,
+  403: ERROR_TYPES.MEDIA_403,
+  404: ERROR_TYPES.MEDIA_404,
+  429: ERROR_TYPES.RATE_LIMIT
+};
+
 // エラータイプの判定ヘルパー関数
 function determineErrorType(error, output = '') {
   const errorMessage = error.message || error.toString();
   const fullMessage = errorMessage + ' ' + output;
 
+  // 受信内容の検証で弾かれたもの（メッセージに URL が含まれるので先に判定する）
+  if (error.isCorrupt) {
+    return ERROR_TYPES.MEDIA_CORRUPT;
+  }
+  // リダイレクトのループや回数超過、対応していない HLS のプレイリスト
+  if (error.isRedirectError || error.isHlsError) {
+    return ERROR_TYPES.MEDIA_DOWNLOAD_FAILED;
+  }
+  // HTTP のステータスが分かるものはそれで判定する（メッセージの URL のポート番号などに 404 や 429 が含まれることがある）
+  if (error.statusCode) {
+    return HTTP_STATUS_ERROR_TYPES[error.statusCode] || ERROR_TYPES.UNKNOWN_ERROR;
+  }
   if (fullMessage.includes('404') || fullMessage.includes('Not Found')) {
     return ERROR_TYPES.MEDIA_404;
   }
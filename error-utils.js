@@ -1,6 +1,10 @@
 const { ErrorManager, ERROR_TYPES } = require('./error-manager');
+const { getStateStore, openReadonlyStateStore } = require('./state-store');
+const { acquireStateLock } = require('./state-file');
 
-const errorManager = new ErrorManager();
+// state.db は main() で開く（変更するコマンドはロックを取ってから、表示だけのコマンドは読み取り専用で）
+let store = null;
+let errorManager = null;
 
 // コマンドライン引数の処理
 const args = process.argv.slice(2);
@@ -20,6 +24,9 @@ function printUsage() {
   clear-all               - 全エラーをクリア
   retry <tweetId>         - 特定のツイートのエラーをクリアして再試行可能にする
   type <errorType>        - 特定のエラータイプのツイートを表示
+  rebuild-stats [--dry-run]
+                          - エラー統計をエラー記録から数え直す
+                            --dry-run なら食い違いを表示するだけで変更しない
   help                    - このヘルプを表示
 
 エラータイプ:
@@ -90,6 +97,8 @@ function clearError(tweetId) {
 }
 
 function clearAllErrors() {
+  // 取り消せるよう、消す前の state.db を state.db.bak.1 に残す
+  store.backup();
   errorManager.clearAllErrors();
   console.log('全エラーをクリアしました');
 }
@@ -156,9 +165,57 @@ function showErrorsByType(errorType) {
   });
 }
 
+function rebuildStatistics(dryRun) {
+  const { stored, actual, differences } = errorManager.rebuildStatistics({ dryRun });
+  if (differences.length === 0) {
+    console.log(`エラー統計はエラー記録と一致しています (${actual.total_errors}件)`);
+    return;
+  }
+
+  const labels = { total: '総エラー数', type: 'エラータイプ', date: '日付' };
+  console.log(`\n=== エラー統計の食い違い (${differences.length}項目) ===`);
+  differences.forEach(({ kind, key, stored: storedCount, actual: actualCount }) => {
+    const name = key ? `${labels[kind]} ${key}` : labels[kind];
+    console.log(`  ${name}: ${storedCount ?? 'なし'} → ${actualCount ?? 'なし'}`);
+  });
+  console.log(`\n総エラー数: ${stored.total_errors}件 → ${actual.total_errors}件`);
+  if (dryRun) {
+    console.log('--dry-run のため変更していません');
+  } else {
+    console.log('エラー記録から数え直しました');
+  }
+}
+
+// state.db を使うコマンド
+const STORE_COMMANDS = ['list', 'summary', 'clear', 'clear-all', 'retry', 'type', 'rebuild-stats'];
+
+// 表示だけのコマンド（ロックを取らずに読み取り専用で開く）
+function isReadonlyCommand() {
+  return ['list', 'summary', 'type'].includes(command) || (command === 'rebuild-stats' && args.includes('--dry-run'));
+}
+
+// コマンドに合わせて state.db を開く。表示だけのコマンドで state.db がまだ無ければ false
+function openStore() {
+  if (isReadonlyCommand()) {
+    store = openReadonlyStateStore();
+    if (!store) {
+      console.log('state.db がまだありません（エラーはありません）');
+      return false;
+    }
+  } else {
+    acquireStateLock('error-utils');
+    store = getStateStore();
+  }
+  errorManager = new ErrorManager(store);
+  return true;
+}
+
 // メイン処理
 async function main() {
   try {
+    if (STORE_COMMANDS.includes(command) && !openStore()) {
+      return;
+    }
     switch (command) {
       case 'list':
         listErrors();
@@ -178,6 +235,9 @@ async function main() {
       case 'type':
         showErrorsByType(args[1]);
         break;
+      case 'rebuild-stats':
+        rebuildStatistics(args.includes('--dry-run'));
+        break;
       case 'help':
       case '--help':
       case '-h':
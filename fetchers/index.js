@@ -0,0 +1,80 @@
+const { createTwitterDLFetcher } = require('./twitterdl');
+const { createSyndicationFetcher } = require('./syndication');
+const { createLocalJsonFetcher } = require('./local-json');
+const { createMockFetcher } = require('./mock');
+
+// ツイート取得バックエンドの登録先
+// 各バックエンドは { name, fetchTweet(tweetId) } を返すファクトリ関数として登録する
+// fetchTweet は TwitterDL と同じく
+//   成功: { status: 'success', result: tweet-data.json と同じ形のデータ }
+//   失敗: { status: 'error', message, retryable }
+// を返す（ネットワークエラーなどは例外でもよい）
+// retryable: false は削除済みなど、他のバックエンドで取り直しても結果が変わらない失敗
+const registry = new Map();
+
+function registerFetcher(name, factory) {
+  registry.set(name, factory);
+}
+
+function getRegisteredFetchers() {
+  return Array.from(registry.keys());
+}
+
+function createFetcher(name, options = {}) {
+  const factory = registry.get(name);
+  if (!factory) {
+    throw new Error(`未登録の取得バックエンドです: ${name} (登録済み: ${getRegisteredFetchers().join(', ')})`);
+  }
+  return factory(options);
+}
+
+// 複数のバックエンドを順に試すフェッチャーを作る
+// 失敗した場合は次のバックエンドへフォールバックし、すべて失敗したらメッセージをまとめて返す
+// retryable: false の失敗が返ったら、残りのバックエンドは試さずにそこで失敗を返す
+//   （手元のダンプを使う local-json は、ネットワークのバックエンドより前に並べる）
+// names: ['twitterdl', 'syndication'] のような優先順
+// optionsByName: { 'local-json': { path: '...' } } のようなバックエンドごとの設定
+function createFetcherChain(names, optionsByName = {}) {
+  if (!Array.isArray(names) || names.length === 0) {
+    throw new Error('取得バックエンドが1つも指定されていません');
+  }
+  const fetchers = names.map(name => createFetcher(name, optionsByName[name]));
+  if (fetchers.length === 1) {
+    return fetchers[0];
+  }
+
+  return {
+    name: fetchers.map(f => f.name).join(' → '),
+    fetchers,
+    async fetchTweet(tweetId) {
+      const messages = [];
+      for (const fetcher of fetchers) {
+        try {
+          const res = await fetcher.fetchTweet(tweetId);
+          if (res.status === 'success') {
+            return { ...res, fetcher: fetcher.name };
+          }
+          messages.push(`[${fetcher.name}] ${res.message || 'Unknown error'}`);
+          if (res.retryable === false) {
+            return { status: 'error', message: messages.join(' / '), retryable: false };
+          }
+        } catch (error) {
+          messages.push(`[${fetcher.name}] ${error.message || String(error)}`);
+        }
+      }
+      return { status: 'error', message: messages.join(' / ') };
+    }
+  };
+}
+
+registerFetcher('twitterdl', createTwitterDLFetcher);
+registerFetcher('syndication', createSyndicationFetcher);
+registerFetcher('local-json', createLocalJsonFetcher);
+registerFetcher('mock', createMockFetcher);
+
+module.exports = {
+  createFetcher,
+  createFetcherChain,
+  getRegisteredFetchers,
+  registerFetcher
+};
@@ -0,0 +1,40 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { fromOwnTweet } = require('../archive-tweet-data');
+
+// 手元に保存してある JSON ダンプから読むバックエンド
+// options.path のフォルダ内の <tweetId>.json または <tweetId>/tweet-data.json を探す
+// 中身は tweet-data.json と同じ形か、API v1.1 のツイート（id_str などを持つ形）を想定
+function createLocalJsonFetcher(options = {}) {
+  if (!options.path) {
+    throw new Error('local-json バックエンドには path の指定が必要です');
+  }
+  const baseDir = path.resolve(options.path);
+
+  return {
+    name: 'local-json',
+    async fetchTweet(tweetId) {
+      const candidates = [
+        path.join(baseDir, `${tweetId}.json`),
+        path.join(baseDir, tweetId, 'tweet-data.json')
+      ];
+
+      for (const candidate of candidates) {
+        if (!(await fs.pathExists(candidate))) continue;
+
+        const data = await fs.readJSON(candidate);
+        // API v1.1 形式なら tweet-data.json の形に変換する
+        if (data && data.id_str && !data.media) {
+          return { status: 'success', result: fromOwnTweet(data).tweetData };
+        }
+        return { status: 'success', result: data };
+      }
+
+      return { status: 'error', message: `Not Found in local dump: ${tweetId}` };
+    }
+  };
+}
+
+module.exports = {
+  createLocalJsonFetcher
+};
@@ -0,0 +1,35 @@
+// テストや動作確認用のバックエンド
+// options.tweets: { [tweetId]: tweet-data.json と同じ形のデータ }
+// options.errors: { [tweetId]: エラーメッセージ }（"HTTP 404 Not Found" など）
+//   { message, retryable: false } の形にすると、他のバックエンドで取り直さない失敗になる
+// options.delay: 応答までの待ち時間（ミリ秒）
+function createMockFetcher(options = {}) {
+  const tweets = options.tweets || {};
+  const errors = options.errors || {};
+  const calls = [];
+
+  return {
+    name: 'mock',
+    calls,
+    async fetchTweet(tweetId) {
+      calls.push(tweetId);
+      if (options.delay) {
+        await new Promise(resolve => setTimeout(resolve, options.delay));
+      }
+      if (errors[tweetId]) {
+        const error = errors[tweetId];
+        return typeof error === 'string'
+          ? { status: 'error', message: error }
+          : { status: 'error', ...error };
+      }
+      if (tweets[tweetId]) {
+        return { status: 'success', result: tweets[tweetId] };
+      }
+      return { status: 'error', message: 'Tweet not found!' };
+    }
+  };
+}
+
+module.exports = {
+  createMockFetcher
+};
@@ -0,0 +1,109 @@
+const https = require('https');
+const { convertArchiveMedia } = require('../archive-tweet-data');
+
+const SYNDICATION_URL = 'https://cdn.syndication.twimg.com/tweet-result';
+
+// 埋め込みウィジェットと同じ計算でトークンを作る
+function getSyndicationToken(tweetId) {
+  return ((Number(tweetId) / 1e15) * Math.PI).toString(36).replace(/(0+|\.)/g, '');
+}
+
+// 指定URLから JSON を取得する（HTTP エラーはステータス付きのメッセージで返す）
+function getJson(url, timeout) {
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, { headers: { 'user-agent': 'Mozilla/5.0' } }, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        const error = new Error(`HTTP ${response.statusCode} ${response.statusMessage || ''}`.trim());
+        error.statusCode = response.statusCode;
+        return reject(error);
+      }
+
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch (e) {
+          reject(new Error(`JSON parse error: ${e.message}`));
+        }
+      });
+    });
+
+    request.on('error', reject);
+    request.setTimeout(timeout, () => {
+      request.destroy(new Error(`Request timeout: ${url}`));
+    });
+  });
+}
+
+// 埋め込み API の応答を tweet-data.json の形に変換する
+function normalizeSyndicationTweet(data) {
+  const user = data.user || {};
+  const media = (data.mediaDetails || []).map(convertArchiveMedia);
+
+  return {
+    id: data.id_str,
+    createdAt: data.created_at,
+    description: data.text || '',
+    languange: data.lang,
+    possiblySensitive: !!data.possibly_sensitive,
+    possiblySensitiveEditable: false,
+    isQuoteStatus: !!data.quoted_tweet,
+    mediaCount: media.length,
+    author: user.screen_name
+      ? {
+        username: user.screen_name,
+        displayName: user.name,
+        verified: !!(user.verified || user.is_blue_verified),
+        profileImageUrl: user.profile_image_url_https
+      }
+      : null,
+    statistics: {
+      replieCount: Number(data.conversation_count) || 0,
+      retweetCount: 0,
+      favoriteCount: Number(data.favorite_count) || 0,
+      bookmarkCount: 0,
+      viewCount: 0
+    },
+    media
+  };
+}
+
+// 埋め込み用の syndication エンドポイントを使うバックエンド
+// ログイン不要で Guest Token も使わないので、TwitterDL が制限されたときの予備になる
+// options: { timeout }
+function createSyndicationFetcher(options = {}) {
+  const timeout = options.timeout || 30000;
+
+  return {
+    name: 'syndication',
+    async fetchTweet(tweetId) {
+      const url = `${SYNDICATION_URL}?id=${tweetId}&lang=ja&token=${getSyndicationToken(tweetId)}`;
+      let data;
+      try {
+        data = await getJson(url, timeout);
+      } catch (error) {
+        if (error.statusCode) {
+          return { status: 'error', message: error.message };
+        }
+        throw error;
+      }
+
+      // 削除済み・非公開のツイートは TweetTombstone などが返る
+      // TweetTombstone は X 側で見られなくなったツイートなので、他のバックエンドで取り直さない
+      if (!data || !data.id_str) {
+        const reason = (data && data.__typename) || 'empty response';
+        return { status: 'error', message: `Tweet not found! (${reason})`, retryable: reason !== 'TweetTombstone' };
+      }
+      return { status: 'success', result: normalizeSyndicationTweet(data) };
+    }
+  };
+}
+
+module.exports = {
+  createSyndicationFetcher,
+  getSyndicationToken,
+  normalizeSyndicationTweet
+};
@@ -0,0 +1,24 @@
+const { TwitterDL } = require('twitter-downloader');
+
+// twitter-downloader パッケージの TwitterDL を使うバックエンド
+// options: { authorization, cookie, proxy }（いずれも TwitterDL にそのまま渡す）
+function createTwitterDLFetcher(options = {}) {
+  const config = options.authorization || options.cookie
+    ? { authorization: options.authorization, cookie: options.cookie }
+    : undefined;
+
+  return {
+    name: 'twitterdl',
+    async fetchTweet(tweetId) {
+      const res = await TwitterDL(`https://twitter.com/i/web/status/${tweetId}`, config, options.proxy);
+      if (res.status !== 'success') {
+        return { status: 'error', message: res.message || 'Unknown error' };
+      }
+      return { status: 'success', result: res.result };
+    }
+  };
+}
+
+module.exports = {
+  createTwitterDLFetcher
+};
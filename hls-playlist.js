@@ -0,0 +1,115 @@
+// HLS（m3u8）のプレイリストを読むヘルパー
+// 動画のバリアントが m3u8 しか無い場合に、media-check-and-download.js がセグメントを集めて1つのファイルにする
+// 対応しているのは VOD の普通のプレイリストだけ（暗号化・バイト範囲指定のセグメントには対応しない）
+const path = require('path');
+
+const HLS_CONTENT_TYPES = ['application/x-mpegurl', 'application/vnd.apple.mpegurl', 'audio/mpegurl'];
+
+function hlsError(message) {
+  const error = new Error(message);
+  error.isHlsError = true;
+  return error;
+}
+
+// 動画のバリアント（{ url, content_type }）が HLS のプレイリストか
+function isHlsVariant(variant) {
+  if (!variant || !variant.url) return false;
+  if (variant.content_type && HLS_CONTENT_TYPES.includes(variant.content_type.toLowerCase())) {
+    return true;
+  }
+  try {
+    return new URL(variant.url).pathname.toLowerCase().endsWith('.m3u8');
+  } catch {
+    return false;
+  }
+}
+
+// 'BANDWIDTH=1280000,RESOLUTION=1280x720,CODECS="avc1.4d001f,mp4a.40.2"' を { BANDWIDTH: '1280000', ... } にする
+function parseAttributes(text) {
+  const attributes = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const value = match[2];
+    attributes[match[1]] = value.startsWith('"') ? value.slice(1, -1) : value;
+  }
+  return attributes;
+}
+
+// プレイリストを解析する。URI は baseUrl（プレイリストを取得した URL。リダイレクト後のもの）からの相対で解決する
+// マスタープレイリスト: { type: 'master', renditions: [{ bandwidth, resolution, url }] }
+// メディアプレイリスト: { type: 'media', initUrl, segments: [url], ended }
+//   initUrl: fMP4 の初期化セグメント（EXT-X-MAP）。MPEG-TS なら null
+function parsePlaylist(text, baseUrl) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines[0] !== '#EXTM3U') {
+    throw hlsError(`HLS のプレイリストではありません: ${baseUrl}`);
+  }
+
+  const resolve = uri => new URL(uri, baseUrl).toString();
+  const renditions = [];
+  const segments = [];
+  let initUrl = null;
+  let ended = false;
+  let pendingStream = null;
+
+  for (const line of lines.slice(1)) {
+    if (!line.startsWith('#')) {
+      if (pendingStream) {
+        renditions.push({ ...pendingStream, url: resolve(line) });
+        pendingStream = null;
+      } else {
+        segments.push(resolve(line));
+      }
+      continue;
+    }
+
+    const separator = line.indexOf(':');
+    const tag = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1);
+    if (tag === '#EXT-X-STREAM-INF') {
+      const attributes = parseAttributes(value);
+      pendingStream = {
+        bandwidth: Number(attributes.BANDWIDTH) || 0,
+        resolution: attributes.RESOLUTION || null
+      };
+    } else if (tag === '#EXT-X-MAP') {
+      const attributes = parseAttributes(value);
+      if (attributes.BYTERANGE) {
+        throw hlsError(`バイト範囲指定の初期化セグメントには対応していません: ${baseUrl}`);
+      }
+      initUrl = resolve(attributes.URI);
+    } else if (tag === '#EXT-X-KEY') {
+      const method = parseAttributes(value).METHOD;
+      if (method && method !== 'NONE') {
+        throw hlsError(`暗号化された HLS (${method}) には対応していません: ${baseUrl}`);
+      }
+    } else if (tag === '#EXT-X-BYTERANGE') {
+      throw hlsError(`バイト範囲指定のセグメントには対応していません: ${baseUrl}`);
+    } else if (tag === '#EXT-X-ENDLIST') {
+      ended = true;
+    }
+  }
+
+  if (renditions.length > 0) {
+    return { type: 'master', renditions };
+  }
+  if (segments.length === 0) {
+    throw hlsError(`プレイリストにセグメントがありません: ${baseUrl}`);
+  }
+  return { type: 'media', initUrl, segments, ended };
+}
+
+// プレイリストのファイル名から保存するファイル名を作る
+// fMP4（初期化セグメントあり）は .mp4、MPEG-TS は .ts
+function getOutputFilenames(filename) {
+  const base = path.basename(filename, path.extname(filename));
+  return { mp4: `${base}.mp4`, ts: `${base}.ts` };
+}
+
+module.exports = {
+  getOutputFilenames,
+  isHlsVariant,
+  parseAttributes,
+  parsePlaylist
+};
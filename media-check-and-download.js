@@ -1,16 +1,103 @@
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
 const https = require('https');
 const http = require('http');
 const { URL } = require('url');
 const { ErrorManager, ERROR_TYPES, determineErrorType } = require('./error-manager');
+const { DATA_DIR } = require('./data-dir');
+const { getStateStore } = require('./state-store');
+const { acquireStateLock } = require('./state-file');
+const { TWEET_DATA_FILE_NAME, findTweetDataPath, getLegacyTweetDataName } = require('./tweet-data');
+const { IMAGE_QUALITIES, getImageCandidates } = require('./twimg-url');
+const { describeFailure, describeFile, findEntry, loadManifest, saveManifest } = require('./media-manifest');
+const { DEDUPE_MODES, MediaIndex, dedupeFile } = require('./media-index');
+const { getOutputFilenames, isHlsVariant, parsePlaylist } = require('./hls-playlist');
+const { VIDEO_POLICIES, getVariantResolution, parseDuration, rankVariants, selectVideoVariants } = require('./video-variant');
 
-const downloadsDir = path.join(__dirname, 'downloads');
+const downloadsDir = path.join(DATA_DIR, 'downloads');
+const CONFIG_FILE_PATH = path.join(DATA_DIR, 'config.json');
 const MAX_CONCURRENT_DOWNLOADS = 5; // 同時ダウンロード数を制限
 const BATCH_SIZE = 100; // バッチサイズを小さくしてメモリ使用量を制限
 
-// エラー管理インスタンス
-const errorManager = new ErrorManager();
+// 設定（config.json の mediaSettings で上書きできる）
+const CONFIG = {
+  // 写真の画質（orig / 4096x4096 / large / medium）。見つからなければ小さいサイズへフォールバックする
+  imageQuality: 'orig',
+  // 同じ内容のファイルの扱い（off / hardlink / store）。media-index.js の DEDUPE_MODES を参照
+  dedupe: DEDUPE_MODES.OFF,
+  // animated_gif（GIF として投稿され、MP4 で配信されるもの）をマニフェストで animated_gif として区別するか
+  // false にすると通常の動画（video）として記録する
+  markAnimatedGif: true,
+  // 動画のバリアントの選び方（highest / lowest / resolution / max_size）。video-variant.js の VIDEO_POLICIES を参照
+  // 一度保存した動画は、設定を変えてもマニフェストに記録したバリアントのまま取り直さない
+  videoPolicy: 'highest',
+  // videoPolicy: 'resolution' の目標（短い辺のピクセル数。720 なら 1280x720 や 720x1280）
+  videoTargetResolution: 720,
+  // videoPolicy: 'max_size' の1本あたりの上限（MB）。ビットレートと動画の長さから見積もる
+  videoMaxSizeMB: 50,
+  // true なら選んだものに加えて、全てのバリアントを保存する
+  videoKeepAllVariants: false
+};
+
+// 設定ファイルから設定を読み込む
+function loadConfig() {
+  try {
+    if (fs.existsSync(CONFIG_FILE_PATH)) {
+      const configData = fs.readJSONSync(CONFIG_FILE_PATH);
+      if (configData.mediaSettings) {
+        CONFIG.imageQuality = configData.mediaSettings.imageQuality || CONFIG.imageQuality;
+        CONFIG.dedupe = configData.mediaSettings.dedupe || CONFIG.dedupe;
+        if (typeof configData.mediaSettings.markAnimatedGif === 'boolean') {
+          CONFIG.markAnimatedGif = configData.mediaSettings.markAnimatedGif;
+        }
+        CONFIG.videoPolicy = configData.mediaSettings.videoPolicy || CONFIG.videoPolicy;
+        CONFIG.videoTargetResolution = configData.mediaSettings.videoTargetResolution || CONFIG.videoTargetResolution;
+        CONFIG.videoMaxSizeMB = configData.mediaSettings.videoMaxSizeMB || CONFIG.videoMaxSizeMB;
+        if (typeof configData.mediaSettings.videoKeepAllVariants === 'boolean') {
+          CONFIG.videoKeepAllVariants = configData.mediaSettings.videoKeepAllVariants;
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`設定ファイルの読み込みに失敗しました: ${error.message}`);
+  }
+
+  if (!IMAGE_QUALITIES.includes(CONFIG.imageQuality)) {
+    console.error(`imageQuality の値が不正です: ${CONFIG.imageQuality} (対応: ${IMAGE_QUALITIES.join(', ')})`);
+    CONFIG.imageQuality = IMAGE_QUALITIES[0];
+  }
+  if (!Object.values(DEDUPE_MODES).includes(CONFIG.dedupe)) {
+    console.error(`dedupe の値が不正です: ${CONFIG.dedupe} (対応: ${Object.values(DEDUPE_MODES).join(', ')})`);
+    CONFIG.dedupe = DEDUPE_MODES.OFF;
+  }
+  if (!VIDEO_POLICIES.includes(CONFIG.videoPolicy)) {
+    console.error(`videoPolicy の値が不正です: ${CONFIG.videoPolicy} (対応: ${VIDEO_POLICIES.join(', ')})`);
+    CONFIG.videoPolicy = VIDEO_POLICIES[0];
+  }
+}
+
+// video-variant.js に渡す選び方の設定
+function getVideoSelection() {
+  return {
+    policy: CONFIG.videoPolicy,
+    targetResolution: CONFIG.videoTargetResolution,
+    maxSizeMB: CONFIG.videoMaxSizeMB,
+    keepAll: CONFIG.videoKeepAllVariants
+  };
+}
+
+// 処理状況の保存先（state.db）とエラー管理インスタンス（main でロックを取ってから開く）
+let store = null;
+let errorManager = null;
+
+// SHA-256 の索引（同じ内容のファイルの検出と重複排除に使う。ロックを取ってから main で読み込む）
+let mediaIndex = null;
+// 重複排除でハードリンクに置き換えたファイル数
+let dedupedCount = 0;
+// ハードリンクが作れない環境では一度だけ知らせて、以降は重複排除をやめる
+let dedupeDisabled = false;
 
 // 並列制御用のクラス
 class ConcurrencyLimiter {
@@ -38,101 +125,481 @@ class ConcurrencyLimiter {
 
 const limiter = new ConcurrencyLimiter(MAX_CONCURRENT_DOWNLOADS);
 
+// ダウンロード途中のファイルに付ける拡張子
+const PART_SUFFIX = '.part';
+
+// "bytes 100-199/200" や "bytes */200" 形式の Content-Range を解析
+function parseContentRange(header) {
+  const match = /^bytes (?:(\d+)-(\d+)|\*)\/(\d+|\*)$/.exec(header || '');
+  if (!match) return null;
+  return {
+    start: match[1] !== undefined ? Number(match[1]) : null,
+    total: match[3] !== '*' ? Number(match[3]) : null
+  };
+}
+
+// 保存するファイルとして受け付ける形式（HLS のプレイリストやセグメント単体は含めない）
+const MEDIA_FILE_TYPES = ['jpeg', 'png', 'gif', 'webp', 'mp4'];
+
+// ファイル先頭のシグネチャ（マジックバイト）からメディアの種類を判定する
+// HTML のエラーページなどが画像として保存されるのを防ぐため、既知の形式以外は null を返す
+// hls: m3u8 プレイリスト / ts: MPEG-TS / m4s: fMP4 のメディアセグメント
+function detectMediaType(header) {
+  if (header.length >= 3 && header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (header.length >= 8 && header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (header.length >= 6 && /^GIF8[79]a$/.test(header.toString('latin1', 0, 6))) {
+    return 'gif';
+  }
+  if (header.length >= 12 && header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (header.length >= 8 && header.toString('latin1', 4, 8) === 'ftyp') {
+    return 'mp4';
+  }
+  if (header.length >= 8 && ['moof', 'styp', 'sidx'].includes(header.toString('latin1', 4, 8))) {
+    return 'm4s';
+  }
+  if (header.length >= 7 && /^(\uFEFF)?#EXTM3U/.test(header.toString('utf8'))) {
+    return 'hls';
+  }
+  if (header.length >= 1 && header[0] === 0x47) {
+    return 'ts';
+  }
+  return null;
+}
+
+function corruptError(message, url) {
+  const error = new Error(`${message}: ${url}`);
+  error.isCorrupt = true;
+  return error;
+}
+
+// 受信し終えた .part のサイズとシグネチャを確認する（問題があれば isCorrupt 付きのエラーを投げる）
+// expectedSize: Content-Length などから分かるファイル全体のサイズ（不明なら null）
+// allowedTypes: 受け付ける detectMediaType の形式
+async function verifyDownloadedFile(partPath, expectedSize, url, allowedTypes = MEDIA_FILE_TYPES) {
+  const { size } = await fs.stat(partPath);
+  if (size === 0) {
+    throw corruptError('空のファイルを受信しました', url);
+  }
+  if (expectedSize !== null && size !== expectedSize) {
+    throw corruptError(`受信サイズが Content-Length と一致しません (期待: ${expectedSize}, 実際: ${size})`, url);
+  }
+
+  const fd = await fs.open(partPath, 'r');
+  try {
+    const header = Buffer.alloc(16);
+    const { bytesRead } = await fs.read(fd, header, 0, header.length, 0);
+    const mediaType = detectMediaType(header.subarray(0, bytesRead));
+    if (!mediaType || !allowedTypes.includes(mediaType)) {
+      throw corruptError(`画像・動画として認識できないファイルを受信しました (先頭: ${header.subarray(0, bytesRead).toString('hex')})`, url);
+    }
+    return mediaType;
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+// リダイレクトとして辿るステータスコードと、辿る回数の上限
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+
+function redirectError(message, url) {
+  const error = new Error(`${message}: ${url}`);
+  error.isRedirectError = true;
+  return error;
+}
+
 // 指定URLからファイルをダウンロード
-function downloadFile(url, dest) {
+// 受信中のデータは dest + '.part' に書き込み、最後まで受信してサイズと形式を確認できたら dest にリネームする
+// .part が残っていれば Range ヘッダーで続きから取得する（サーバーが Range に対応していなければ最初から）
+// リダイレクトは MAX_REDIRECTS 回まで辿る。戻り値は { finalUrl, redirects }
+// options.partPath: 受信途中のファイルの場所（同じ保存先に別の URL から取得する場合に分ける）
+// options.allowedTypes: 受け付ける形式（HLS のプレイリスト・セグメントを取得する場合に指定する）
+function downloadFile(url, dest, options = {}) {
+  const partPath = options.partPath || dest + PART_SUFFIX;
+  const allowedTypes = options.allowedTypes || MEDIA_FILE_TYPES;
+
+  // リダイレクトで辿った URL（最初の URL は含まない）
+  const redirects = [];
+  let currentUrl = url;
+
   return new Promise((resolve, reject) => {
-    const mod = url.startsWith('https') ? https : http;
-    const file = fs.createWriteStream(dest);
-    
-    const request = mod.get(url, (response) => {
-      // HTTPステータスコードの詳細な処理
-      if (response.statusCode === 404) {
-        const error = new Error(`HTTP 404 Not Found: ${url}`);
-        error.statusCode = 404;
-        error.isHttpError = true;
-        fs.unlink(dest, () => reject(error));
-        return;
-      }
-      
-      if (response.statusCode === 403) {
-        const error = new Error(`HTTP 403 Forbidden: ${url}`);
-        error.statusCode = 403;
-        error.isHttpError = true;
-        fs.unlink(dest, () => reject(error));
-        return;
-      }
-      
-      if (response.statusCode === 429) {
-        const error = new Error(`HTTP 429 Too Many Requests: ${url}`);
-        error.statusCode = 429;
-        error.isHttpError = true;
-        fs.unlink(dest, () => reject(error));
-        return;
-      }
-      
-      if (response.statusCode === 401) {
-        const error = new Error(`HTTP 401 Unauthorized: ${url}`);
-        error.statusCode = 401;
-        error.isHttpError = true;
-        fs.unlink(dest, () => reject(error));
-        return;
-      }
-      
-      if (response.statusCode >= 400 && response.statusCode < 500) {
-        const error = new Error(`HTTP ${response.statusCode} Client Error: ${url}`);
-        error.statusCode = response.statusCode;
-        error.isHttpError = true;
-        fs.unlink(dest, () => reject(error));
+    let offset = 0;
+    try {
+      offset = fs.statSync(partPath).size;
+    } catch {
+      offset = 0;
+    }
+    const requestOptions = offset > 0 ? { headers: { Range: `bytes=${offset}-` } } : {};
+
+    // 失敗時の後始末
+    // 切断・タイムアウト・429・5xx のような一時的なエラーでは .part を残し、次回続きから取得する
+    const fail = (error, keepPart) => {
+      if (keepPart) {
+        reject(error);
         return;
       }
+      fs.unlink(partPath, () => reject(error));
+    };
+
+    // 検証してから本来のファイル名にする。壊れていた .part は続きを取っても直らないので消す
+    const complete = (expectedSize) => {
+      verifyDownloadedFile(partPath, expectedSize, currentUrl, allowedTypes)
+        .then(() => fs.rename(partPath, dest))
+        .then(resolve)
+        .catch(err => (err.isCorrupt ? fail(err, false) : reject(err)));
+    };
+
+    const get = () => {
+      const mod = currentUrl.startsWith('https') ? https : http;
+      const request = mod.get(currentUrl, requestOptions, (response) => {
+        // リダイレクト（CDN は http ⇔ https をまたいで転送することもある）
+        if (REDIRECT_STATUS_CODES.includes(response.statusCode) && response.headers.location) {
+          response.resume();
+          let nextUrl;
+          try {
+            nextUrl = new URL(response.headers.location, currentUrl).toString();
+          } catch {
+            reject(redirectError(`Invalid redirect location (${response.headers.location})`, currentUrl));
+            return;
+          }
+          if (!/^https?:/.test(nextUrl)) {
+            reject(redirectError(`Unsupported redirect protocol (${nextUrl})`, currentUrl));
+            return;
+          }
+          if (nextUrl === url || redirects.includes(nextUrl)) {
+            reject(redirectError(`Redirect loop detected (${nextUrl})`, currentUrl));
+            return;
+          }
+          if (redirects.length >= MAX_REDIRECTS) {
+            reject(redirectError(`Too many redirects (${MAX_REDIRECTS})`, currentUrl));
+            return;
+          }
+          redirects.push(nextUrl);
+          currentUrl = nextUrl;
+          get();
+          return;
+        }
+
+        // .part が既にファイル全体を含んでいる（前回リネームだけできなかった）場合は 416 が返る
+        if (response.statusCode === 416 && offset > 0) {
+          response.resume();
+          const range = parseContentRange(response.headers['content-range']);
+          if (range && range.total === offset) {
+            complete(offset);
+            return;
+          }
+          // サーバー側のファイルが変わっている。次回は最初から取得する
+          const error = new Error(`HTTP 416 Range Not Satisfiable: ${currentUrl}`);
+          error.statusCode = 416;
+          error.isHttpError = true;
+          fail(error, false);
+          return;
+        }
+
+        // HTTPステータスコードの詳細な処理
+        if (response.statusCode === 404) {
+          const error = new Error(`HTTP 404 Not Found: ${currentUrl}`);
+          error.statusCode = 404;
+          error.isHttpError = true;
+          fail(error, false);
+          return;
+        }
+        
+        if (response.statusCode === 403) {
+          const error = new Error(`HTTP 403 Forbidden: ${currentUrl}`);
+          error.statusCode = 403;
+          error.isHttpError = true;
+          fail(error, false);
+          return;
+        }
+        
+        if (response.statusCode === 429) {
+          const error = new Error(`HTTP 429 Too Many Requests: ${currentUrl}`);
+          error.statusCode = 429;
+          error.isHttpError = true;
+          fail(error, true);
+          return;
+        }
+        
+        if (response.statusCode === 401) {
+          const error = new Error(`HTTP 401 Unauthorized: ${currentUrl}`);
+          error.statusCode = 401;
+          error.isHttpError = true;
+          fail(error, false);
+          return;
+        }
+        
+        if (response.statusCode >= 400 && response.statusCode < 500) {
+          const error = new Error(`HTTP ${response.statusCode} Client Error: ${currentUrl}`);
+          error.statusCode = response.statusCode;
+          error.isHttpError = true;
+          fail(error, false);
+          return;
+        }
+        
+        if (response.statusCode >= 500) {
+          const error = new Error(`HTTP ${response.statusCode} Server Error: ${currentUrl}`);
+          error.statusCode = response.statusCode;
+          error.isHttpError = true;
+          fail(error, true);
+          return;
+        }
+        
+        if (response.statusCode !== 200 && response.statusCode !== 206) {
+          const error = new Error(`HTTP ${response.statusCode} Unknown Error: ${currentUrl}`);
+          error.statusCode = response.statusCode;
+          error.isHttpError = true;
+          fail(error, false);
+          return;
+        }
+
+        // 206 なら .part の続きに追記、200 なら（Range 非対応のサーバーなので）最初から書き直す
+        const contentLength = response.headers['content-length'] !== undefined
+          ? Number(response.headers['content-length'])
+          : null;
+        let expectedSize = contentLength;
+        let append = false;
+        if (response.statusCode === 206) {
+          const range = parseContentRange(response.headers['content-range']);
+          if (!range || range.start !== offset) {
+            response.resume();
+            const error = new Error(`Content-Range が要求した位置と一致しません (要求: ${offset}, 応答: ${response.headers['content-range']}): ${currentUrl}`);
+            error.statusCode = 206;
+            error.isHttpError = true;
+            fail(error, false);
+            return;
+          }
+          append = true;
+          expectedSize = range.total !== null ? range.total : (contentLength !== null ? offset + contentLength : null);
+          console.log(`続きからダウンロード: ${currentUrl} (${offset} バイト目から)`);
+        } else if (offset > 0) {
+          console.log(`Range 非対応のため最初からダウンロード: ${currentUrl}`);
+        }
+
+        // 成功時はファイルに書き込み
+        const file = fs.createWriteStream(partPath, { flags: append ? 'a' : 'w' });
+        response.pipe(file);
+        file.on('finish', () => file.close((err) => (err ? reject(err) : complete(expectedSize))));
+        file.on('error', (err) => {
+          response.destroy();
+          reject(err);
+        });
+        
+        // 途中で接続が切れた場合（finish が来ないまま止まらないように）
+        // 受信済みの分は .part に残して次回続きから取得する
+        response.on('error', (err) => {
+          file.destroy();
+          reject(err);
+        });
+      });
       
-      if (response.statusCode >= 500) {
-        const error = new Error(`HTTP ${response.statusCode} Server Error: ${url}`);
-        error.statusCode = response.statusCode;
-        error.isHttpError = true;
-        fs.unlink(dest, () => reject(error));
-        return;
-      }
+      // ネットワークエラーの処理（.part は残す）
+      request.on('error', (err) => {
+        reject(err);
+      });
       
-      if (response.statusCode !== 200) {
-        const error = new Error(`HTTP ${response.statusCode} Unknown Error: ${url}`);
-        error.statusCode = response.statusCode;
-        error.isHttpError = true;
-        fs.unlink(dest, () => reject(error));
-        return;
+      // タイムアウトの設定（30秒）
+      request.setTimeout(30000, () => {
+        const error = new Error(`Request timeout: ${currentUrl}`);
+        error.isTimeout = true;
+        request.destroy();
+        reject(error);
+      });
+    };
+
+    get();
+  }).then(
+    () => ({ finalUrl: currentUrl, redirects }),
+    (error) => {
+      // どこへ転送された後で失敗したかをエラー詳細に残す
+      if (redirects.length > 0) {
+        error.finalUrl = currentUrl;
+        error.redirects = redirects;
       }
-      
-      // 成功時はファイルに書き込み
-      response.pipe(file);
-      file.on('finish', () => file.close(resolve));
-    });
-    
-    // ネットワークエラーの処理
-    request.on('error', (err) => {
-      // エラー時はファイルを削除
-      fs.unlink(dest, () => reject(err));
-    });
-    
-    // タイムアウトの設定（30秒）
-    request.setTimeout(30000, () => {
-      const error = new Error(`Request timeout: ${url}`);
-      error.isTimeout = true;
-      request.destroy();
-      fs.unlink(dest, () => reject(error));
-    });
-  });
+      throw error;
+    }
+  );
 }
 
 // メディアURLから保存ファイル名を推測
+// "<id>?format=jpg&name=small" のように拡張子がクエリにある場合は補う
 function getFilenameFromUrl(url) {
   try {
     const u = new URL(url);
-    return path.basename(u.pathname);
+    const basename = path.basename(u.pathname);
+    const format = u.searchParams.get('format');
+    if (basename && !path.extname(basename) && format) {
+      return `${basename}.${format}`;
+    }
+    return basename;
   } catch {
     return null;
   }
 }
 
+// 写真を画質設定に従ってダウンロードする
+// 指定サイズが 404 なら次に小さいサイズで取り直す。戻り値は { quality, url, finalUrl, redirects }
+// 受信途中のファイルはサイズごとに分け、別サイズの続きを繋げてしまわないようにする
+async function downloadPhoto(imageUrl, filePath) {
+  const candidates = getImageCandidates(imageUrl, CONFIG.imageQuality);
+  const partPathFor = quality => (quality ? `${filePath}.${quality}${PART_SUFFIX}` : filePath + PART_SUFFIX);
+  const tried = [];
+  let lastError = null;
+
+  for (const candidate of candidates) {
+    tried.push(candidate.quality);
+    try {
+      const result = await downloadFile(candidate.url, filePath, { partPath: partPathFor(candidate.quality) });
+      // 他のサイズで途中まで受信していたファイルは不要になる
+      for (const other of candidates) {
+        if (other !== candidate) {
+          await fs.remove(partPathFor(other.quality));
+        }
+      }
+      return { quality: candidate.quality, url: candidate.url, ...result };
+    } catch (error) {
+      lastError = error;
+      if (error.statusCode !== 404) {
+        break;
+      }
+      if (candidate !== candidates[candidates.length - 1]) {
+        console.log(`${candidate.quality} が見つからないため小さいサイズで再試行: ${candidate.url}`);
+      }
+    }
+  }
+
+  if (candidates[0].quality) {
+    lastError.triedQualities = tried;
+  }
+  throw lastError;
+}
+
+// HLS の作業フォルダ（取得したプレイリストとセグメントを置く。中断しても次回は取得済みのセグメントを使う）
+const HLS_WORK_SUFFIX = '.hls';
+
+// HLS のプレイリストを取得して解析する。戻り値は { playlist, finalUrl, redirects }
+async function fetchPlaylist(url, workDir, name) {
+  const playlistPath = path.join(workDir, name);
+  // プレイリストは毎回取り直す（セグメントの URL に有効期限が付いていることがある）
+  await fs.remove(playlistPath);
+  await fs.remove(playlistPath + PART_SUFFIX);
+  const result = await limiter.run(() => downloadFile(url, playlistPath, { allowedTypes: ['hls'] }));
+  const playlist = parsePlaylist(await fs.readFile(playlistPath, 'utf8'), result.finalUrl);
+  return { playlist, ...result };
+}
+
+// HLS（m3u8）の動画をダウンロードして1つのファイルにする
+// マスタープレイリストなら selection（getVideoSelection）の選び方でレンディションを選び、セグメントを limiter で並列に取得してから順に連結する
+// fMP4 なら <名前>.mp4、MPEG-TS なら <名前>.ts として保存する
+// 戻り値: { filePath, finalUrl, redirects, variant }（finalUrl は実際に使ったメディアプレイリストの URL）
+async function downloadHls(url, tweetDir, filename, selection, durationMs) {
+  const workDir = path.join(tweetDir, filename + HLS_WORK_SUFFIX);
+  await fs.ensureDir(workDir);
+  try {
+    return await downloadHlsInto(workDir, url, tweetDir, filename, selection, durationMs);
+  } catch (error) {
+    // 取り直しても直らないエラーなら取得済みのセグメントも消す（一時的なエラーなら次回続きから）
+    if (isPermanentHlsError(error)) {
+      await fs.remove(workDir);
+    }
+    throw error;
+  }
+}
+
+// 取り直しても直らない HLS のエラーか
+function isPermanentHlsError(error) {
+  return error.isHlsError || error.isCorrupt || error.isRedirectError ||
+    (error.statusCode >= 400 && error.statusCode < 500 && error.statusCode !== 429);
+}
+
+// downloadHls の本体（失敗時の作業フォルダの後始末は downloadHls で行う）
+async function downloadHlsInto(workDir, url, tweetDir, filename, selection, durationMs) {
+  let { playlist, finalUrl, redirects } = await fetchPlaylist(url, workDir, 'master.m3u8');
+  let variant = { bitrate: 0, contentType: 'application/x-mpegURL', resolution: null, policy: selection.policy };
+  if (playlist.type === 'master') {
+    const renditions = playlist.renditions.map(rendition => ({ ...rendition, bitrate: rendition.bandwidth }));
+    const [rendition] = rankVariants(renditions, selection, durationMs);
+    console.log(`HLS: ${rendition.resolution || '解像度不明'} (${rendition.bandwidth} bps) を選択 (${playlist.renditions.length}件中)`);
+    variant = { bitrate: rendition.bandwidth, contentType: 'application/x-mpegURL', resolution: rendition.resolution, policy: selection.policy };
+    ({ playlist, finalUrl } = await fetchPlaylist(rendition.url, workDir, 'media.m3u8'));
+  }
+  if (playlist.type !== 'media') {
+    const error = new Error(`HLS のレンディションが入れ子になっています: ${finalUrl}`);
+    error.isHlsError = true;
+    throw error;
+  }
+  if (!playlist.ended) {
+    const error = new Error(`終わりの無い（ライブ配信の）プレイリストは保存できません: ${finalUrl}`);
+    error.isHlsError = true;
+    throw error;
+  }
+
+  // セグメントの保存名は URL から決める（プレイリストが変わっても別のセグメントと取り違えない）
+  const segmentUrls = playlist.initUrl ? [playlist.initUrl, ...playlist.segments] : playlist.segments;
+  const segmentPaths = segmentUrls.map(segmentUrl =>
+    path.join(workDir, crypto.createHash('sha1').update(segmentUrl).digest('hex').slice(0, 16) + '.seg')
+  );
+  const segmentTypes = playlist.initUrl ? ['mp4', 'm4s'] : ['ts'];
+  console.log(`HLS: ${playlist.segments.length}個のセグメントを取得します`);
+  // 失敗があっても、取得中のセグメントが終わるのを待ってから失敗にする
+  // （先に失敗を返すと、downloadHls が作業フォルダを消した後に取得中のセグメントが書き込まれてしまう）
+  // 取り直しても直らない失敗なら、まだ始まっていないセグメントは取得しない（一時的な失敗なら次回のために取得しておく）
+  let failure = null;
+  let cancelled = false;
+  await Promise.all(segmentUrls.map(async (segmentUrl, i) => {
+    if (await fs.pathExists(segmentPaths[i])) return;
+    await limiter.run(async () => {
+      if (cancelled) return;
+      try {
+        await downloadFile(segmentUrl, segmentPaths[i], { allowedTypes: segmentTypes });
+      } catch (error) {
+        failure = failure || error;
+        cancelled = cancelled || isPermanentHlsError(error);
+      }
+    });
+  }));
+  if (failure) {
+    throw failure;
+  }
+
+  // 順番に連結し、先頭が動画として読めることを確認してから保存名にする
+  const outputNames = getOutputFilenames(filename);
+  const filePath = path.join(tweetDir, playlist.initUrl ? outputNames.mp4 : outputNames.ts);
+  const partPath = filePath + PART_SUFFIX;
+  const output = fs.createWriteStream(partPath);
+  try {
+    for (const segmentPath of segmentPaths) {
+      await pipeline(fs.createReadStream(segmentPath), output, { end: false });
+    }
+  } finally {
+    await new Promise(resolve => output.end(resolve));
+  }
+  try {
+    await verifyDownloadedFile(partPath, null, finalUrl, playlist.initUrl ? ['mp4'] : ['ts']);
+  } catch (error) {
+    await fs.remove(partPath);
+    throw error;
+  }
+  await fs.rename(partPath, filePath);
+  await fs.remove(workDir);
+
+  return { filePath, finalUrl, redirects, variant };
+}
+
+// 保存済みの HLS 動画（.mp4 / .ts のどちらか）
+function findHlsOutput(tweetDir, filename) {
+  const outputNames = getOutputFilenames(filename);
+  return [outputNames.mp4, outputNames.ts]
+    .map(name => path.join(tweetDir, name))
+    .find(filePath => fs.existsSync(filePath)) || null;
+}
+
 // ディレクトリ一覧を取得（メモリ効率化）
 function getTweetIds() {
   const ids = [];
@@ -151,27 +618,43 @@ function getTweetIds() {
 }
 
 // バッチ処理でメモリ使用量を制限
-function processBatch(items, processor, batchSize = BATCH_SIZE) {
-  return new Promise(async (resolve) => {
-    const results = [];
-    for (let i = 0; i < items.length; i += batchSize) {
-      const batch = items.slice(i, i + batchSize);
-      console.log(`バッチ処理中: ${i + 1}-${Math.min(i + batchSize, items.length)}/${items.length}`);
-      
-      const batchResults = await Promise.all(batch.map(processor));
-      results.push(...batchResults);
-      
-      // ガベージコレクションを促す
-      if (global.gc) {
-        global.gc();
+// processor の例外はそのまま呼び出し元に返す（ツイートごとに扱うものは processor の中で結果にする）
+async function processBatch(items, processor, batchSize = BATCH_SIZE) {
+  const results = [];
+  for (let i = 0; i < items.length; i += batchSize) {
+    const batch = items.slice(i, i + batchSize);
+    console.log(`バッチ処理中: ${i + 1}-${Math.min(i + batchSize, items.length)}/${items.length}`);
+    
+    const batchResults = await Promise.all(batch.map(processor));
+    results.push(...batchResults);
+    
+    // ガベージコレクションを促す
+    if (global.gc) {
+      global.gc();
+    }
+    
+    // 進捗表示
+    const progress = Math.min(i + batchSize, items.length);
+    console.log(`処理進捗: ${progress}/${items.length} (${Math.round(progress/items.length*100)}%)`);
+  }
+  return results;
+}
+
+// 設定に従って、ツイートのファイルを同じ内容の既存ファイルとまとめる
+async function dedupeTweetFiles(tweetId, entries) {
+  if (CONFIG.dedupe === DEDUPE_MODES.OFF || dedupeDisabled) return;
+
+  for (const entry of entries) {
+    if (entry.status !== 'downloaded' || dedupeDisabled) continue;
+    try {
+      if (await dedupeFile(mediaIndex, tweetId, entry.filename, entry.sha256, CONFIG.dedupe, downloadsDir)) {
+        dedupedCount++;
       }
-      
-      // 進捗表示
-      const progress = Math.min(i + batchSize, items.length);
-      console.log(`処理進捗: ${progress}/${items.length} (${Math.round(progress/items.length*100)}%)`);
+    } catch (e) {
+      console.error(`重複排除に失敗したため、以降はファイルをそのまま残します: ${tweetId}/${entry.filename} - ${e.message}`);
+      dedupeDisabled = true;
     }
-    resolve(results);
-  });
+  }
 }
 
 async function processTweetDir(tweetId) {
@@ -190,19 +673,14 @@ async function processTweetDir(tweetId) {
   }
 
   const tweetDir = path.join(downloadsDir, tweetId);
-  const tweetDataPath = path.join(tweetDir, 'tweet-data.json');
-  const tweetIdJsonPath = path.join(tweetDir, tweetId + '.json');
-  let jsonPath = null;
+  // tweet-data.json（移行前の古いフォルダでは <tweetId>.json）
+  const jsonPath = findTweetDataPath(tweetDir, tweetId);
   
-  if (fs.existsSync(tweetDataPath)) {
-    jsonPath = tweetDataPath;
-  } else if (fs.existsSync(tweetIdJsonPath)) {
-    jsonPath = tweetIdJsonPath;
-  } else {
+  if (!jsonPath) {
     // JSONファイルが見つからない場合はエラーとして記録
     errorManager.addError(tweetId, ERROR_TYPES.JSON_PARSE_ERROR, { 
       message: 'JSON file not found',
-      paths: [tweetDataPath, tweetIdJsonPath],
+      paths: [path.join(tweetDir, TWEET_DATA_FILE_NAME), path.join(tweetDir, getLegacyTweetDataName(tweetId))],
       tweetId: tweetId
     });
     console.log(`JSONファイルが見つかりません: ${tweetId}`);
@@ -226,13 +704,33 @@ async function processTweetDir(tweetId) {
     return { tweetId, status: 'skipped', reason: 'no_media' };
   }
   
+  // 新しいバージョンのマニフェストがあるツイートは飛ばす（他のツイートは続ける）
+  let previousManifest;
+  try {
+    previousManifest = loadManifest(tweetDir);
+  } catch (e) {
+    console.log(`マニフェストを扱えないためスキップ: ${tweetId} - ${e.message}`);
+    return { tweetId, status: 'skipped', reason: 'unsupported_manifest' };
+  }
+
   const downloadTasks = [];
+  // media-manifest.json に書くエントリ（保存したファイル・失敗したファイルごとに1件）
+  const manifestEntries = [];
+  // 以前から保存済みのファイルは、前回のマニフェストの取得元・バリアントを引き継ぐ
+  const describeExisting = (filePath, entry) => {
+    const previous = findEntry(previousManifest, path.basename(filePath));
+    return describeFile(filePath, {
+      url: previous && previous.url,
+      variant: previous && previous.variant,
+      ...entry
+    }, previous);
+  };
   let downloadCount = 0;
   let errorCount = 0;
   let successCount = 0;
   let skipCount = 0;
   
-  for (const media of data.media) {
+  for (const [index, media] of data.media.entries()) {
     if (media.type === 'photo' && media.image) {
       const filename = getFilenameFromUrl(media.image);
       if (!filename) {
@@ -244,9 +742,21 @@ async function processTweetDir(tweetId) {
       if (!fs.existsSync(filePath)) {
         console.log(`ダウンロード: ${media.image} → ${filePath}`);
         downloadTasks.push(
-          limiter.run(() => downloadFile(media.image, filePath))
-            .then(() => {
-              console.log(`成功: ${media.image}`);
+          limiter.run(() => downloadPhoto(media.image, filePath))
+            .then(async ({ quality, finalUrl, redirects }) => {
+              console.log(`成功: ${media.image}${quality ? ` (${quality})` : ''}`);
+              if (redirects.length > 0) {
+                console.log(`  リダイレクト先: ${finalUrl} (${redirects.length}回)`);
+              }
+              // 実際に保存したサイズをマニフェストに残す
+              manifestEntries.push(await describeFile(filePath, {
+                index,
+                type: 'photo',
+                sourceUrl: media.image,
+                url: finalUrl,
+                variant: quality ? { quality } : null,
+                downloadedAt: new Date().toISOString()
+              }));
               downloadCount++;
               successCount++;
               // 成功した場合はエラーを削除（もし存在すれば）
@@ -265,6 +775,11 @@ async function processTweetDir(tweetId) {
                 filePath: filePath,
                 tweetId: tweetId
               };
+
+              // 試した画質（すべて 404 だった場合など）
+              if (e.triedQualities) {
+                errorDetails.triedQualities = e.triedQualities;
+              }
               
               // HTTPステータスコードの情報を追加
               if (e.statusCode) {
@@ -277,7 +792,19 @@ async function processTweetDir(tweetId) {
                 errorDetails.isTimeout = true;
               }
               
+              // 受信内容が壊れていた場合
+              if (e.isCorrupt) {
+                errorDetails.isCorrupt = true;
+              }
+              
+              // リダイレクトされていた場合は転送先も記録
+              if (e.finalUrl) {
+                errorDetails.finalUrl = e.finalUrl;
+                errorDetails.redirects = e.redirects;
+              }
+              
               errorManager.addError(tweetId, errorType, errorDetails);
+              manifestEntries.push(describeFailure({ index, type: 'photo', sourceUrl: media.image, filename }, errorType));
               // 失敗時はファイルを削除（念のため）
               if (fs.existsSync(filePath)) {
                 fs.unlinkSync(filePath);
@@ -287,12 +814,41 @@ async function processTweetDir(tweetId) {
       } else {
         console.log(`既に存在: ${filePath}`);
         skipCount++;
+        manifestEntries.push(await describeExisting(filePath, { index, type: 'photo', sourceUrl: media.image }));
+      }
+    } else if ((media.type === 'video' || media.type === 'animated_gif') && Array.isArray(media.videos)) {
+      // animated_gif も中身は MP4 なので動画と同じように保存する（ループ再生させたいビューア向けにマニフェストでは区別できる）
+      const videoType = media.type === 'animated_gif' && CONFIG.markAnimatedGif ? 'animated_gif' : 'video';
+      // 前回保存したバリアントがあればそのまま使う（設定や取得元のバリアント一覧が変わっても別の画質を取り直さない）
+      const savedVideos = previousManifest && Array.isArray(previousManifest.media)
+        ? previousManifest.media.filter(entry =>
+          entry.index === index && (entry.type === 'video' || entry.type === 'animated_gif') &&
+          entry.status === 'downloaded' && fs.existsSync(path.join(tweetDir, entry.filename)))
+        : [];
+      for (const entry of savedVideos) {
+        console.log(`既に存在: ${path.join(tweetDir, entry.filename)}`);
+        skipCount++;
+        manifestEntries.push(await describeExisting(path.join(tweetDir, entry.filename), { index, type: videoType, sourceUrl: entry.sourceUrl }));
       }
-    } else if (media.type === 'video' && Array.isArray(media.videos)) {
-      // 一番高画質の動画を選ぶ
-      const sorted = media.videos.slice().sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0));
-      if (sorted.length > 0) {
-        const url = sorted[0].url;
+      const savedFilenames = savedVideos.map(entry => entry.filename);
+
+      // 設定した選び方でバリアントを選ぶ（全て保存する設定なら、まだ保存していないものを全て）
+      const selected = savedVideos.length === 0 || CONFIG.videoKeepAllVariants
+        ? selectVideoVariants(media.videos, getVideoSelection(), parseDuration(media.duration))
+        : [];
+      if (selected.length === 0 && savedVideos.length === 0) {
+        console.log(`動画URLが見つかりません: ${tweetId}`);
+        skipCount++;
+      }
+      for (const selectedVariant of selected) {
+        const url = selectedVariant.url;
+        const resolution = getVariantResolution(selectedVariant);
+        const videoVariant = {
+          bitrate: selectedVariant.bitrate || 0,
+          contentType: selectedVariant.content_type || null,
+          resolution: resolution ? `${resolution.width}x${resolution.height}` : null,
+          policy: CONFIG.videoPolicy
+        };
         const filename = getFilenameFromUrl(url);
         if (!filename) {
           console.log(`動画ファイル名を取得できません: ${url}`);
@@ -300,12 +856,33 @@ async function processTweetDir(tweetId) {
           continue;
         }
         const filePath = path.join(tweetDir, filename);
-        if (!fs.existsSync(filePath)) {
-          console.log(`ダウンロード: ${url} → ${filePath}`);
+        // HLS はセグメントを連結した .mp4 / .ts として保存する（プレイリスト自体は保存しない）
+        const isHls = isHlsVariant(selectedVariant);
+        const existingPath = isHls ? findHlsOutput(tweetDir, filename) : (fs.existsSync(filePath) ? filePath : null);
+        if (existingPath && savedFilenames.includes(path.basename(existingPath))) {
+          continue;
+        }
+        if (!existingPath) {
+          console.log(`ダウンロード: ${url} → ${isHls ? `${tweetDir} (HLS)` : filePath}`);
+          // HLS はセグメントごとに limiter を使うので、全体を limiter.run で包まない
+          const task = isHls
+            ? downloadHls(url, tweetDir, filename, getVideoSelection(), parseDuration(media.duration))
+            : limiter.run(() => downloadFile(url, filePath)).then(result => ({ ...result, filePath, variant: videoVariant }));
           downloadTasks.push(
-            limiter.run(() => downloadFile(url, filePath))
-              .then(() => {
+            task
+              .then(async ({ filePath: savedPath, finalUrl, redirects, variant }) => {
                 console.log(`成功: ${url}`);
+                if (redirects.length > 0) {
+                  console.log(`  リダイレクト先: ${finalUrl} (${redirects.length}回)`);
+                }
+                manifestEntries.push(await describeFile(savedPath, {
+                  index,
+                  type: videoType,
+                  sourceUrl: url,
+                  url: finalUrl,
+                  variant,
+                  downloadedAt: new Date().toISOString()
+                }));
                 downloadCount++;
                 successCount++;
                 // 成功した場合はエラーを削除（もし存在すれば）
@@ -319,10 +896,10 @@ async function processTweetDir(tweetId) {
                 const errorDetails = { 
                   url: url,
                   message: e.message,
-                  mediaType: 'video',
+                  mediaType: media.type,
                   filename: filename,
                   filePath: filePath,
-                  bitrate: sorted[0].bitrate,
+                  bitrate: selectedVariant.bitrate,
                   tweetId: tweetId
                 };
                 
@@ -337,7 +914,19 @@ async function processTweetDir(tweetId) {
                   errorDetails.isTimeout = true;
                 }
                 
+                // 受信内容が壊れていた場合
+                if (e.isCorrupt) {
+                  errorDetails.isCorrupt = true;
+                }
+                
+                // リダイレクトされていた場合は転送先も記録
+                if (e.finalUrl) {
+                  errorDetails.finalUrl = e.finalUrl;
+                  errorDetails.redirects = e.redirects;
+                }
+                
                 errorManager.addError(tweetId, errorType, errorDetails);
+                manifestEntries.push(describeFailure({ index, type: videoType, sourceUrl: url, filename }, errorType));
                 // 失敗時はファイルを削除（念のため）
                 if (fs.existsSync(filePath)) {
                   fs.unlinkSync(filePath);
@@ -345,12 +934,13 @@ async function processTweetDir(tweetId) {
               })
           );
         } else {
-          console.log(`既に存在: ${filePath}`);
+          console.log(`既に存在: ${existingPath}`);
           skipCount++;
+          // HLS で選んだレンディションは前回のマニフェストの記録を引き継ぐ
+          const existingEntry = { index, type: videoType, sourceUrl: url };
+          if (!isHls) existingEntry.variant = videoVariant;
+          manifestEntries.push(await describeExisting(existingPath, existingEntry));
         }
-      } else {
-        console.log(`動画URLが見つかりません: ${tweetId}`);
-        skipCount++;
       }
       // サムネイルも保存
       if (media.cover) {
@@ -361,8 +951,19 @@ async function processTweetDir(tweetId) {
             console.log(`ダウンロード: ${media.cover} → ${coverPath}`);
             downloadTasks.push(
               limiter.run(() => downloadFile(media.cover, coverPath))
-                .then(() => {
+                .then(async ({ finalUrl, redirects }) => {
                   console.log(`成功: ${media.cover}`);
+                  if (redirects.length > 0) {
+                    console.log(`  リダイレクト先: ${finalUrl} (${redirects.length}回)`);
+                  }
+                  manifestEntries.push(await describeFile(coverPath, {
+                    index,
+                    type: 'video_cover',
+                    sourceUrl: media.cover,
+                    url: finalUrl,
+                    variant: null,
+                    downloadedAt: new Date().toISOString()
+                  }));
                   downloadCount++;
                   successCount++;
                   // 成功した場合はエラーを削除（もし存在すれば）
@@ -393,7 +994,19 @@ async function processTweetDir(tweetId) {
                     errorDetails.isTimeout = true;
                   }
                   
+                  // 受信内容が壊れていた場合
+                  if (e.isCorrupt) {
+                    errorDetails.isCorrupt = true;
+                  }
+                  
+                  // リダイレクトされていた場合は転送先も記録
+                  if (e.finalUrl) {
+                    errorDetails.finalUrl = e.finalUrl;
+                    errorDetails.redirects = e.redirects;
+                  }
+                  
                   errorManager.addError(tweetId, errorType, errorDetails);
+                  manifestEntries.push(describeFailure({ index, type: 'video_cover', sourceUrl: media.cover, filename: coverName }, errorType));
                   // 失敗時はファイルを削除（念のため）
                   if (fs.existsSync(coverPath)) {
                     fs.unlinkSync(coverPath);
@@ -403,6 +1016,7 @@ async function processTweetDir(tweetId) {
           } else {
             console.log(`既に存在: ${coverPath}`);
             skipCount++;
+            manifestEntries.push(await describeExisting(coverPath, { index, type: 'video_cover', sourceUrl: media.cover, variant: null }));
           }
         } else {
           console.log(`サムネイルファイル名を取得できません: ${media.cover}`);
@@ -418,6 +1032,17 @@ async function processTweetDir(tweetId) {
   if (downloadTasks.length > 0) {
     await Promise.all(downloadTasks);
   }
+
+  if (manifestEntries.length > 0) {
+    try {
+      saveManifest(tweetDir, tweetId, manifestEntries, previousManifest);
+    } catch (e) {
+      console.log(`マニフェスト書き込み失敗: ${tweetDir} - ${e.message}`);
+    }
+    store.replaceTweetMedia(tweetId, manifestEntries);
+    mediaIndex.updateTweet(tweetId, manifestEntries);
+    await dedupeTweetFiles(tweetId, manifestEntries);
+  }
   
   return { 
     tweetId, 
@@ -432,9 +1057,23 @@ async function processTweetDir(tweetId) {
 async function main() {
   console.log('=== メディアチェック・ダウンロード処理開始 ===');
   
-  // バッチモードを有効化
-  errorManager.setBatchMode(true);
+  loadConfig();
+  console.log(`写真の画質: ${CONFIG.imageQuality}, 重複排除: ${CONFIG.dedupe}`);
+  console.log(`動画の選び方: ${CONFIG.videoPolicy}${CONFIG.videoKeepAllVariants ? ' (全てのバリアントを保存)' : ''}`);
+  
+  // 他のスクリプト（npm run download など）が処理状況を更新中なら、何もせずに終わる
+  try {
+    acquireStateLock('media-check-and-download');
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  store = getStateStore();
+  errorManager = new ErrorManager(store);
+  mediaIndex = new MediaIndex();
   
+  // エラー記録は1件ごとに state.db へ書き込む
+  // （ダウンロード中ずっとトランザクションを開いたままにすると、途中で止めたときにそれまでの記録が全て取り消されるため、バッチモードは使わない）
   const tweetIds = getTweetIds();
   console.log(`処理対象ツイート数: ${tweetIds.length}`);
   
@@ -443,12 +1082,14 @@ async function main() {
     return;
   }
   
+  // 実行前の state.db を state.db.bak.1 に残す
+  store.backup();
+  const runId = store.startRun('media-check-and-download');
+  
   // バッチ処理でツイートを処理
   const results = await processBatch(tweetIds, processTweetDir);
   
-  // エラーファイルを保存
-  console.log('\nエラーファイルを保存中...');
-  errorManager.saveErrors();
+  mediaIndex.saveIndex();
   
   // 結果統計
   const stats = {
@@ -471,6 +1112,15 @@ async function main() {
   console.log(`ダウンロード失敗: ${stats.totalErrors}`);
   console.log(`ファイルスキップ: ${stats.totalSkips}`);
   console.log(`総ダウンロード試行: ${stats.totalDownloads}`);
+  store.finishRun(runId, 'completed', stats);
+
+  // 同じ内容のファイルの統計
+  const indexStats = mediaIndex.getStatistics();
+  console.log(`\n保存済みファイル: ${indexStats.total_files} (内容の種類: ${indexStats.unique_blobs})`);
+  console.log(`重複ファイル: ${indexStats.duplicate_files} (${indexStats.duplicate_bytes} バイト)`);
+  if (CONFIG.dedupe !== DEDUPE_MODES.OFF) {
+    console.log(`重複排除 (${CONFIG.dedupe}): ${dedupedCount} ファイルをハードリンクに置き換えました`);
+  }
   
   // エラー統計の表示
   errorManager.printSummary();
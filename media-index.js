@@ -0,0 +1,235 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR } = require('./data-dir');
+const { MANIFEST_FILE_NAME, loadManifest } = require('./media-manifest');
+const { BACKUP_COUNT, checkVersion, readJSONWithBackups, writeJSONAtomic } = require('./state-file');
+
+// 全ツイートの保存済みメディアを SHA-256 で引けるようにした索引
+// {
+//   "schemaVersion": 1,
+//   "blobs": {
+//     "<sha256>": { "size": 12345, "files": ["<tweetId>/<filename>", ...] }
+//   }
+// }
+// files は downloads フォルダからの相対パス（区切りは常に "/"）
+const INDEX_FILE_PATH = path.join(DATA_DIR, 'media-index.json');
+// schemaVersion を付ける前の索引は blobs だけを持つ（バージョン 0 として読む）
+const INDEX_SCHEMA_VERSION = 1;
+const DOWNLOADS_DIR = path.join(DATA_DIR, 'downloads');
+// dedupe: 'store' で使う、内容のハッシュをファイル名にした保存先
+const STORE_DIR = path.join(DATA_DIR, 'media-store');
+
+// 重複ファイルの扱い
+const DEDUPE_MODES = {
+  OFF: 'off',           // 何もしない（ツイートごとに別々のファイル）
+  HARDLINK: 'hardlink', // 同じ内容の既存ファイルへのハードリンクに置き換える
+  STORE: 'store'        // media-store/ に1つだけ置き、各ツイートフォルダからはハードリンクする
+};
+
+function toRelativePath(tweetId, filename) {
+  return `${tweetId}/${filename}`;
+}
+
+// 索引の管理クラス
+class MediaIndex {
+  // options.empty: 索引ファイルを読まずに空から始める（rebuild 用。新しいバージョンや壊れた索引でも作り直せるように）
+  constructor(indexPath = INDEX_FILE_PATH, options = {}) {
+    this.indexPath = indexPath;
+    this.index = options.empty ? { schemaVersion: INDEX_SCHEMA_VERSION, blobs: {} } : this.loadIndex();
+    // ファイル → ハッシュの逆引き（ファイルには保存しない）
+    this.fileHashes = new Map();
+    for (const [sha256, blob] of Object.entries(this.index.blobs)) {
+      for (const file of blob.files) {
+        this.fileHashes.set(file, sha256);
+      }
+    }
+  }
+
+  // 索引ファイルの読み込み（壊れていればバックアップから読む）
+  // 索引は各ツイートの media-manifest.json から作り直せるので、どれも読めなければ空から始める
+  loadIndex() {
+    let index = null;
+    try {
+      index = readJSONWithBackups(this.indexPath);
+    } catch (error) {
+      console.error(`メディア索引の読み込みに失敗しました: ${error.message}`);
+      console.error('node media-utils.js rebuild で作り直せます');
+    }
+    if (index) {
+      checkVersion(index.schemaVersion, INDEX_SCHEMA_VERSION, `メディア索引 ${this.indexPath}`);
+    }
+    if (index && index.blobs) {
+      return { schemaVersion: INDEX_SCHEMA_VERSION, blobs: index.blobs };
+    }
+    return { schemaVersion: INDEX_SCHEMA_VERSION, blobs: {} };
+  }
+
+  // 索引ファイルの保存（一時ファイルに書いてから置き換え、前の世代をバックアップに残す）
+  saveIndex() {
+    try {
+      writeJSONAtomic(this.indexPath, this.index, { backups: BACKUP_COUNT });
+    } catch (error) {
+      console.error(`メディア索引の保存に失敗しました: ${error.message}`);
+    }
+  }
+
+  // ファイルを索引から外す
+  removeFile(file) {
+    const sha256 = this.fileHashes.get(file);
+    if (!sha256) return;
+    const blob = this.index.blobs[sha256];
+    blob.files = blob.files.filter(f => f !== file);
+    if (blob.files.length === 0) {
+      delete this.index.blobs[sha256];
+    }
+    this.fileHashes.delete(file);
+  }
+
+  // ファイルを索引に追加する（既に別の内容で登録されていれば置き換える）
+  addFile(file, sha256, size) {
+    if (this.fileHashes.get(file) === sha256) return;
+    this.removeFile(file);
+    if (!this.index.blobs[sha256]) {
+      this.index.blobs[sha256] = { size, files: [] };
+    }
+    this.index.blobs[sha256].files.push(file);
+    this.fileHashes.set(file, sha256);
+  }
+
+  // ツイートのマニフェストのエントリで、そのツイートの登録内容を置き換える
+  updateTweet(tweetId, entries) {
+    const prefix = `${tweetId}/`;
+    const current = new Set(
+      entries
+        .filter(entry => entry.status === 'downloaded' && entry.sha256)
+        .map(entry => toRelativePath(tweetId, entry.filename))
+    );
+    for (const file of Array.from(this.fileHashes.keys())) {
+      if (file.startsWith(prefix) && !current.has(file)) {
+        this.removeFile(file);
+      }
+    }
+    for (const entry of entries) {
+      if (entry.status === 'downloaded' && entry.sha256) {
+        this.addFile(toRelativePath(tweetId, entry.filename), entry.sha256, entry.size);
+      }
+    }
+  }
+
+  // 同じ内容のファイルの一覧
+  getFiles(sha256) {
+    const blob = this.index.blobs[sha256];
+    return blob ? blob.files.slice() : [];
+  }
+
+  // 2つ以上のファイルが同じ内容になっているもの
+  getDuplicates() {
+    return Object.entries(this.index.blobs)
+      .filter(([, blob]) => blob.files.length > 1)
+      .map(([sha256, blob]) => ({ sha256, size: blob.size, files: blob.files.slice() }))
+      .sort((a, b) => b.size * (b.files.length - 1) - a.size * (a.files.length - 1));
+  }
+
+  // 統計情報
+  getStatistics() {
+    const blobs = Object.values(this.index.blobs);
+    const totalFiles = blobs.reduce((sum, blob) => sum + blob.files.length, 0);
+    return {
+      unique_blobs: blobs.length,
+      total_files: totalFiles,
+      duplicate_files: totalFiles - blobs.length,
+      duplicate_bytes: blobs.reduce((sum, blob) => sum + blob.size * (blob.files.length - 1), 0)
+    };
+  }
+
+  // downloads 内の全マニフェストから索引を作り直す
+  // 新しいバージョンのマニフェストなど、扱えないものはそのツイートだけ飛ばす
+  // 戻り値: { tweets: 索引に入れたツイート数, skipped: 飛ばしたツイート数 }
+  rebuild(downloadsDir = DOWNLOADS_DIR) {
+    this.index = { schemaVersion: INDEX_SCHEMA_VERSION, blobs: {} };
+    this.fileHashes = new Map();
+    let tweets = 0;
+    let skipped = 0;
+    for (const tweetId of fs.readdirSync(downloadsDir)) {
+      const tweetDir = path.join(downloadsDir, tweetId);
+      if (!fs.existsSync(path.join(tweetDir, MANIFEST_FILE_NAME))) continue;
+      let manifest;
+      try {
+        manifest = loadManifest(tweetDir);
+      } catch (e) {
+        console.log(`マニフェストを扱えないためスキップ: ${tweetId} - ${e.message}`);
+        skipped++;
+        continue;
+      }
+      if (manifest && Array.isArray(manifest.media)) {
+        this.updateTweet(tweetId, manifest.media);
+        tweets++;
+      }
+    }
+    return { tweets, skipped };
+  }
+}
+
+// 同じ内容のファイルを1つにまとめる（ツイートフォルダ内のファイル名はそのまま）
+// mode: DEDUPE_MODES のいずれか
+// 戻り値: ハードリンクに置き換えたら true
+// ハードリンクに対応していないファイルシステムなどで失敗した場合は、コピーのまま残して例外を投げる
+async function dedupeFile(mediaIndex, tweetId, filename, sha256, mode, downloadsDir = DOWNLOADS_DIR, storeDir = STORE_DIR) {
+  if (!mode || mode === DEDUPE_MODES.OFF) return false;
+
+  const filePath = path.join(downloadsDir, tweetId, filename);
+  let sourcePath = null;
+
+  if (mode === DEDUPE_MODES.STORE) {
+    sourcePath = path.join(storeDir, sha256.slice(0, 2), sha256 + path.extname(filename).toLowerCase());
+    if (!(await fs.pathExists(sourcePath))) {
+      await fs.ensureDir(path.dirname(sourcePath));
+      try {
+        await fs.link(filePath, sourcePath);
+      } catch (error) {
+        // 同じ内容を並行して登録した場合
+        if (error.code !== 'EEXIST') throw error;
+      }
+    }
+  } else if (mode === DEDUPE_MODES.HARDLINK) {
+    // 索引に先に登録されている、同じ内容の別ファイルを元にする
+    const self = toRelativePath(tweetId, filename);
+    const { size } = await fs.stat(filePath);
+    for (const file of mediaIndex.getFiles(sha256)) {
+      if (file === self) break;
+      const candidate = path.join(downloadsDir, ...file.split('/'));
+      try {
+        if ((await fs.stat(candidate)).size === size) {
+          sourcePath = candidate;
+          break;
+        }
+      } catch {
+        // 消されたファイルは使わない
+      }
+    }
+    if (!sourcePath) return false;
+  } else {
+    throw new Error(`未対応の重複排除モードです: ${mode} (対応: ${Object.values(DEDUPE_MODES).join(', ')})`);
+  }
+
+  const [fileStat, sourceStat] = await Promise.all([fs.stat(filePath), fs.stat(sourcePath)]);
+  if (fileStat.ino === sourceStat.ino && fileStat.dev === sourceStat.dev) {
+    return false;
+  }
+
+  // 一時ファイルとしてリンクを作ってから置き換える（途中で失敗しても元のファイルは残る）
+  const tempPath = `${filePath}.link`;
+  await fs.remove(tempPath);
+  await fs.link(sourcePath, tempPath);
+  await fs.rename(tempPath, filePath);
+  return true;
+}
+
+module.exports = {
+  DEDUPE_MODES,
+  INDEX_FILE_PATH,
+  INDEX_SCHEMA_VERSION,
+  MediaIndex,
+  STORE_DIR,
+  dedupeFile
+};
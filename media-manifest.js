@@ -0,0 +1,148 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { computeFileHashes } = require('./perceptual-hash');
+const { checkVersion, writeJSONAtomic } = require('./state-file');
+
+// 各ツイートフォルダに置く、保存したメディアの一覧
+// 例:
+// {
+//   "schemaVersion": 1,
+//   "tweetId": "123",
+//   "updatedAt": "2024-01-01T00:00:00.000Z",
+//   "media": [
+//     { "index": 0, "type": "photo", "sourceUrl": "...", "url": "...", "variant": { "quality": "orig" },
+//       "filename": "AbC.jpg", "size": 12345, "sha256": "...", "downloadedAt": "...", "status": "downloaded",
+//       "perceptualHash": { "ahash": "...", "dhash": "...", "phash": "..." } }
+//   ]
+// }
+// type: photo / video / animated_gif / video_cover（動画・GIF 1件につき本体と video_cover の2エントリになる）
+//   animated_gif は GIF として投稿された MP4（ループ再生する）。mediaSettings.markAnimatedGif が false なら video
+// status: downloaded（保存済み）/ failed（保存できなかった。error にエラータイプ）
+// variant: 写真は { quality }、動画は { bitrate, contentType, resolution, policy }（policy は選んだときの videoPolicy）
+//   再実行時は記録済みのバリアントをそのまま使う
+// perceptualHash: 写真のみ。perceptual-hash.js で計算した知覚ハッシュ（JPEG / PNG 以外は null）
+const MANIFEST_FILE_NAME = 'media-manifest.json';
+// バージョン 1 で先頭に schemaVersion を置くようにした（それより前のマニフェストは他の項目が同じで schemaVersion が無い）
+const MANIFEST_SCHEMA_VERSION = 1;
+
+// 同じメディア内で並べる順番
+const TYPE_ORDER = ['photo', 'video', 'animated_gif', 'video_cover'];
+
+function getManifestPath(tweetDir) {
+  return path.join(tweetDir, MANIFEST_FILE_NAME);
+}
+
+// マニフェストを読み込む（無い・壊れている場合は null）
+function loadManifest(tweetDir) {
+  let manifest;
+  try {
+    manifest = fs.readJSONSync(getManifestPath(tweetDir));
+  } catch {
+    return null;
+  }
+  checkVersion(manifest.schemaVersion, MANIFEST_SCHEMA_VERSION, `マニフェスト ${getManifestPath(tweetDir)}`);
+  return manifest;
+}
+
+// ファイルの SHA-256 を計算する（大きな動画でもメモリに載せないようストリームで読む）
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// 写真の知覚ハッシュを計算する（読めない画像なら null）
+async function computePhotoHashes(filePath) {
+  try {
+    return await computeFileHashes(filePath);
+  } catch (error) {
+    console.log(`知覚ハッシュを計算できません: ${filePath} - ${error.message}`);
+    return null;
+  }
+}
+
+// 保存済みファイルのエントリを作る
+// previous: 前回のマニフェストの同じファイルのエントリ（サイズが変わっていなければハッシュを再計算しない）
+async function describeFile(filePath, entry, previous = null) {
+  const stat = await fs.stat(filePath);
+  const unchanged = !!(previous && previous.sha256 && previous.size === stat.size);
+  const described = {
+    index: entry.index,
+    type: entry.type,
+    sourceUrl: entry.sourceUrl,
+    url: entry.url || entry.sourceUrl,
+    variant: entry.variant || null,
+    filename: path.basename(filePath),
+    size: stat.size,
+    sha256: unchanged ? previous.sha256 : await hashFile(filePath),
+    downloadedAt: entry.downloadedAt || (unchanged && previous.downloadedAt) || stat.mtime.toISOString(),
+    status: 'downloaded'
+  };
+  if (entry.type === 'photo') {
+    described.perceptualHash = unchanged && previous.perceptualHash !== undefined
+      ? previous.perceptualHash
+      : await computePhotoHashes(filePath);
+  }
+  return described;
+}
+
+// 保存できなかったファイルのエントリを作る
+function describeFailure(entry, errorType) {
+  return {
+    index: entry.index,
+    type: entry.type,
+    sourceUrl: entry.sourceUrl,
+    filename: entry.filename,
+    status: 'failed',
+    error: errorType
+  };
+}
+
+// 全てのバリアントを保存する場合は同じ index・type が複数になるので、最後はファイル名で並べる
+function sortEntries(entries) {
+  return entries.slice().sort((a, b) =>
+    a.index - b.index ||
+    TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type) ||
+    (a.filename < b.filename ? -1 : a.filename > b.filename ? 1 : 0)
+  );
+}
+
+// マニフェストを保存する（内容もバージョンも前回と同じなら書き込まない）
+// 戻り値: 書き込んだかどうか
+function saveManifest(tweetDir, tweetId, entries, previous = loadManifest(tweetDir)) {
+  const media = sortEntries(entries);
+  if (previous && previous.schemaVersion === MANIFEST_SCHEMA_VERSION && JSON.stringify(previous.media) === JSON.stringify(media)) {
+    return false;
+  }
+  writeJSONAtomic(getManifestPath(tweetDir), {
+    schemaVersion: MANIFEST_SCHEMA_VERSION,
+    tweetId,
+    updatedAt: new Date().toISOString(),
+    media
+  });
+  return true;
+}
+
+// 前回のマニフェストからファイル名でエントリを探す
+function findEntry(manifest, filename) {
+  if (!manifest || !Array.isArray(manifest.media)) return null;
+  return manifest.media.find(entry => entry.filename === filename) || null;
+}
+
+module.exports = {
+  MANIFEST_FILE_NAME,
+  MANIFEST_SCHEMA_VERSION,
+  describeFailure,
+  describeFile,
+  computePhotoHashes,
+  findEntry,
+  getManifestPath,
+  hashFile,
+  loadManifest,
+  saveManifest
+};
@@ -0,0 +1,238 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR } = require('./data-dir');
+const { INDEX_FILE_PATH, MediaIndex } = require('./media-index');
+const { MANIFEST_FILE_NAME, computePhotoHashes, getManifestPath, loadManifest } = require('./media-manifest');
+const { HASH_ALGORITHMS, groupSimilar, hammingDistance } = require('./perceptual-hash');
+const { acquireStateLock, writeJSONAtomic } = require('./state-file');
+
+const DOWNLOADS_DIR = path.join(DATA_DIR, 'downloads');
+
+// similar のデフォルト（pHash で 64 ビット中 8 ビット以内の差を「ほぼ同じ」とみなす）
+const DEFAULT_ALGORITHM = 'phash';
+const DEFAULT_THRESHOLD = 8;
+
+// コマンドライン引数の処理
+const args = process.argv.slice(2);
+const command = args[0];
+
+function printUsage() {
+  console.log(`
+メディア索引ユーティリティ
+
+使用方法:
+  node media-utils.js <command> [options]
+
+コマンド:
+  summary                 - 保存済みファイルと重複の統計を表示
+  duplicates [件数]       - 同じ内容のファイルを、無駄になっている容量の大きい順に表示
+  rebuild                 - downloads 内の media-manifest.json から索引を作り直す
+  similar [閾値] [--algorithm=phash|dhash|ahash] [--output=<file>]
+                          - 知覚ハッシュが近い（再圧縮・リサイズされただけの）写真をグループにして表示
+                            閾値はハミング距離（デフォルト: ${DEFAULT_THRESHOLD}）
+                            --output を付けるとグループを JSON でも保存する
+  help                    - このヘルプを表示
+`);
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+function showSummary(mediaIndex) {
+  const stats = mediaIndex.getStatistics();
+  console.log('\n=== メディア索引 ===');
+  console.log(`保存済みファイル: ${stats.total_files}件`);
+  console.log(`内容の種類: ${stats.unique_blobs}件`);
+  console.log(`重複ファイル: ${stats.duplicate_files}件 (${formatBytes(stats.duplicate_bytes)})`);
+}
+
+function showDuplicates(mediaIndex, limit) {
+  const duplicates = mediaIndex.getDuplicates();
+  if (duplicates.length === 0) {
+    console.log('同じ内容のファイルはありません');
+    return;
+  }
+
+  const shown = limit ? duplicates.slice(0, limit) : duplicates;
+  console.log(`\n=== 同じ内容のファイル (${duplicates.length}組) ===`);
+  shown.forEach(({ sha256, size, files }) => {
+    console.log(`\n${sha256} (${formatBytes(size)} × ${files.length})`);
+    files.forEach(file => console.log(`  ${file}`));
+  });
+  if (shown.length < duplicates.length) {
+    console.log(`\n...他 ${duplicates.length - shown.length}組`);
+  }
+}
+
+function rebuildIndex() {
+  acquireStateLock('media-utils');
+  // 今の索引は読まない（新しいバージョンや壊れた索引でも作り直せるように）
+  const mediaIndex = new MediaIndex(INDEX_FILE_PATH, { empty: true });
+  const { tweets, skipped } = mediaIndex.rebuild();
+  mediaIndex.saveIndex();
+  console.log(`${tweets}件のツイートのマニフェストから索引を作り直しました`);
+  if (skipped > 0) {
+    console.log(`マニフェストを扱えずスキップしたツイート: ${skipped}件`);
+  }
+  showSummary(mediaIndex);
+}
+
+// 全ツイートの写真と知覚ハッシュを集める
+// 知覚ハッシュが入っていない古いマニフェストは、ここで計算して書き戻す
+async function collectPhotos() {
+  const photos = [];
+  let updatedManifests = 0;
+  let skipped = 0;
+  const tweetIds = fs.existsSync(DOWNLOADS_DIR) ? fs.readdirSync(DOWNLOADS_DIR) : [];
+
+  for (const tweetId of tweetIds) {
+    const tweetDir = path.join(DOWNLOADS_DIR, tweetId);
+    if (!fs.existsSync(path.join(tweetDir, MANIFEST_FILE_NAME))) continue;
+    // 新しいバージョンのマニフェストがあるツイートは飛ばす（他のツイートは続ける）
+    let manifest;
+    try {
+      manifest = loadManifest(tweetDir);
+    } catch (e) {
+      console.log(`マニフェストを扱えないためスキップ: ${tweetId} - ${e.message}`);
+      skipped++;
+      continue;
+    }
+    if (!manifest || !Array.isArray(manifest.media)) continue;
+
+    let changed = false;
+    for (const entry of manifest.media) {
+      if (entry.type !== 'photo' || entry.status !== 'downloaded') continue;
+      const filePath = path.join(tweetDir, entry.filename);
+      if (entry.perceptualHash === undefined && fs.existsSync(filePath)) {
+        entry.perceptualHash = await computePhotoHashes(filePath);
+        changed = true;
+      }
+      if (entry.perceptualHash) {
+        photos.push({ file: `${tweetId}/${entry.filename}`, sha256: entry.sha256, size: entry.size, hashes: entry.perceptualHash });
+      }
+    }
+    if (changed) {
+      writeJSONAtomic(getManifestPath(tweetDir), manifest);
+      updatedManifests++;
+    }
+  }
+
+  if (updatedManifests > 0) {
+    console.log(`${updatedManifests}件のマニフェストに知覚ハッシュを追加しました`);
+  }
+  if (skipped > 0) {
+    console.log(`マニフェストを扱えずスキップしたツイート: ${skipped}件`);
+  }
+  return photos;
+}
+
+async function showSimilar(options) {
+  const algorithm = options.algorithm || DEFAULT_ALGORITHM;
+  if (!HASH_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`未対応のアルゴリズムです: ${algorithm} (対応: ${HASH_ALGORITHMS.join(', ')})`);
+  }
+  const threshold = options.threshold !== undefined ? Number(options.threshold) : DEFAULT_THRESHOLD;
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    throw new Error(`閾値は0以上の整数で指定してください: ${options.threshold}`);
+  }
+
+  const photos = await collectPhotos();
+
+  // 完全に同じファイル（duplicates で確認できるもの）は1つにまとめてから比べる
+  const blobs = new Map();
+  for (const photo of photos) {
+    const key = photo.sha256 || photo.file;
+    if (!blobs.has(key)) {
+      blobs.set(key, { hash: photo.hashes[algorithm], size: photo.size, files: [] });
+    }
+    blobs.get(key).files.push(photo.file);
+  }
+
+  const groups = groupSimilar(Array.from(blobs.values()), threshold)
+    .map(group => {
+      // 一番大きいファイルを基準にして、残すものを選びやすくする
+      const sorted = group.slice().sort((a, b) => b.size - a.size);
+      return sorted.map(item => ({
+        files: item.files,
+        size: item.size,
+        hash: item.hash,
+        distance: hammingDistance(sorted[0].hash, item.hash)
+      }));
+    })
+    .sort((a, b) => b.length - a.length);
+
+  console.log(`\n=== 見た目が近い写真 (${algorithm}, 距離 ${threshold} 以内) ===`);
+  console.log(`対象の写真: ${photos.length}件 / グループ: ${groups.length}組`);
+  groups.forEach((group, index) => {
+    console.log(`\nグループ ${index + 1}`);
+    group.forEach(item => {
+      item.files.forEach(file => {
+        console.log(`  [距離 ${String(item.distance).padStart(2)}] ${file} (${formatBytes(item.size)})`);
+      });
+    });
+  });
+
+  if (options.output) {
+    const outputPath = path.resolve(DATA_DIR, options.output);
+    fs.writeJSONSync(outputPath, { algorithm, threshold, generatedAt: new Date().toISOString(), groups }, { spaces: 2 });
+    console.log(`\nレポートを保存しました: ${outputPath}`);
+  }
+}
+
+// "--name=value" 形式のオプションと、それ以外の引数を分ける
+function parseOptions(argv) {
+  const options = { positional: [] };
+  for (const arg of argv) {
+    const match = arg.match(/^--([a-z-]+)=(.*)$/);
+    if (match) {
+      options[match[1]] = match[2];
+    } else {
+      options.positional.push(arg);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  try {
+    switch (command) {
+      // 表示だけなのでロックは取らない（索引は一時ファイル経由で置き換えられる）
+      case 'summary':
+        showSummary(new MediaIndex());
+        break;
+      case 'duplicates':
+        showDuplicates(new MediaIndex(), args[1] ? Number(args[1]) : null);
+        break;
+      case 'rebuild':
+        rebuildIndex();
+        break;
+      case 'similar': {
+        // 知覚ハッシュの無いマニフェストを書き換えるので、他のスクリプトと同時に動かさない
+        acquireStateLock('media-utils');
+        const options = parseOptions(args.slice(1));
+        await showSimilar({ ...options, threshold: options.positional[0] });
+        break;
+      }
+      case 'help':
+      case '--help':
+      case '-h':
+        printUsage();
+        break;
+      default:
+        console.error('不明なコマンドです');
+        printUsage();
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error(`エラーが発生しました: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// スクリプト実行
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,670 @@
+const fs = require('fs-extra');
+const zlib = require('zlib');
+
+// 知覚ハッシュ（aHash / dHash / pHash）
+// 再圧縮やリサイズされただけの「見た目が同じ画像」を見つけるためのもの
+// 外部ライブラリを使わず、JPEG / PNG から縮小したグレースケール画像を取り出して計算する
+//   JPEG: 各 8x8 ブロックの DC 成分（＝ブロックの平均輝度）だけを復号し、1/8 サイズの画像として使う
+//         IDCT をしないので速く、プログレッシブ JPEG も最初の DC スキャンだけで済む
+//   PNG:  展開して輝度に変換しながら縮小する
+
+const HASH_ALGORITHMS = ['ahash', 'dhash', 'phash'];
+
+// PNG を縮小するときの長辺の上限（ハッシュは 32x32 以下から作るので十分）
+const MAX_DECODE_SIZE = 512;
+
+// ---- JPEG ----
+
+// ハフマン表（JPEG 仕様 Annex C の方法で、符号長ごとの最小・最大符号を作る）
+function buildHuffmanTable(counts, symbols) {
+  const maxCode = new Int32Array(18).fill(-1);
+  const valPtr = new Int32Array(17);
+  const minCode = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    valPtr[length] = k;
+    minCode[length] = code;
+    code += counts[length - 1];
+    k += counts[length - 1];
+    maxCode[length] = counts[length - 1] > 0 ? code - 1 : -1;
+    code <<= 1;
+  }
+  maxCode[17] = 0x7fffffff;
+  return { maxCode, valPtr, minCode, symbols };
+}
+
+// エントロピー符号化されたデータを1ビットずつ読む
+// 0xFF 0x00 は 0xFF として扱い、マーカーに当たったら以降は 0 を返す
+class BitReader {
+  constructor(data, pos) {
+    this.data = data;
+    this.pos = pos;
+    this.bits = 0;
+    this.bitCount = 0;
+  }
+
+  readBit() {
+    if (this.bitCount === 0) {
+      if (this.pos >= this.data.length) return 0;
+      const byte = this.data[this.pos];
+      if (byte === 0xff) {
+        const next = this.data[this.pos + 1];
+        if (next !== 0x00) return 0;
+        this.pos += 2;
+      } else {
+        this.pos++;
+      }
+      this.bits = byte;
+      this.bitCount = 8;
+    }
+    this.bitCount--;
+    return (this.bits >> this.bitCount) & 1;
+  }
+
+  receive(length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+      value = (value << 1) | this.readBit();
+    }
+    return value;
+  }
+
+  // 符号化された差分値を読む（JPEG 仕様の RECEIVE + EXTEND）
+  receiveExtend(length) {
+    if (length === 0) return 0;
+    const value = this.receive(length);
+    return value < (1 << (length - 1)) ? value - (1 << length) + 1 : value;
+  }
+
+  decodeHuffman(table) {
+    let code = this.readBit();
+    let length = 1;
+    while (code > table.maxCode[length]) {
+      code = (code << 1) | this.readBit();
+      length++;
+      if (length > 16) {
+        throw new Error('JPEGのハフマン符号が壊れています');
+      }
+    }
+    return table.symbols[table.valPtr[length] + code - table.minCode[length]];
+  }
+
+  // リスタートマーカー（RST0〜RST7）を読み飛ばし、バイト境界から読み直す
+  restart() {
+    this.bitCount = 0;
+    while (this.pos + 1 < this.data.length) {
+      if (this.data[this.pos] === 0xff && this.data[this.pos + 1] >= 0xd0 && this.data[this.pos + 1] <= 0xd7) {
+        this.pos += 2;
+        return;
+      }
+      if (this.data[this.pos] === 0xff && this.data[this.pos + 1] !== 0x00 && this.data[this.pos + 1] !== 0xff) {
+        return;
+      }
+      this.pos++;
+    }
+  }
+}
+
+// スキャンデータの終わり（RST 以外のマーカーの位置）を探す
+function findScanEnd(data, pos) {
+  while (pos + 1 < data.length) {
+    if (data[pos] === 0xff) {
+      const next = data[pos + 1];
+      if (next !== 0x00 && !(next >= 0xd0 && next <= 0xd7) && next !== 0xff) {
+        return pos;
+      }
+    }
+    pos++;
+  }
+  return data.length;
+}
+
+// 1つのスキャンを復号し、輝度成分の DC 係数を dcValues に書き込む
+function decodeScan(data, pos, frame, scan, huffman, restartInterval) {
+  const reader = new BitReader(data, pos);
+  const baseline = !frame.progressive;
+  const single = scan.components.length === 1;
+
+  // 非インターリーブのスキャンは成分自身のブロック数で並ぶ
+  const mcusPerLine = single ? scan.components[0].blocksPerLine : frame.mcusPerLine;
+  const mcusPerColumn = single ? scan.components[0].blocksPerColumn : frame.mcusPerColumn;
+
+  const decodeBlock = (component, blockRow, blockCol) => {
+    const dcTable = huffman.dc[component.dcTable];
+    if (!dcTable) throw new Error('JPEGのハフマン表がありません');
+    const category = reader.decodeHuffman(dcTable);
+    component.pred += reader.receiveExtend(category);
+    if (component.isLuma) {
+      frame.dcValues[blockRow * frame.lumaStride + blockCol] = component.pred << scan.al;
+    }
+
+    // ベースラインでは AC 係数も読み進める必要がある（値は使わない）
+    if (baseline) {
+      const acTable = huffman.ac[component.acTable];
+      if (!acTable) throw new Error('JPEGのハフマン表がありません');
+      let k = 1;
+      while (k < 64) {
+        const rs = reader.decodeHuffman(acTable);
+        const run = rs >> 4;
+        const size = rs & 15;
+        if (size === 0) {
+          if (run !== 15) break;
+          k += 16;
+        } else {
+          reader.receive(size);
+          k += run + 1;
+        }
+      }
+    }
+  };
+
+  let mcu = 0;
+  const totalMcus = mcusPerLine * mcusPerColumn;
+  while (mcu < totalMcus) {
+    const mcuRow = Math.floor(mcu / mcusPerLine);
+    const mcuCol = mcu % mcusPerLine;
+    if (single) {
+      decodeBlock(scan.components[0], mcuRow, mcuCol);
+    } else {
+      for (const component of scan.components) {
+        for (let v = 0; v < component.v; v++) {
+          for (let h = 0; h < component.h; h++) {
+            decodeBlock(component, mcuRow * component.v + v, mcuCol * component.h + h);
+          }
+        }
+      }
+    }
+    mcu++;
+
+    if (restartInterval && mcu % restartInterval === 0 && mcu < totalMcus) {
+      reader.restart();
+      for (const component of scan.components) {
+        component.pred = 0;
+      }
+    }
+  }
+
+  return findScanEnd(data, reader.pos);
+}
+
+// JPEG から 1/8 サイズのグレースケール画像を取り出す
+function decodeJpegLuma(data) {
+  if (data[0] !== 0xff || data[1] !== 0xd8) return null;
+
+  const quantTables = [];
+  const huffman = { dc: [], ac: [] };
+  let frame = null;
+  let restartInterval = 0;
+  let pos = 2;
+
+  while (pos + 4 <= data.length) {
+    if (data[pos] !== 0xff) {
+      pos++;
+      continue;
+    }
+    const marker = data[pos + 1];
+    if (marker === 0xff) {
+      pos++;
+      continue;
+    }
+    if (marker === 0xd9) break;
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7)) {
+      pos += 2;
+      continue;
+    }
+
+    const length = data.readUInt16BE(pos + 2);
+    const segment = data.subarray(pos + 4, pos + 2 + length);
+    pos += 2 + length;
+
+    if (marker === 0xdb) {
+      // DQT: 各表の先頭（DC の量子化値）だけを使う
+      let p = 0;
+      while (p < segment.length) {
+        const precision = segment[p] >> 4;
+        const id = segment[p] & 15;
+        quantTables[id] = precision ? segment.readUInt16BE(p + 1) : segment[p + 1];
+        p += 1 + (precision ? 128 : 64);
+      }
+    } else if (marker === 0xc4) {
+      // DHT
+      let p = 0;
+      while (p < segment.length) {
+        const tableClass = segment[p] >> 4;
+        const id = segment[p] & 15;
+        const counts = segment.subarray(p + 1, p + 17);
+        const total = counts.reduce((sum, c) => sum + c, 0);
+        const symbols = segment.subarray(p + 17, p + 17 + total);
+        (tableClass === 0 ? huffman.dc : huffman.ac)[id] = buildHuffmanTable(counts, symbols);
+        p += 17 + total;
+      }
+    } else if (marker === 0xdd) {
+      restartInterval = segment.readUInt16BE(0);
+    } else if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+      // SOF0（ベースライン）/ SOF1（拡張）/ SOF2（プログレッシブ）
+      const height = segment.readUInt16BE(1);
+      const width = segment.readUInt16BE(3);
+      const count = segment[5];
+      const components = [];
+      for (let i = 0; i < count; i++) {
+        components.push({
+          id: segment[6 + i * 3],
+          h: segment[7 + i * 3] >> 4,
+          v: segment[7 + i * 3] & 15,
+          quantTable: segment[8 + i * 3],
+          pred: 0,
+          isLuma: i === 0
+        });
+      }
+      if (width === 0 || height === 0 || components.length === 0) return null;
+      const maxH = Math.max(...components.map(c => c.h));
+      const maxV = Math.max(...components.map(c => c.v));
+      const mcusPerLine = Math.ceil(width / (8 * maxH));
+      const mcusPerColumn = Math.ceil(height / (8 * maxV));
+      for (const c of components) {
+        c.blocksPerLine = Math.ceil(Math.ceil((width * c.h) / maxH) / 8);
+        c.blocksPerColumn = Math.ceil(Math.ceil((height * c.v) / maxV) / 8);
+      }
+      const luma = components[0];
+      const lumaStride = mcusPerLine * luma.h;
+      frame = {
+        progressive: marker === 0xc2,
+        width,
+        height,
+        components,
+        mcusPerLine,
+        mcusPerColumn,
+        lumaStride,
+        dcValues: new Int32Array(lumaStride * mcusPerColumn * luma.v)
+      };
+    } else if (marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      // ロスレス・算術符号化などには対応しない
+      return null;
+    } else if (marker === 0xda) {
+      if (!frame) return null;
+      const count = segment[0];
+      const scan = { components: [] };
+      for (let i = 0; i < count; i++) {
+        const component = frame.components.find(c => c.id === segment[1 + i * 2]);
+        if (!component) return null;
+        component.dcTable = segment[2 + i * 2] >> 4;
+        component.acTable = segment[2 + i * 2] & 15;
+        component.pred = 0;
+        scan.components.push(component);
+      }
+      const ss = segment[1 + count * 2];
+      const ah = segment[3 + count * 2] >> 4;
+      scan.al = segment[3 + count * 2] & 15;
+
+      // プログレッシブでは最初の DC スキャンだけを復号し、それ以外は読み飛ばす
+      if (frame.progressive && !(ss === 0 && ah === 0)) {
+        pos = findScanEnd(data, pos);
+      } else {
+        pos = decodeScan(data, pos, frame, scan, huffman, restartInterval);
+      }
+    }
+  }
+
+  if (!frame) return null;
+
+  // DC 係数 × 量子化値 ÷ 8 がブロックの平均輝度（-128〜127）になる
+  const luma = frame.components[0];
+  const quant = quantTables[luma.quantTable] || 1;
+  const width = luma.blocksPerLine;
+  const height = luma.blocksPerColumn;
+  const pixels = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels[y * width + x] = (frame.dcValues[y * frame.lumaStride + x] * quant) / 8 + 128;
+    }
+  }
+  return { width, height, pixels };
+}
+
+// ---- PNG ----
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// PNG を展開し、輝度に変換しながら MAX_DECODE_SIZE 以下に縮小する
+function decodePngLuma(data) {
+  const signature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  if (data.length < 8 || !data.subarray(0, 8).equals(signature)) return null;
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  let pos = 8;
+  while (pos + 8 <= data.length) {
+    const length = data.readUInt32BE(pos);
+    const type = data.toString('latin1', pos + 4, pos + 8);
+    const chunk = data.subarray(pos + 8, pos + 8 + length);
+    pos += 12 + length;
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+  // インターレース（Adam7）には対応しない
+  if (!header || header.interlace !== 0 || idat.length === 0) return null;
+
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+  if (!channels) return null;
+  const { width, height, bitDepth, colorType } = header;
+  const bitsPerPixel = channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  if (raw.length < (stride + 1) * height) return null;
+
+  const maxSample = (1 << bitDepth) - 1;
+  const sample = (row, index) => {
+    if (bitDepth === 8) return row[index];
+    if (bitDepth === 16) return row[index * 2] << 8 | row[index * 2 + 1];
+    const bit = index * bitDepth;
+    return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+  };
+
+  // 縮小後の1画素に元画像の何画素をまとめるか
+  const factor = Math.max(1, Math.ceil(Math.max(width, height) / MAX_DECODE_SIZE));
+  const outWidth = Math.ceil(width / factor);
+  const outHeight = Math.ceil(height / factor);
+  const sums = new Float64Array(outWidth * outHeight);
+  const counts = new Uint32Array(outWidth * outHeight);
+
+  let previous = Buffer.alloc(stride);
+  let current = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const offset = y * (stride + 1);
+    const filter = raw[offset];
+    for (let i = 0; i < stride; i++) {
+      const x = raw[offset + 1 + i];
+      const a = i >= bytesPerPixel ? current[i - bytesPerPixel] : 0;
+      const b = previous[i];
+      const c = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      let value;
+      switch (filter) {
+        case 0: value = x; break;
+        case 1: value = x + a; break;
+        case 2: value = x + b; break;
+        case 3: value = x + ((a + b) >> 1); break;
+        case 4: value = x + paeth(a, b, c); break;
+        default: return null;
+      }
+      current[i] = value & 0xff;
+    }
+
+    for (let x = 0; x < width; x++) {
+      let r;
+      let g;
+      let b;
+      let alpha = 1;
+      if (colorType === 3) {
+        const index = sample(current, x);
+        if (!palette || index * 3 + 2 >= palette.length) return null;
+        r = palette[index * 3];
+        g = palette[index * 3 + 1];
+        b = palette[index * 3 + 2];
+        if (transparency && index < transparency.length) alpha = transparency[index] / 255;
+      } else {
+        const base = x * channels;
+        const scale = 255 / maxSample;
+        if (colorType === 0 || colorType === 4) {
+          r = g = b = sample(current, base) * scale;
+          if (colorType === 4) alpha = sample(current, base + 1) / maxSample;
+        } else {
+          r = sample(current, base) * scale;
+          g = sample(current, base + 1) * scale;
+          b = sample(current, base + 2) * scale;
+          if (colorType === 6) alpha = sample(current, base + 3) / maxSample;
+        }
+      }
+      // 透明部分は白い背景に重ねた色として扱う
+      const luma = (0.299 * r + 0.587 * g + 0.114 * b) * alpha + 255 * (1 - alpha);
+      const outIndex = Math.floor(y / factor) * outWidth + Math.floor(x / factor);
+      sums[outIndex] += luma;
+      counts[outIndex]++;
+    }
+
+    [previous, current] = [current, previous];
+  }
+
+  const pixels = new Float32Array(outWidth * outHeight);
+  for (let i = 0; i < pixels.length; i++) {
+    pixels[i] = counts[i] ? sums[i] / counts[i] : 0;
+  }
+  return { width: outWidth, height: outHeight, pixels };
+}
+
+// ---- ハッシュ ----
+
+// 画像を指定サイズに縮小する（面積平均。元画像の方が小さい場合は引き伸ばす）
+function resizeArea(image, width, height) {
+  const weights = (from, to) => {
+    const scale = from / to;
+    const result = [];
+    for (let i = 0; i < to; i++) {
+      const start = i * scale;
+      const end = start + scale;
+      const items = [];
+      for (let j = Math.floor(start); j < Math.min(from, Math.ceil(end)); j++) {
+        const overlap = Math.min(end, j + 1) - Math.max(start, j);
+        if (overlap > 0) items.push([j, overlap / scale]);
+      }
+      result.push(items);
+    }
+    return result;
+  };
+
+  const xWeights = weights(image.width, width);
+  const yWeights = weights(image.height, height);
+  const output = new Float64Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (const [sy, wy] of yWeights[y]) {
+        for (const [sx, wx] of xWeights[x]) {
+          sum += image.pixels[sy * image.width + sx] * wy * wx;
+        }
+      }
+      output[y * width + x] = sum;
+    }
+  }
+  return output;
+}
+
+// 64個のビット（true / false）を16桁の16進数にする
+function bitsToHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+// 8x8 に縮小し、平均より明るいかどうか
+function averageHash(image) {
+  const pixels = resizeArea(image, 8, 8);
+  const mean = pixels.reduce((sum, v) => sum + v, 0) / pixels.length;
+  return bitsToHex(Array.from(pixels, v => (v > mean ? 1 : 0)));
+}
+
+// 9x8 に縮小し、右隣より明るいかどうか
+function differenceHash(image) {
+  const pixels = resizeArea(image, 9, 8);
+  const bits = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1 : 0);
+    }
+  }
+  return bitsToHex(bits);
+}
+
+// 32x32 に縮小して DCT し、低周波 8x8 成分が中央値より大きいかどうか
+function perceptionHash(image) {
+  const size = 32;
+  const pixels = resizeArea(image, size, size);
+  const cos = [];
+  for (let u = 0; u < 8; u++) {
+    cos.push(Array.from({ length: size }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size))));
+  }
+  const coefficients = [];
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          sum += pixels[y * size + x] * cos[u][x] * cos[v][y];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+  // 直流成分（全体の明るさ）は中央値の計算から除く
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  return bitsToHex(coefficients.map(c => (c > median ? 1 : 0)));
+}
+
+// 画像データ（JPEG / PNG）を縮小したグレースケール画像にする（未対応の形式なら null）
+function decodeLuma(data) {
+  if (data[0] === 0xff && data[1] === 0xd8) return decodeJpegLuma(data);
+  if (data[0] === 0x89 && data[1] === 0x50) return decodePngLuma(data);
+  return null;
+}
+
+// 画像データから3種類のハッシュを計算する（未対応の形式なら null）
+function computePerceptualHashes(data) {
+  const image = decodeLuma(data);
+  if (!image || image.width === 0 || image.height === 0) return null;
+  return {
+    ahash: averageHash(image),
+    dhash: differenceHash(image),
+    phash: perceptionHash(image)
+  };
+}
+
+async function computeFileHashes(filePath) {
+  return computePerceptualHashes(await fs.readFile(filePath));
+}
+
+// 16進数のハッシュ同士で異なるビットの数
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  }
+  return distance;
+}
+
+// ハミング距離で近いものを探すための BK 木
+class BKTree {
+  constructor() {
+    this.root = null;
+  }
+
+  add(hash, item) {
+    const node = { hash, items: [item], children: new Map() };
+    if (!this.root) {
+      this.root = node;
+      return;
+    }
+    let current = this.root;
+    for (;;) {
+      const distance = hammingDistance(hash, current.hash);
+      if (distance === 0) {
+        current.items.push(item);
+        return;
+      }
+      const child = current.children.get(distance);
+      if (!child) {
+        current.children.set(distance, node);
+        return;
+      }
+      current = child;
+    }
+  }
+
+  // hash から maxDistance 以内の要素を [{ item, distance }] で返す
+  search(hash, maxDistance) {
+    const results = [];
+    const stack = this.root ? [this.root] : [];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const distance = hammingDistance(hash, node.hash);
+      if (distance <= maxDistance) {
+        for (const item of node.items) results.push({ item, distance });
+      }
+      for (const [childDistance, child] of node.children) {
+        if (childDistance >= distance - maxDistance && childDistance <= distance + maxDistance) {
+          stack.push(child);
+        }
+      }
+    }
+    return results;
+  }
+}
+
+// ハッシュが maxDistance 以内のものをまとめる（A と B、B と C が近ければ A・B・C を1グループにする）
+// items: [{ hash, ... }]。戻り値は2件以上のグループの配列（各グループは items の要素の配列）
+function groupSimilar(items, maxDistance) {
+  const tree = new BKTree();
+  items.forEach((item, index) => tree.add(item.hash, index));
+
+  const parent = items.map((_, index) => index);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  items.forEach((item, index) => {
+    for (const { item: other } of tree.search(item.hash, maxDistance)) {
+      const a = find(index);
+      const b = find(other);
+      if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
+    }
+  });
+
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  });
+  return Array.from(groups.values()).filter(group => group.length > 1);
+}
+
+module.exports = {
+  HASH_ALGORITHMS,
+  computeFileHashes,
+  computePerceptualHashes,
+  decodeLuma,
+  groupSimilar,
+  hammingDistance
+};
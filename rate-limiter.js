@@ -0,0 +1,126 @@
+// トークンバケット方式のレート制限
+// レート制限（Guest Token 取得失敗や 429）が起きたら速度を下げ、成功が続いたら少しずつ戻す
+class AdaptiveRateLimiter {
+  constructor({
+    rate = 1,                    // 初期速度（件/秒）
+    minRate = 0.1,               // 下げられる下限（件/秒）
+    maxRate = 5,                 // 上げられる上限（件/秒）
+    burst = 1,                   // 貯められるトークン数の上限
+    increaseStep = 0.1,          // 速度を上げるときの増分（件/秒）
+    decreaseFactor = 0.5,        // レート制限時に速度へ掛ける係数
+    successesBeforeIncrease = 10 // 何回連続で成功したら速度を上げるか
+  } = {}) {
+    this.minRate = minRate;
+    this.maxRate = Math.max(maxRate, minRate);
+    this.rate = Math.min(Math.max(rate, this.minRate), this.maxRate);
+    this.burst = burst;
+    this.increaseStep = increaseStep;
+    this.decreaseFactor = decreaseFactor;
+    this.successesBeforeIncrease = successesBeforeIncrease;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.successStreak = 0;
+    // この時刻までのレート制限の通知は、直前に下げたときと同じ波とみなして数えない
+    this.rateLimitCooldownUntil = 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+    this.lastRefill = now;
+  }
+
+  // トークンが1つ取れるまで待つ
+  async acquire() {
+    for (;;) {
+      const now = Date.now();
+      if (this.pausedUntil > now) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - this.tokens) / this.rate) * 1000));
+    }
+  }
+
+  // 成功を通知（一定回数続いたら速度を上げる）
+  onSuccess() {
+    this.successStreak++;
+    if (this.successStreak >= this.successesBeforeIncrease) {
+      this.successStreak = 0;
+      this.refill();
+      this.rate = Math.min(this.maxRate, this.rate + this.increaseStep);
+    }
+    return this.rate;
+  }
+
+  // レート制限を通知（速度を下げ、貯まっているトークンも捨てる）
+  // 並列に取得しているワーカーは同じレート制限を同時に受けるので、
+  // 下げてからトークン1つ分の間隔（下げた後の速度で）が過ぎるまでの通知は1回分として扱い、重ねて下げない
+  onRateLimit() {
+    this.successStreak = 0;
+    this.refill();
+    this.tokens = 0;
+    if (this.isCoolingDown()) {
+      return this.rate;
+    }
+    this.rate = Math.max(this.minRate, this.rate * this.decreaseFactor);
+    this.rateLimitCooldownUntil = Date.now() + 1000 / this.rate;
+    return this.rate;
+  }
+
+  // 直前のレート制限で速度を下げたばかりか（この間の通知では速度を変えない）
+  isCoolingDown() {
+    return Date.now() < this.rateLimitCooldownUntil;
+  }
+
+  // 速度が下限に達しているか
+  isAtMinimum() {
+    return this.rate <= this.minRate;
+  }
+
+  // 指定時間、全体の取得を止める
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// items を concurrency 個のワーカーで並列に処理する
+// worker が false を返したら、以降のアイテムは処理しない（認証エラー時の中断用）
+async function runWorkerPool(items, concurrency, worker) {
+  let index = 0;
+  let stopped = false;
+
+  async function next() {
+    while (!stopped && index < items.length) {
+      const item = items[index++];
+      const shouldContinue = await worker(item);
+      if (shouldContinue === false) {
+        stopped = true;
+      }
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.max(1, Math.min(concurrency, items.length)); i++) {
+    workers.push(next());
+  }
+  await Promise.all(workers);
+  return !stopped;
+}
+
+module.exports = {
+  AdaptiveRateLimiter,
+  runWorkerPool,
+  sleep
+};
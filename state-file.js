@@ -0,0 +1,208 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { DATA_DIR } = require('./data-dir');
+
+// 状態ファイル（state.db / media-index.json / media-manifest.json など）を安全に書き換えるためのヘルパー
+//   - 一時ファイルに書いて fsync してからリネームする（途中で Ctrl+C しても元のファイルは壊れない）
+//   - 上書き前のファイルを .bak.1 〜 .bak.N に残す
+//   - ロックファイルで、複数のスクリプトが同時に状態を書き換えないようにする
+
+// 残しておく世代数
+const BACKUP_COUNT = 3;
+
+const LOCK_FILE_PATH = path.join(DATA_DIR, 'state.lock');
+
+function getBackupPath(filePath, generation) {
+  return `${filePath}.bak.${generation}`;
+}
+
+// .bak.1 〜 .bak.N（新しい順）のうち存在するもの
+function listBackups(filePath, keep = BACKUP_COUNT) {
+  const backups = [];
+  for (let generation = 1; generation <= keep; generation++) {
+    const backupPath = getBackupPath(filePath, generation);
+    if (fs.existsSync(backupPath)) {
+      backups.push(backupPath);
+    }
+  }
+  return backups;
+}
+
+// 既存のバックアップを1世代ずつずらし、.bak.1 を空ける（一番古いものは消える）
+function shiftBackups(filePath, keep) {
+  fs.removeSync(getBackupPath(filePath, keep));
+  for (let generation = keep - 1; generation >= 1; generation--) {
+    const backupPath = getBackupPath(filePath, generation);
+    if (fs.existsSync(backupPath)) {
+      fs.renameSync(backupPath, getBackupPath(filePath, generation + 1));
+    }
+  }
+}
+
+// 書き込み済みのファイルを fsync してから閉じる
+function writeFileDurable(filePath, data) {
+  const fd = fs.openSync(filePath, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// 一時ファイルに書いてからリネームする
+// options.backups: 上書き前のファイルを何世代残すか（0 なら残さない）
+function writeFileAtomic(filePath, data, options = {}) {
+  const backups = options.backups ?? 0;
+  const tempPath = `${filePath}.tmp-${process.pid}`;
+  fs.ensureDirSync(path.dirname(filePath));
+  try {
+    writeFileDurable(tempPath, data);
+    if (backups > 0 && fs.existsSync(filePath)) {
+      shiftBackups(filePath, backups);
+      // 元のファイルはリネームで終わらせず、ハードリンクで残す（リネームとの間に本体が無い瞬間を作らない）
+      try {
+        fs.linkSync(filePath, getBackupPath(filePath, 1));
+      } catch {
+        fs.copyFileSync(filePath, getBackupPath(filePath, 1));
+      }
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.removeSync(tempPath);
+    throw error;
+  }
+}
+
+function writeJSONAtomic(filePath, data, options = {}) {
+  writeFileAtomic(filePath, JSON.stringify(data, null, 2) + '\n', options);
+}
+
+// JSON を読む。壊れていれば新しいバックアップから順に読み、読めたものを返す
+// ファイルが無ければ null。本体もバックアップも全て読めない場合は例外（空の状態として続けない）
+function readJSONWithBackups(filePath, keep = BACKUP_COUNT) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  try {
+    return fs.readJSONSync(filePath);
+  } catch (error) {
+    for (const backupPath of listBackups(filePath, keep)) {
+      try {
+        const data = fs.readJSONSync(backupPath);
+        console.error(`${path.basename(filePath)} が壊れているため、バックアップ ${path.basename(backupPath)} を使います: ${error.message}`);
+        return data;
+      } catch {
+        // 次の世代を試す
+      }
+    }
+    const corrupt = new Error(`${filePath} が壊れていて、読めるバックアップもありません: ${error.message}`);
+    corrupt.isCorruptState = true;
+    throw corrupt;
+  }
+}
+
+// 保存しているファイルのバージョン（schemaVersion。無いものは 0）を確かめる
+// 今より新しいバージョンのスクリプトが書いたものは、知らない形のまま読んだり上書きしたりしないよう例外（isNewerVersion）
+// 戻り値: バージョン
+function checkVersion(version, currentVersion, label) {
+  const found = version || 0;
+  if (found > currentVersion) {
+    const newer = new Error(`新しいバージョン (${found}) の ${label} です。このバージョンのスクリプトでは扱えません`);
+    newer.isNewerVersion = true;
+    throw newer;
+  }
+  return found;
+}
+
+// ---- ロックファイル ----
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM は別ユーザーのプロセスが生きている
+    return error.code === 'EPERM';
+  }
+}
+
+function readLock(lockPath) {
+  try {
+    return fs.readJSONSync(lockPath);
+  } catch {
+    return null;
+  }
+}
+
+// 状態を書き換えるスクリプトの開始時に呼ぶ
+// 他のスクリプトがロックを持っていれば例外（isLockError）。持ち主のプロセスが終了していれば古いロックとして取り直す
+// 戻り値はロックを外す関数（プロセス終了時にも自動で外す）
+function acquireStateLock(script, lockPath = LOCK_FILE_PATH) {
+  const owner = { pid: process.pid, script, host: os.hostname(), startedAt: new Date().toISOString() };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      try {
+        fs.writeSync(fd, JSON.stringify(owner, null, 2));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      let released = false;
+      const release = () => {
+        if (released) return;
+        released = true;
+        process.removeListener('exit', release);
+        const current = readLock(lockPath);
+        if (current && current.pid === owner.pid && current.startedAt === owner.startedAt) {
+          fs.removeSync(lockPath);
+        }
+      };
+      process.on('exit', release);
+      // Ctrl+C でも exit イベントを通して終了し、ロックを外す
+      if (process.listenerCount('SIGINT') === 0) {
+        process.once('SIGINT', () => process.exit(130));
+      }
+      return release;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const holder = readLock(lockPath);
+    // 同じマシンで持ち主のプロセスが残っていなければ、Ctrl+C などで残った古いロック
+    if (holder && holder.host === owner.host && !isProcessAlive(holder.pid)) {
+      console.log(`古いロックファイルを削除します (${holder.script}, PID ${holder.pid}, ${holder.startedAt})`);
+      fs.removeSync(lockPath);
+      continue;
+    }
+
+    const lockError = new Error(holder
+      ? `別のスクリプト (${holder.script}, PID ${holder.pid}, ${holder.startedAt} 開始) が処理状況を更新中です。終了を待ってから実行してください（残ったままの場合は node state-utils.js unlock）`
+      : `ロックファイルを読み込めません: ${lockPath}（残ったままの場合は node state-utils.js unlock）`);
+    lockError.isLockError = true;
+    throw lockError;
+  }
+
+  const lockError = new Error(`ロックを取得できませんでした: ${lockPath}`);
+  lockError.isLockError = true;
+  throw lockError;
+}
+
+module.exports = {
+  BACKUP_COUNT,
+  LOCK_FILE_PATH,
+  acquireStateLock,
+  checkVersion,
+  getBackupPath,
+  isProcessAlive,
+  listBackups,
+  readJSONWithBackups,
+  readLock,
+  shiftBackups,
+  writeFileAtomic,
+  writeJSONAtomic
+};
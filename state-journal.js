@@ -0,0 +1,311 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { checkVersion, writeFileAtomic } = require('./state-file');
+
+// 処理状況の変化を1行1イベントで追記していく履歴（JSON Lines）
+// state.db は最新の状態しか持たないので、いつ失敗から成功に変わったか・何回目で取れたかはここで追う
+// state.db と同じフォルダの state-journal.jsonl に書く
+//
+// 各行: { "at": "2024-01-01T00:00:00.000Z", "event": "fetched", "tweetId": "123", "script": "download-tweets", "run": 5, ... }
+//   queued      … download-tweets.js の処理対象になった（sources: 取得元）
+//   sources     … 記録している取得元が変わった（sources: マージ後の取得元）
+//   fetched     … ツイートの取得に成功した（処理結果 successful）
+//   no_media    … メディアの無いツイートだった（処理結果 noMedia）
+//   media_saved … メディアを保存した（files: 保存したファイル名）
+//   failed      … 失敗した。errorType があればエラー記録の追加（details, retryCount）、status: 'failed' なら処理結果 failed
+//   cleared     … 取り消した。status があれば処理結果、errorType があればエラー記録、allErrors なら全エラー
+//   statistics  … 以前の圧縮で書いていたエラー統計（今は統計をエラー記録から数えるので読み飛ばす）
+// 圧縮（compact）で書き直したイベントには compacted: true が付く
+// 先頭の行は { "event": "journal", "schemaVersion": 1 }（バージョン 0 の履歴には無い。0 → 1 は先頭行が付いただけ）
+const JOURNAL_FILE_NAME = 'state-journal.jsonl';
+const JOURNAL_SCHEMA_VERSION = 1;
+
+const JOURNAL_EVENTS = {
+  QUEUED: 'queued',
+  SOURCES: 'sources',
+  FETCHED: 'fetched',
+  NO_MEDIA: 'no_media',
+  MEDIA_SAVED: 'media_saved',
+  FAILED: 'failed',
+  CLEARED: 'cleared',
+  STATISTICS: 'statistics',
+  HEADER: 'journal'
+};
+
+// 処理結果（tweets.status）とイベントの対応
+const STATUS_EVENTS = {
+  successful: JOURNAL_EVENTS.FETCHED,
+  noMedia: JOURNAL_EVENTS.NO_MEDIA,
+  failed: JOURNAL_EVENTS.FAILED
+};
+
+class StateJournal {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  // 先頭行を付けた、新しく書き始めるときの中身
+  static serialize(events, withHeader) {
+    const lines = withHeader ? [{ event: JOURNAL_EVENTS.HEADER, schemaVersion: JOURNAL_SCHEMA_VERSION }, ...events] : events;
+    return lines.map(event => JSON.stringify(event) + '\n').join('');
+  }
+
+  append(events) {
+    if (events.length === 0) return;
+    fs.appendFileSync(this.filePath, StateJournal.serialize(events, !this.exists()));
+  }
+
+  // 全体を書き直す（圧縮やバージョンの更新用。一時ファイル経由で置き換え、前のものは .bak.1 に残す）
+  rewrite(events) {
+    writeFileAtomic(this.filePath, StateJournal.serialize(events, true), { backups: 1 });
+  }
+
+  // 先頭行のバージョン（先頭行が無ければ 0、ファイルが無ければ null）
+  readSchemaVersion() {
+    for (const event of this.read(() => {}, { includeHeader: true })) {
+      return event.event === JOURNAL_EVENTS.HEADER ? event.schemaVersion : 0;
+    }
+    return this.exists() ? 0 : null;
+  }
+
+  // 1行ずつ読む（大きくなってもメモリに全て載せない）
+  // 書き込み途中で止まった行など、読めない行は onInvalid に渡して飛ばす
+  // 先頭行は options.includeHeader が無ければ返さない。今より新しいバージョンなら例外
+  *read(onInvalid = () => {}, options = {}) {
+    if (!this.exists()) return;
+    const fd = fs.openSync(this.filePath, 'r');
+    const buffer = Buffer.alloc(64 * 1024);
+    let rest = '';
+    let lineNumber = 0;
+    try {
+      let bytesRead;
+      const parse = function* (line) {
+        lineNumber++;
+        if (!line.trim()) return;
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch (error) {
+          onInvalid(lineNumber, error);
+          return;
+        }
+        if (event.event === JOURNAL_EVENTS.HEADER) {
+          checkVersion(event.schemaVersion, JOURNAL_SCHEMA_VERSION, '履歴');
+          if (!options.includeHeader) return;
+        }
+        yield event;
+      };
+      while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+        const lines = (rest + buffer.toString('utf8', 0, bytesRead)).split('\n');
+        rest = lines.pop();
+        for (const line of lines) {
+          yield* parse(line);
+        }
+      }
+      yield* parse(rest);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+function getJournalPath(dbPath) {
+  return path.join(path.dirname(dbPath), JOURNAL_FILE_NAME);
+}
+
+function createReplayState() {
+  return {
+    // tweetId → { status, at, sources, attempts }（attempts: 処理対象になった回数）
+    tweets: new Map(),
+    errors: {}
+  };
+}
+
+function getTweet(state, tweetId) {
+  if (!state.tweets.has(tweetId)) {
+    state.tweets.set(tweetId, { status: null, at: null, sources: [], attempts: 0 });
+  }
+  return state.tweets.get(tweetId);
+}
+
+// エラー記録（tweetId → { type, timestamp, ... }）から error-tweets.json の statistics と同じ形の統計を数える
+// 件数は今残っている記録の数（同じツイートが何度失敗しても1件。日付は最後に失敗した日）
+function summarizeErrors(errors) {
+  const statistics = { total_errors: 0, by_type: {}, by_date: {} };
+  for (const error of Object.values(errors)) {
+    const date = error.timestamp.split('T')[0];
+    statistics.total_errors++;
+    statistics.by_type[error.type] = (statistics.by_type[error.type] || 0) + 1;
+    statistics.by_date[date] = (statistics.by_date[date] || 0) + 1;
+  }
+  return statistics;
+}
+
+// イベントを1件ずつ状態に反映する（sourceOrder: 取得元を並べる順番）
+function applyEvent(state, event, sourceOrder) {
+  const { tweetId } = event;
+  switch (event.event) {
+    case JOURNAL_EVENTS.QUEUED: {
+      const tweet = getTweet(state, tweetId);
+      tweet.attempts += event.attempts ?? 1;
+      if (event.sources) {
+        const merged = new Set([...tweet.sources, ...event.sources]);
+        tweet.sources = sourceOrder.filter(s => merged.has(s));
+      }
+      break;
+    }
+    case JOURNAL_EVENTS.SOURCES:
+      getTweet(state, tweetId).sources = event.sources.slice();
+      break;
+    case JOURNAL_EVENTS.FETCHED:
+    case JOURNAL_EVENTS.NO_MEDIA: {
+      const tweet = getTweet(state, tweetId);
+      tweet.status = event.event === JOURNAL_EVENTS.FETCHED ? 'successful' : 'noMedia';
+      tweet.at = event.at;
+      break;
+    }
+    case JOURNAL_EVENTS.FAILED: {
+      if (event.status === 'failed') {
+        const tweet = getTweet(state, tweetId);
+        tweet.status = 'failed';
+        tweet.at = event.at;
+      }
+      if (event.errorType) {
+        const previous = state.errors[tweetId];
+        state.errors[tweetId] = {
+          type: event.errorType,
+          timestamp: event.at,
+          details: event.details || {},
+          retry_count: event.retryCount ?? ((previous?.retry_count || 0) + 1)
+        };
+      }
+      break;
+    }
+    case JOURNAL_EVENTS.CLEARED: {
+      if (event.status) {
+        const tweet = getTweet(state, tweetId);
+        tweet.status = null;
+        tweet.at = null;
+      }
+      if (event.errorType) {
+        delete state.errors[tweetId];
+      }
+      if (event.allErrors) {
+        state.errors = {};
+      }
+      break;
+    }
+    default:
+      // media_saved・statistics などは処理結果に影響しない
+      break;
+  }
+}
+
+// イベントを順に反映した状態を返す
+function replayJournal(events, sourceOrder) {
+  const state = createReplayState();
+  for (const event of events) {
+    applyEvent(state, event, sourceOrder);
+  }
+  return state;
+}
+
+// 状態を、それを再現する最小限のイベントにする（圧縮と、履歴が無いときの起点に使う）
+// at: 処理対象になった回数・取得元のイベントの日時
+function snapshotEvents(state, at = new Date().toISOString()) {
+  const events = [];
+  const tweetIds = [...new Set([...state.tweets.keys(), ...Object.keys(state.errors)])].sort();
+  for (const tweetId of tweetIds) {
+    const tweet = state.tweets.get(tweetId);
+    if (tweet && (tweet.attempts > 0 || tweet.sources.length > 0)) {
+      events.push({ at, event: JOURNAL_EVENTS.QUEUED, tweetId, sources: tweet.sources, attempts: tweet.attempts, compacted: true });
+    }
+    if (tweet && tweet.status) {
+      const event = { at: tweet.at, event: STATUS_EVENTS[tweet.status], tweetId, compacted: true };
+      if (tweet.status === 'failed') event.status = 'failed';
+      events.push(event);
+    }
+    const error = state.errors[tweetId];
+    if (error) {
+      events.push({
+        at: error.timestamp,
+        event: JOURNAL_EVENTS.FAILED,
+        tweetId,
+        errorType: error.type,
+        details: error.details,
+        retryCount: error.retry_count,
+        compacted: true
+      });
+    }
+  }
+  return events;
+}
+
+// before より前のイベントを、その時点の状態を再現する最小限のイベントにまとめる（before が null なら全て）
+// before 以降のイベントはそのまま後ろに残す
+// 戻り値: { events, compacted: まとめたイベント数 }
+function compactEvents(events, sourceOrder, before = null) {
+  const state = createReplayState();
+  const rest = [];
+  let compacted = 0;
+  for (const event of events) {
+    // 追記順に並んでいるので、一度 before 以降になったら後ろは全て残す
+    if (rest.length > 0 || (before && event.at >= before)) {
+      rest.push(event);
+      continue;
+    }
+    applyEvent(state, event, sourceOrder);
+    compacted++;
+  }
+  return { events: [...snapshotEvents(state, before || new Date().toISOString()), ...rest], compacted };
+}
+
+// 状態を processed-tweets.json / error-tweets.json と同じ形にする
+function toStateFiles(state) {
+  const processed = { successful: {}, failed: {}, noMedia: {}, sources: {} };
+  for (const tweetId of [...state.tweets.keys()].sort()) {
+    const tweet = state.tweets.get(tweetId);
+    if (tweet.status) processed[tweet.status][tweetId] = tweet.at;
+    if (tweet.sources.length > 0) processed.sources[tweetId] = tweet.sources;
+  }
+  const errors = {};
+  for (const tweetId of Object.keys(state.errors).sort()) {
+    errors[tweetId] = state.errors[tweetId];
+  }
+  return { processed, errors: { errors, statistics: summarizeErrors(errors) } };
+}
+
+// processed-tweets.json / error-tweets.json の形から状態を作る（state.db の内容を起点にするとき用）
+function fromStateFiles(processed, errorData) {
+  const state = createReplayState();
+  for (const status of Object.keys(STATUS_EVENTS)) {
+    for (const [tweetId, at] of Object.entries(processed[status] || {})) {
+      Object.assign(getTweet(state, tweetId), { status, at });
+    }
+  }
+  for (const [tweetId, sources] of Object.entries(processed.sources || {})) {
+    getTweet(state, tweetId).sources = sources;
+  }
+  state.errors = { ...(errorData.errors || {}) };
+  return state;
+}
+
+module.exports = {
+  JOURNAL_EVENTS,
+  JOURNAL_FILE_NAME,
+  JOURNAL_SCHEMA_VERSION,
+  STATUS_EVENTS,
+  StateJournal,
+  applyEvent,
+  compactEvents,
+  fromStateFiles,
+  getJournalPath,
+  replayJournal,
+  snapshotEvents,
+  summarizeErrors,
+  toStateFiles
+};
@@ -0,0 +1,208 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR } = require('./data-dir');
+const { INDEX_FILE_PATH, INDEX_SCHEMA_VERSION } = require('./media-index');
+const { MANIFEST_SCHEMA_VERSION, getManifestPath } = require('./media-manifest');
+const { BACKUP_COUNT, acquireStateLock, checkVersion, readJSONWithBackups, writeJSONAtomic } = require('./state-file');
+const { JOURNAL_SCHEMA_VERSION, StateJournal, getJournalPath } = require('./state-journal');
+const { DB_SCHEMA_VERSION, LEGACY_ERRORS_FILE, LEGACY_PROCESSED_FILE, STATE_DB_PATH, StateStore } = require('./state-store');
+const {
+  TWEET_DATA_FILE_NAME,
+  TWEET_SHAPES,
+  detectTweetShape,
+  getLegacyTweetDataName,
+  upgradeTweetData
+} = require('./tweet-data');
+
+// 保存しているファイルを今のバージョンの形にする（node state-utils.js migrate）
+//   state.db             … PRAGMA user_version（開いたときに StateStore が上げる）
+//   state-journal.jsonl  … 先頭行の schemaVersion
+//   media-index.json     … schemaVersion
+//   downloads/<tweetId>/ … <tweetId>.json → tweet-data.json の名前の変更と中身の schemaVersion、media-manifest.json の schemaVersion
+// 各スクリプトも読むときは古い形を扱えるので、移行しなくても動く。まとめて揃えたいときに使う
+// 何度実行しても同じ結果になる（移行済みのものは何もしない）
+const DOWNLOADS_DIR = path.join(DATA_DIR, 'downloads');
+
+// schemaVersion を先頭に付けたもの
+function withVersion(data, version) {
+  const { schemaVersion, ...rest } = data;
+  return { schemaVersion: version, ...rest };
+}
+
+function migrateStateDb(dryRun, report) {
+  const legacyFiles = [LEGACY_PROCESSED_FILE, LEGACY_ERRORS_FILE]
+    .filter(name => fs.existsSync(path.join(path.dirname(STATE_DB_PATH), name)));
+
+  if (!fs.existsSync(STATE_DB_PATH)) {
+    if (legacyFiles.length > 0) {
+      report.change('state.db', `作成して ${legacyFiles.join(' / ')} を取り込む`);
+    }
+    if (!dryRun && legacyFiles.length > 0) {
+      new StateStore(STATE_DB_PATH).close();
+    }
+    return;
+  }
+
+  const store = new StateStore(STATE_DB_PATH, { readonly: true });
+  let version;
+  let jsonMigrated;
+  try {
+    version = store.getSchemaVersion();
+    jsonMigrated = !!store.getMeta('json_migrated_at');
+  } finally {
+    store.close();
+  }
+  checkVersion(version, DB_SCHEMA_VERSION, 'state.db');
+  if (version < DB_SCHEMA_VERSION) {
+    report.change('state.db', `スキーマのバージョン ${version} → ${DB_SCHEMA_VERSION}`);
+  }
+  if (!jsonMigrated && legacyFiles.length > 0) {
+    report.change('state.db', `${legacyFiles.join(' / ')} を取り込む`);
+  }
+  if (!dryRun && (version < DB_SCHEMA_VERSION || (!jsonMigrated && legacyFiles.length > 0))) {
+    // 開くとスキーマの移行と JSON の取り込みが行われる
+    new StateStore(STATE_DB_PATH).close();
+  }
+}
+
+function migrateJournal(dryRun, report) {
+  const journal = new StateJournal(getJournalPath(STATE_DB_PATH));
+  const version = journal.readSchemaVersion();
+  if (version === null || version === JOURNAL_SCHEMA_VERSION) return;
+  report.change(path.basename(journal.filePath), `先頭行を付ける (バージョン ${version} → ${JOURNAL_SCHEMA_VERSION})`);
+  if (!dryRun) {
+    journal.rewrite([...journal.read()]);
+  }
+}
+
+function migrateMediaIndex(dryRun, report) {
+  const index = readJSONWithBackups(INDEX_FILE_PATH);
+  if (!index) return;
+  const version = checkVersion(index.schemaVersion, INDEX_SCHEMA_VERSION, 'メディア索引');
+  if (version === INDEX_SCHEMA_VERSION) return;
+  report.change('media-index.json', `schemaVersion: ${INDEX_SCHEMA_VERSION} を付ける`);
+  if (!dryRun) {
+    writeJSONAtomic(INDEX_FILE_PATH, withVersion(index, INDEX_SCHEMA_VERSION), { backups: BACKUP_COUNT });
+  }
+}
+
+// 1つのツイートフォルダ
+function migrateTweetDir(tweetId, dryRun, report) {
+  const tweetDir = path.join(DOWNLOADS_DIR, tweetId);
+  const label = `downloads/${tweetId}`;
+  const currentPath = path.join(tweetDir, TWEET_DATA_FILE_NAME);
+  const legacyName = getLegacyTweetDataName(tweetId);
+  const legacyPath = path.join(tweetDir, legacyName);
+  const hasCurrent = fs.existsSync(currentPath);
+  const hasLegacy = fs.existsSync(legacyPath);
+
+  // tweet-data.json（無ければ <tweetId>.json）
+  const sourcePath = hasCurrent ? currentPath : hasLegacy ? legacyPath : null;
+  if (sourcePath) {
+    const data = fs.readJSONSync(sourcePath);
+    report.countShape(detectTweetShape(data));
+    const { data: upgraded, changes } = upgradeTweetData(data);
+
+    if (hasLegacy && hasCurrent) {
+      // 両方ある場合は tweet-data.json を使い、古い方は消さずに名前を変えて残す
+      report.change(label, `${legacyName} を ${legacyName}.migrated に変更（tweet-data.json があるため）`);
+      if (!dryRun) {
+        fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+      }
+    } else if (hasLegacy) {
+      report.change(label, `${legacyName} を ${TWEET_DATA_FILE_NAME} に変更`);
+    }
+    for (const change of changes) {
+      report.change(label, `${TWEET_DATA_FILE_NAME}: ${change}`);
+    }
+
+    if (!dryRun && (changes.length > 0 || sourcePath === legacyPath)) {
+      writeJSONAtomic(currentPath, upgraded);
+      if (sourcePath === legacyPath) {
+        fs.removeSync(legacyPath);
+      }
+    }
+  }
+
+  const manifestPath = getManifestPath(tweetDir);
+  if (fs.existsSync(manifestPath)) {
+    const manifest = fs.readJSONSync(manifestPath);
+    const version = checkVersion(manifest.schemaVersion, MANIFEST_SCHEMA_VERSION, 'マニフェスト');
+    if (version < MANIFEST_SCHEMA_VERSION) {
+      report.change(label, `media-manifest.json: schemaVersion: ${MANIFEST_SCHEMA_VERSION} を付ける`);
+      if (!dryRun) {
+        writeJSONAtomic(manifestPath, withVersion(manifest, MANIFEST_SCHEMA_VERSION));
+      }
+    }
+  }
+}
+
+function migrateDownloads(dryRun, report) {
+  if (!fs.existsSync(DOWNLOADS_DIR)) return;
+  const tweetIds = fs.readdirSync(DOWNLOADS_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+  for (const tweetId of tweetIds) {
+    try {
+      migrateTweetDir(tweetId, dryRun, report);
+    } catch (error) {
+      // 1つのフォルダが読めなくても他のフォルダは続ける
+      report.fail(`downloads/${tweetId}`, error);
+    }
+  }
+}
+
+// 全ての移行を実行する
+// options.dryRun: 変更せず、変更内容だけを表示する
+// 戻り値: { changes: 変更（予定）の件数, failures: 失敗した件数, shapes: 形ごとの tweet-data.json の数 }
+function runMigrations({ dryRun = false, log = console.log } = {}) {
+  if (!dryRun) {
+    acquireStateLock('state-utils');
+  }
+
+  const summary = { changes: 0, failures: 0, shapes: {} };
+  for (const shape of Object.values(TWEET_SHAPES)) {
+    summary.shapes[shape] = 0;
+  }
+  const report = {
+    change: (label, description) => {
+      summary.changes++;
+      log(`${label}: ${description}`);
+    },
+    fail: (label, error) => {
+      summary.failures++;
+      console.error(`${label}: 移行できません - ${error.message}`);
+    },
+    countShape: shape => {
+      summary.shapes[shape]++;
+    }
+  };
+
+  const steps = [
+    ['state.db', migrateStateDb],
+    ['state-journal.jsonl', migrateJournal],
+    ['media-index.json', migrateMediaIndex],
+    ['downloads', migrateDownloads]
+  ];
+  for (const [label, step] of steps) {
+    try {
+      step(dryRun, report);
+    } catch (error) {
+      report.fail(label, error);
+    }
+  }
+
+  log(`\n=== 移行${dryRun ? '（--dry-run のため変更していません）' : ''} ===`);
+  log(`${dryRun ? '変更予定' : '変更'}: ${summary.changes}件`);
+  log(`移行できないもの: ${summary.failures}件`);
+  log('tweet-data.json の形:');
+  for (const [shape, count] of Object.entries(summary.shapes)) {
+    log(`  ${shape}: ${count}件`);
+  }
+  return summary;
+}
+
+module.exports = {
+  runMigrations
+};
@@ -0,0 +1,742 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { DATA_DIR } = require('./data-dir');
+const { BACKUP_COUNT, checkVersion, getBackupPath, listBackups, shiftBackups } = require('./state-file');
+const {
+  JOURNAL_EVENTS,
+  STATUS_EVENTS,
+  StateJournal,
+  compactEvents,
+  fromStateFiles,
+  getJournalPath,
+  replayJournal,
+  snapshotEvents,
+  summarizeErrors,
+  toStateFiles
+} = require('./state-journal');
+
+// 処理状況をまとめて保存する SQLite データベース
+// 以前は processed-tweets.json と error-tweets.json を1件ごとに丸ごと書き直していたが、
+// ツイート・エラー・メディアの行単位でトランザクションを使って更新する
+//   tweets           … ツイートごとの処理結果（successful / failed / noMedia）と取得元（like / bookmark / tweets）
+//   errors           … ErrorManager のエラー記録（details は JSON）
+//   error_statistics … ErrorManager の統計（kind: total / type / date）。errors の記録を数えたものと同じになるよう増減する
+//   media            … media-manifest.json と同じ内容を、全ツイート横断で検索できるようにしたもの
+//   runs             … 各スクリプトの実行履歴
+// 状態の変化は state-journal.js の履歴（state-journal.jsonl）にも1件ずつ追記する
+const STATE_DB_PATH = path.join(DATA_DIR, 'state.db');
+
+// 移行元の JSON ファイル名（移行後は .migrated を付けて残す）
+const LEGACY_PROCESSED_FILE = 'processed-tweets.json';
+const LEGACY_ERRORS_FILE = 'error-tweets.json';
+const MIGRATED_SUFFIX = '.migrated';
+// state-utils.js export で書き出すときに付ける schemaVersion
+// （以前のスクリプトが書いたものには無い。中身の形は同じなので、どちらも取り込める）
+const STATE_EXPORT_SCHEMA_VERSION = 1;
+
+// tweets.status の値（processed-tweets.json のキーと同じ）
+const TWEET_STATUSES = {
+  SUCCESSFUL: 'successful',
+  FAILED: 'failed',
+  NO_MEDIA: 'noMedia'
+};
+
+// 取得元を並べる順番（download-tweets.js の TWEET_SOURCES と同じ）
+const SOURCE_ORDER = ['like', 'bookmark', 'tweets'];
+
+// スキーマのバージョン（PRAGMA user_version に記録する）
+// DB_MIGRATIONS[n] はバージョン n-1 から n に上げる処理。開いたときに足りない分を順に実行する
+//   1: 最初のテーブル一式（バージョンを記録する前に作った state.db も同じテーブルなので、そのまま 1 になる）
+//   2: 同じツイートが再び失敗するたびに数を足していた以前の統計を、エラー記録から数え直す
+const DB_SCHEMA_VERSION = 2;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS tweets (
+    tweet_id TEXT PRIMARY KEY,
+    status TEXT,
+    status_at TEXT,
+    sources TEXT
+  );
+  CREATE INDEX IF NOT EXISTS tweets_status ON tweets (status);
+
+  CREATE TABLE IF NOT EXISTS errors (
+    tweet_id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    details TEXT NOT NULL,
+    retry_count INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS errors_type ON errors (type);
+
+  CREATE TABLE IF NOT EXISTS error_statistics (
+    kind TEXT NOT NULL,
+    key TEXT NOT NULL,
+    count INTEGER NOT NULL,
+    PRIMARY KEY (kind, key)
+  );
+
+  CREATE TABLE IF NOT EXISTS media (
+    tweet_id TEXT NOT NULL,
+    filename TEXT NOT NULL,
+    media_index INTEGER,
+    type TEXT,
+    source_url TEXT,
+    url TEXT,
+    variant TEXT,
+    size INTEGER,
+    sha256 TEXT,
+    status TEXT,
+    error TEXT,
+    downloaded_at TEXT,
+    PRIMARY KEY (tweet_id, filename)
+  );
+  CREATE INDEX IF NOT EXISTS media_sha256 ON media (sha256);
+
+  CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    script TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    status TEXT NOT NULL,
+    summary TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`;
+
+const DB_MIGRATIONS = {
+  1: db => db.exec(SCHEMA),
+  2: (db, store) => {
+    const { differences } = store.rebuildErrorStatistics();
+    if (differences.length > 0) {
+      console.log(`エラー統計をエラー記録から数え直しました (${differences.length}項目の食い違い)`);
+    }
+  }
+};
+
+function parseJSON(text, fallback) {
+  if (text === null || text === undefined) return fallback;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return fallback;
+  }
+}
+
+class StateStore {
+  // options.readonly: 読み取り専用で開く（ファイルが無ければ例外。スキーマの作成や移行もしない）
+  constructor(dbPath = STATE_DB_PATH, options = {}) {
+    this.dbPath = dbPath;
+    this.readonly = !!options.readonly;
+    this.db = new Database(dbPath, { readonly: this.readonly, fileMustExist: this.readonly });
+    // 別のプロセスが書き込み中なら待つ（state-utils.js など、ロックを取らずに読むコマンドと重なった場合）
+    this.db.pragma('busy_timeout = 10000');
+    this.journal = new StateJournal(getJournalPath(dbPath));
+    // トランザクションの確定を待っている履歴のイベント
+    this.pendingEvents = [];
+    // 実行中のスクリプト（startRun で設定し、履歴のイベントに付ける）
+    this.currentRun = null;
+    if (!this.readonly) {
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('synchronous = NORMAL');
+      this.migrateSchema();
+      this.migrateFromJson(path.dirname(dbPath));
+      this.startJournal();
+    }
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  getSchemaVersion() {
+    return this.db.pragma('user_version', { simple: true });
+  }
+
+  // スキーマを DB_SCHEMA_VERSION まで上げる（バージョンごとに1つのトランザクション）
+  migrateSchema() {
+    const version = checkVersion(this.getSchemaVersion(), DB_SCHEMA_VERSION, path.basename(this.dbPath));
+    for (let next = version + 1; next <= DB_SCHEMA_VERSION; next++) {
+      const migrate = this.db.transaction(() => {
+        // 同時に開いた別のプロセスが先に上げていれば何もしない
+        if (this.getSchemaVersion() >= next) return;
+        DB_MIGRATIONS[next](this.db, this);
+        this.db.pragma(`user_version = ${next}`);
+      });
+      migrate.immediate();
+    }
+  }
+
+  // 現在の内容を state.db.bak.1 に保存する（既存のバックアップは1世代ずつずらし、keep 世代だけ残す）
+  // 一時ファイルに書き出してからリネームするので、途中で止まっても前の世代は壊れない
+  backup(keep = BACKUP_COUNT) {
+    const tempPath = `${this.dbPath}.tmp-${process.pid}`;
+    fs.removeSync(tempPath);
+    try {
+      this.db.prepare('VACUUM INTO ?').run(tempPath);
+      shiftBackups(this.dbPath, keep);
+      fs.renameSync(tempPath, getBackupPath(this.dbPath, 1));
+    } catch (error) {
+      fs.removeSync(tempPath);
+      throw error;
+    }
+  }
+
+  // fn をトランザクション内で実行する（途中で例外が出たら全て取り消す）
+  transaction(fn) {
+    const mark = this.pendingEvents.length;
+    let result;
+    try {
+      result = this.db.transaction(fn)();
+    } catch (error) {
+      // 取り消した変更の履歴は書かない（外側のトランザクションの分は残す）
+      this.pendingEvents.length = mark;
+      throw error;
+    }
+    this.flushEvents();
+    return result;
+  }
+
+  // ErrorManager のバッチモード用（commit まで書き込みをまとめる）
+  begin() {
+    if (!this.db.inTransaction) {
+      this.db.exec('BEGIN');
+    }
+  }
+
+  commit() {
+    if (this.db.inTransaction) {
+      this.db.exec('COMMIT');
+    }
+    this.flushEvents();
+  }
+
+  // ---- 履歴（state-journal.jsonl） ----
+
+  // 履歴が無ければ、今の state.db の内容を起点として書く
+  // （初回の移行直後や、履歴を消してしまった場合。同時に起動した別のプロセスと二重に書かないよう排他的に作る）
+  startJournal() {
+    if (this.journal.exists()) return;
+    const counts = this.db.prepare('SELECT (SELECT COUNT(*) FROM tweets) + (SELECT COUNT(*) FROM errors) AS count').get();
+    if (counts.count === 0) return;
+    let fd;
+    try {
+      fd = fs.openSync(this.journal.filePath, 'wx');
+    } catch (error) {
+      if (error.code === 'EEXIST') return;
+      throw error;
+    }
+    try {
+      const state = fromStateFiles(this.exportProcessed(), this.exportErrors());
+      fs.writeSync(fd, StateJournal.serialize(snapshotEvents(state), true));
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // 履歴にイベントを追加する（トランザクション中なら確定してから書く）
+  recordEvents(events) {
+    const run = this.currentRun ? { script: this.currentRun.script, run: this.currentRun.id } : {};
+    for (const event of events) {
+      this.pendingEvents.push({ at: new Date().toISOString(), ...event, ...run });
+    }
+    this.flushEvents();
+  }
+
+  recordEvent(event) {
+    this.recordEvents([event]);
+  }
+
+  flushEvents() {
+    if (this.db.inTransaction || this.pendingEvents.length === 0) return;
+    const events = this.pendingEvents;
+    this.pendingEvents = [];
+    this.journal.append(events);
+  }
+
+  // 読めない行は警告だけ出して飛ばす（書き込み途中で止まった最後の行など）
+  readJournal() {
+    return this.journal.read((lineNumber, error) => {
+      console.error(`${path.basename(this.journal.filePath)} の ${lineNumber} 行目を読み込めません: ${error.message}`);
+    });
+  }
+
+  // 1件のツイートの履歴
+  getTweetHistory(tweetId) {
+    const history = [];
+    for (const event of this.readJournal()) {
+      if (event.tweetId === tweetId) history.push(event);
+    }
+    return history;
+  }
+
+  // 履歴から処理状況とエラー記録を作り直す
+  // dryRun なら state.db は変えずに、今の内容との違いだけを返す
+  // 戻り値: { tweets: 違うツイート数, errors: 違うエラー記録数, statistics: 統計が違うか }
+  rebuildFromJournal({ dryRun = false } = {}) {
+    const { processed, errors } = toStateFiles(replayJournal(this.readJournal(), SOURCE_ORDER));
+    const currentProcessed = this.exportProcessed();
+    const currentErrors = this.exportErrors();
+
+    const statusOf = (data, tweetId) => JSON.stringify([
+      ...Object.values(TWEET_STATUSES).map(status => data[status][tweetId] || null),
+      data.sources[tweetId] || []
+    ]);
+    const tweetIds = new Set();
+    for (const data of [processed, currentProcessed]) {
+      for (const key of [...Object.values(TWEET_STATUSES), 'sources']) {
+        Object.keys(data[key]).forEach(tweetId => tweetIds.add(tweetId));
+      }
+    }
+    const errorIds = new Set([...Object.keys(errors.errors), ...Object.keys(currentErrors.errors)]);
+    const diff = {
+      tweets: [...tweetIds].filter(tweetId => statusOf(processed, tweetId) !== statusOf(currentProcessed, tweetId)).length,
+      errors: [...errorIds].filter(tweetId => JSON.stringify(errors.errors[tweetId]) !== JSON.stringify(currentErrors.errors[tweetId])).length,
+      statistics: JSON.stringify(errors.statistics) !== JSON.stringify(currentErrors.statistics)
+    };
+
+    if (!dryRun) {
+      this.transaction(() => {
+        this.db.exec('DELETE FROM tweets; DELETE FROM errors; DELETE FROM error_statistics;');
+        this.importProcessed(processed);
+        this.importErrors(errors);
+      });
+    }
+    return diff;
+  }
+
+  // before（ISO 形式の日時）より前の履歴を、その時点の状態だけにまとめる（省略すると全て）
+  // 戻り値: { before: まとめる前の行数, after: まとめた後の行数 }
+  compactJournal(before = null) {
+    const events = [...this.readJournal()];
+    const compacted = compactEvents(events, SOURCE_ORDER, before);
+    this.journal.rewrite(compacted.events);
+    return { before: events.length, after: compacted.events.length };
+  }
+
+  getMeta(key) {
+    const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+      .run(key, value);
+  }
+
+  // processed-tweets.json / error-tweets.json からの一回限りの移行
+  // 移行済みかどうかは meta の json_migrated_at で判断し、移行した JSON には .migrated を付けて残す
+  migrateFromJson(dir) {
+    const processedPath = path.join(dir, LEGACY_PROCESSED_FILE);
+    const errorsPath = path.join(dir, LEGACY_ERRORS_FILE);
+    const migrated = [];
+
+    // 複数のスクリプトが同時に初回起動しても二重に取り込まないよう、書き込みロックを取ってから確認する
+    const run = this.db.transaction(() => {
+      if (this.getMeta('json_migrated_at')) return;
+
+      if (fs.existsSync(processedPath)) {
+        const processed = fs.readJSONSync(processedPath);
+        checkVersion(processed.schemaVersion, STATE_EXPORT_SCHEMA_VERSION, LEGACY_PROCESSED_FILE);
+        this.importProcessed(processed);
+        migrated.push({ file: processedPath, count: Object.keys(processed.successful || {}).length + Object.keys(processed.failed || {}).length + Object.keys(processed.noMedia || {}).length });
+      }
+      if (fs.existsSync(errorsPath)) {
+        const errors = fs.readJSONSync(errorsPath);
+        checkVersion(errors.schemaVersion, STATE_EXPORT_SCHEMA_VERSION, LEGACY_ERRORS_FILE);
+        this.importErrors(errors);
+        migrated.push({ file: errorsPath, count: Object.keys(errors.errors || {}).length });
+      }
+      this.setMeta('json_migrated_at', new Date().toISOString());
+    });
+    run.immediate();
+
+    for (const { file, count } of migrated) {
+      fs.renameSync(file, file + MIGRATED_SUFFIX);
+      console.log(`${path.basename(file)} を ${path.basename(this.dbPath)} に移行しました (${count}件)。元のファイルは ${path.basename(file)}${MIGRATED_SUFFIX} に残しています`);
+    }
+  }
+
+  // processed-tweets.json の形式 ({ successful, failed, noMedia, sources }) を取り込む
+  importProcessed(processed) {
+    const upsert = this.db.prepare(`
+      INSERT INTO tweets (tweet_id, status, status_at) VALUES (?, ?, ?)
+      ON CONFLICT (tweet_id) DO UPDATE SET status = excluded.status, status_at = excluded.status_at
+    `);
+    for (const status of Object.values(TWEET_STATUSES)) {
+      for (const [tweetId, at] of Object.entries(processed[status] || {})) {
+        upsert.run(tweetId, status, at);
+      }
+    }
+    const setSources = this.db.prepare(`
+      INSERT INTO tweets (tweet_id, sources) VALUES (?, ?)
+      ON CONFLICT (tweet_id) DO UPDATE SET sources = excluded.sources
+    `);
+    for (const [tweetId, sources] of Object.entries(processed.sources || {})) {
+      setSources.run(tweetId, JSON.stringify(sources));
+    }
+  }
+
+  // error-tweets.json の形式 ({ errors, statistics }) を取り込む
+  // statistics は記録と食い違っていることがあるので使わず、取り込んだ記録から数え直す
+  importErrors(data) {
+    for (const [tweetId, error] of Object.entries(data.errors || {})) {
+      this.putError(tweetId, error);
+    }
+    this.rebuildErrorStatistics();
+  }
+
+  // ---- ツイートの処理結果 ----
+
+  // { status, at }（未処理なら null）
+  getTweetStatus(tweetId) {
+    const row = this.db.prepare('SELECT status, status_at FROM tweets WHERE tweet_id = ? AND status IS NOT NULL').get(tweetId);
+    return row ? { status: row.status, at: row.status_at } : null;
+  }
+
+  setTweetStatus(tweetId, status, at = new Date().toISOString()) {
+    this.db.prepare(`
+      INSERT INTO tweets (tweet_id, status, status_at) VALUES (?, ?, ?)
+      ON CONFLICT (tweet_id) DO UPDATE SET status = excluded.status, status_at = excluded.status_at
+    `).run(tweetId, status, at);
+    const event = { at, event: STATUS_EVENTS[status], tweetId };
+    if (status === TWEET_STATUSES.FAILED) event.status = status;
+    this.recordEvent(event);
+  }
+
+  // 処理結果だけを消す（取得元の記録は残す）
+  clearTweetStatus(tweetId) {
+    const previous = this.getTweetStatus(tweetId);
+    if (!previous) return;
+    this.db.prepare('UPDATE tweets SET status = NULL, status_at = NULL WHERE tweet_id = ?').run(tweetId);
+    this.recordEvent({ event: JOURNAL_EVENTS.CLEARED, tweetId, status: previous.status });
+  }
+
+  // 指定した処理結果のツイート { tweetId: 日時 }
+  getTweetsByStatus(status) {
+    const result = {};
+    for (const row of this.db.prepare('SELECT tweet_id, status_at FROM tweets WHERE status = ?').iterate(status)) {
+      result[row.tweet_id] = row.status_at;
+    }
+    return result;
+  }
+
+  // 処理結果が記録されているツイートIDの Set
+  getProcessedIdSet() {
+    return new Set(this.db.prepare('SELECT tweet_id FROM tweets WHERE status IS NOT NULL').pluck().all());
+  }
+
+  // { successful, failed, noMedia } の件数
+  countTweetsByStatus() {
+    const counts = {};
+    for (const status of Object.values(TWEET_STATUSES)) counts[status] = 0;
+    for (const row of this.db.prepare('SELECT status, COUNT(*) AS count FROM tweets WHERE status IS NOT NULL GROUP BY status').all()) {
+      counts[row.status] = row.count;
+    }
+    return counts;
+  }
+
+  getTweetSources(tweetId) {
+    const row = this.db.prepare('SELECT sources FROM tweets WHERE tweet_id = ?').get(tweetId);
+    return row ? parseJSON(row.sources, []) : [];
+  }
+
+  // 取得元を既存の記録とマージする（sourcesById: Map<tweetId, string[]>、order: 並べる順番）
+  mergeTweetSources(sourcesById, order) {
+    const select = this.db.prepare('SELECT sources FROM tweets WHERE tweet_id = ?');
+    const upsert = this.db.prepare(`
+      INSERT INTO tweets (tweet_id, sources) VALUES (?, ?)
+      ON CONFLICT (tweet_id) DO UPDATE SET sources = excluded.sources
+    `);
+    this.transaction(() => {
+      const events = [];
+      for (const [tweetId, sources] of sourcesById) {
+        const row = select.get(tweetId);
+        const previous = row ? parseJSON(row.sources, []) : [];
+        const merged = new Set([...previous, ...sources]);
+        const next = order.filter(s => merged.has(s));
+        if (next.length === previous.length) continue;
+        upsert.run(tweetId, JSON.stringify(next));
+        events.push({ event: JOURNAL_EVENTS.SOURCES, tweetId, sources: next });
+      }
+      this.recordEvents(events);
+    });
+  }
+
+  // processed-tweets.json と同じ形で書き出す
+  exportProcessed() {
+    const processed = { successful: {}, failed: {}, noMedia: {}, sources: {} };
+    for (const row of this.db.prepare('SELECT * FROM tweets ORDER BY tweet_id').iterate()) {
+      if (row.status && processed[row.status]) {
+        processed[row.status][row.tweet_id] = row.status_at;
+      }
+      if (row.sources) {
+        processed.sources[row.tweet_id] = parseJSON(row.sources, []);
+      }
+    }
+    return processed;
+  }
+
+  // ---- エラー記録 ----
+
+  toError(row) {
+    return {
+      type: row.type,
+      timestamp: row.timestamp,
+      details: parseJSON(row.details, {}),
+      retry_count: row.retry_count
+    };
+  }
+
+  getError(tweetId) {
+    const row = this.db.prepare('SELECT * FROM errors WHERE tweet_id = ?').get(tweetId);
+    return row ? this.toError(row) : undefined;
+  }
+
+  putError(tweetId, error) {
+    this.db.prepare('INSERT OR REPLACE INTO errors (tweet_id, type, timestamp, details, retry_count) VALUES (?, ?, ?, ?, ?)')
+      .run(tweetId, error.type, error.timestamp, JSON.stringify(error.details || {}), error.retry_count || 0);
+  }
+
+  deleteError(tweetId) {
+    this.db.prepare('DELETE FROM errors WHERE tweet_id = ?').run(tweetId);
+  }
+
+  // [{ tweetId, type, timestamp, details, retry_count }]（条件は type / minRetryCount で絞り込む）
+  listErrors({ type = null, minRetryCount = null } = {}) {
+    let sql = 'SELECT * FROM errors WHERE 1 = 1';
+    const params = [];
+    if (type !== null) {
+      sql += ' AND type = ?';
+      params.push(type);
+    }
+    if (minRetryCount !== null) {
+      sql += ' AND retry_count >= ?';
+      params.push(minRetryCount);
+    }
+    return this.db.prepare(sql + ' ORDER BY tweet_id').all(...params)
+      .map(row => ({ tweetId: row.tweet_id, ...this.toError(row) }));
+  }
+
+  // 統計を増減する（ErrorManager が記録を追加・置き換え・削除するたびに呼ぶ）
+  // 0 になったタイプ・日付は消す（記録から数え直したものと同じ形にする）
+  incrementErrorStatistics(type, date, delta) {
+    const increment = this.db.prepare(`
+      INSERT INTO error_statistics (kind, key, count) VALUES (?, ?, ?)
+      ON CONFLICT (kind, key) DO UPDATE SET count = count + excluded.count
+    `);
+    increment.run('total', '', delta);
+    increment.run('type', type, delta);
+    increment.run('date', date, delta);
+    this.db.prepare("DELETE FROM error_statistics WHERE kind != 'total' AND count = 0").run();
+  }
+
+  // 統計をエラー記録から数え直す
+  // dryRun なら変えずに、食い違いだけを返す
+  // 戻り値: { stored: 今の統計, actual: 記録から数えた統計, differences: [{ kind, key, stored, actual }] }
+  //   kind は total / type / date。stored・actual は、その項目が無ければ null
+  rebuildErrorStatistics({ dryRun = false } = {}) {
+    const errors = {};
+    for (const { tweetId, ...error } of this.listErrors()) {
+      errors[tweetId] = error;
+    }
+    const stored = this.getErrorStatistics();
+    const actual = summarizeErrors(errors);
+
+    const differences = [];
+    if (stored.total_errors !== actual.total_errors) {
+      differences.push({ kind: 'total', key: '', stored: stored.total_errors, actual: actual.total_errors });
+    }
+    for (const [kind, field] of [['type', 'by_type'], ['date', 'by_date']]) {
+      const keys = [...new Set([...Object.keys(stored[field]), ...Object.keys(actual[field])])].sort();
+      for (const key of keys) {
+        if (stored[field][key] !== actual[field][key]) {
+          differences.push({ kind, key, stored: stored[field][key] ?? null, actual: actual[field][key] ?? null });
+        }
+      }
+    }
+
+    if (!dryRun && differences.length > 0) {
+      this.transaction(() => {
+        this.db.exec('DELETE FROM error_statistics');
+        const setStatistic = this.db.prepare('INSERT INTO error_statistics (kind, key, count) VALUES (?, ?, ?)');
+        setStatistic.run('total', '', actual.total_errors);
+        for (const [type, count] of Object.entries(actual.by_type)) {
+          setStatistic.run('type', type, count);
+        }
+        for (const [date, count] of Object.entries(actual.by_date)) {
+          setStatistic.run('date', date, count);
+        }
+      });
+    }
+    return { stored, actual, differences };
+  }
+
+  // error-tweets.json の statistics と同じ形
+  getErrorStatistics() {
+    const statistics = { total_errors: 0, by_type: {}, by_date: {} };
+    for (const row of this.db.prepare('SELECT * FROM error_statistics ORDER BY kind, key').iterate()) {
+      if (row.kind === 'total') statistics.total_errors = row.count;
+      if (row.kind === 'type') statistics.by_type[row.key] = row.count;
+      if (row.kind === 'date') statistics.by_date[row.key] = row.count;
+    }
+    return statistics;
+  }
+
+  clearErrors() {
+    this.transaction(() => {
+      this.db.exec('DELETE FROM errors; DELETE FROM error_statistics;');
+      this.recordEvent({ event: JOURNAL_EVENTS.CLEARED, allErrors: true });
+    });
+  }
+
+  // error-tweets.json と同じ形で書き出す
+  exportErrors() {
+    const errors = {};
+    for (const { tweetId, ...error } of this.listErrors()) {
+      errors[tweetId] = error;
+    }
+    return { errors, statistics: this.getErrorStatistics() };
+  }
+
+  // ---- メディア ----
+
+  // ツイートのメディアの行を media-manifest.json のエントリで置き換える
+  replaceTweetMedia(tweetId, entries) {
+    const insert = this.db.prepare(`
+      INSERT OR REPLACE INTO media
+        (tweet_id, filename, media_index, type, source_url, url, variant, size, sha256, status, error, downloaded_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    this.transaction(() => {
+      // 前回から新しく保存した（または内容が変わった）ファイルを履歴に残す
+      const previous = new Map(this.db.prepare("SELECT filename, sha256 FROM media WHERE tweet_id = ? AND status = 'downloaded'")
+        .all(tweetId).map(row => [row.filename, row.sha256]));
+      const saved = entries.filter(entry => entry.status === 'downloaded' && previous.get(entry.filename) !== entry.sha256);
+      if (saved.length > 0) {
+        this.recordEvent({ event: JOURNAL_EVENTS.MEDIA_SAVED, tweetId, files: saved.map(entry => entry.filename) });
+      }
+
+      this.db.prepare('DELETE FROM media WHERE tweet_id = ?').run(tweetId);
+      for (const entry of entries) {
+        insert.run(
+          tweetId, entry.filename, entry.index, entry.type, entry.sourceUrl || null, entry.url || null,
+          entry.variant ? JSON.stringify(entry.variant) : null, entry.size ?? null, entry.sha256 || null,
+          entry.status, entry.error || null, entry.downloadedAt || null
+        );
+      }
+    });
+  }
+
+  // [{ type, status, count, bytes }]
+  getMediaStatistics() {
+    return this.db.prepare(`
+      SELECT type, status, COUNT(*) AS count, COALESCE(SUM(size), 0) AS bytes
+      FROM media GROUP BY type, status ORDER BY type, status
+    `).all();
+  }
+
+  // ---- 実行履歴 ----
+
+  // 戻り値は finishRun に渡す ID
+  // 以降の履歴のイベントには script と run（この ID）が付く
+  startRun(script) {
+    const id = Number(this.db.prepare('INSERT INTO runs (script, started_at, status) VALUES (?, ?, ?)')
+      .run(script, new Date().toISOString(), 'running').lastInsertRowid);
+    this.currentRun = { id, script };
+    return id;
+  }
+
+  // status: completed / aborted / failed
+  finishRun(runId, status, summary = null) {
+    this.db.prepare('UPDATE runs SET finished_at = ?, status = ?, summary = ? WHERE id = ?')
+      .run(new Date().toISOString(), status, summary ? JSON.stringify(summary) : null, runId);
+    if (this.currentRun && this.currentRun.id === runId) {
+      this.currentRun = null;
+    }
+  }
+
+  getRecentRuns(limit = 10) {
+    return this.db.prepare('SELECT * FROM runs ORDER BY id DESC LIMIT ?').all(limit)
+      .map(row => ({ ...row, summary: parseJSON(row.summary, null) }));
+  }
+}
+
+// state.db をバックアップ（generation 世代前）で置き換える。state.db を開いているプロセスが無いときに使う
+// 置き換える前の state.db は state.db.before-restore に残す
+// 履歴（state-journal.jsonl）は戻した state.db と合わなくなるので、state-journal.jsonl.before-restore に移し、
+// 戻した state.db の内容を起点に書き直す（そのままだと、後の state-utils.js rebuild で復元が取り消される）
+function restoreStateBackup(generation = 1, dbPath = STATE_DB_PATH) {
+  const backupPath = getBackupPath(dbPath, generation);
+  if (!fs.existsSync(backupPath)) {
+    const available = listBackups(dbPath).map(file => path.basename(file));
+    throw new Error(`バックアップが見つかりません: ${path.basename(backupPath)} (あるもの: ${available.join(', ') || 'なし'})`);
+  }
+  // 壊れたバックアップで置き換えないよう、先に中身を確認する
+  const check = new Database(backupPath, { readonly: true, fileMustExist: true });
+  try {
+    const result = check.pragma('integrity_check', { simple: true });
+    if (result !== 'ok') {
+      throw new Error(`バックアップが壊れています: ${path.basename(backupPath)} (${result})`);
+    }
+    checkVersion(check.pragma('user_version', { simple: true }), DB_SCHEMA_VERSION, 'state.db のバックアップ');
+  } finally {
+    check.close();
+  }
+
+  if (fs.existsSync(dbPath)) {
+    fs.copyFileSync(dbPath, `${dbPath}.before-restore`);
+    if (fs.existsSync(`${dbPath}-wal`)) {
+      fs.copyFileSync(`${dbPath}-wal`, `${dbPath}.before-restore-wal`);
+    }
+  }
+  fs.removeSync(`${dbPath}-wal`);
+  fs.removeSync(`${dbPath}-shm`);
+  fs.copyFileSync(backupPath, `${dbPath}.tmp-${process.pid}`);
+  fs.renameSync(`${dbPath}.tmp-${process.pid}`, dbPath);
+
+  const journalPath = getJournalPath(dbPath);
+  if (fs.existsSync(journalPath)) {
+    fs.renameSync(journalPath, `${journalPath}.before-restore`);
+  }
+  // 開くと startJournal が戻した内容から履歴を作る（古いバージョンのバックアップならスキーマも上げる）
+  new StateStore(dbPath).close();
+  return backupPath;
+}
+
+// プロセス内で共有するインスタンス（ErrorManager と各スクリプトが同じ接続を使う）
+// 開くとスキーマの移行・JSON の取り込み・履歴の作成が行われるので、書き込むスクリプトは acquireStateLock の後で呼ぶ
+const openStores = new Map();
+function getStateStore(dbPath = STATE_DB_PATH) {
+  if (!openStores.has(dbPath)) {
+    openStores.set(dbPath, new StateStore(dbPath));
+  }
+  return openStores.get(dbPath);
+}
+
+// 表示だけのコマンド用。ロックを取らずに読み取り専用で開く
+// state.db がまだ無ければ null（作成も JSON の取り込みもしない）
+function openReadonlyStateStore(dbPath = STATE_DB_PATH) {
+  if (!fs.existsSync(dbPath)) {
+    return null;
+  }
+  return new StateStore(dbPath, { readonly: true });
+}
+
+module.exports = {
+  DB_SCHEMA_VERSION,
+  LEGACY_ERRORS_FILE,
+  LEGACY_PROCESSED_FILE,
+  SOURCE_ORDER,
+  STATE_DB_PATH,
+  STATE_EXPORT_SCHEMA_VERSION,
+  StateStore,
+  TWEET_STATUSES,
+  getStateStore,
+  openReadonlyStateStore,
+  restoreStateBackup
+};
@@ -0,0 +1,263 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { DATA_DIR } = require('./data-dir');
+const { STATE_DB_PATH, STATE_EXPORT_SCHEMA_VERSION, TWEET_STATUSES, getStateStore, openReadonlyStateStore, restoreStateBackup } = require('./state-store');
+const { runMigrations } = require('./state-migrations');
+const { LOCK_FILE_PATH, acquireStateLock, isProcessAlive, listBackups, readLock, writeJSONAtomic } = require('./state-file');
+
+const DEFAULT_EXPORT_DIR = path.join(DATA_DIR, 'state-export');
+
+// コマンドライン引数の処理
+const args = process.argv.slice(2);
+const command = args[0];
+
+function printUsage() {
+  console.log(`
+処理状況（state.db）ユーティリティ
+
+使用方法:
+  node state-utils.js <command> [options]
+
+コマンド:
+  summary                 - ツイートの処理状況・エラー・メディアの件数を表示
+  runs [件数]             - 最近の実行履歴を表示（デフォルト: 10件）
+  export [出力先]         - 以前の processed-tweets.json / error-tweets.json と同じ形式（schemaVersion 付き）で書き出す
+                            （デフォルト: ${path.relative(DATA_DIR, DEFAULT_EXPORT_DIR)}）
+  history <tweetId>       - ツイートの処理状況の移り変わりを履歴（state-journal.jsonl）から表示
+  compact [--before=<日付>]
+                          - 履歴の古いイベントを、その時点の状態だけにまとめて小さくする
+                            --before を省略すると全てまとめる（ツイートごとの処理回数は残る）
+  rebuild [--dry-run]     - 履歴から処理状況とエラー記録を作り直す（export で JSON にも書き出せる）
+                            --dry-run なら今の内容との違いだけを表示する
+  backups                 - state.db のバックアップ（各スクリプトの実行前に保存したもの）を表示
+  restore [世代]          - state.db をバックアップで置き換える（デフォルト: 1 = 直前の実行前）
+                            履歴は復元した state.db から作り直す（それまでのものは state-journal.jsonl.before-restore）
+  unlock [--force]        - 残ったままのロックファイル（state.lock）を削除する
+                            持ち主のプロセスが動いている場合は --force が必要
+  migrate [--dry-run]     - 保存しているファイルを今のバージョンの形にする
+                            （<tweetId>.json → tweet-data.json の名前の変更、schemaVersion の追加など）
+                            --dry-run なら変更内容だけを表示する
+  help                    - このヘルプを表示
+`);
+}
+
+function showSummary(store) {
+  const counts = store.countTweetsByStatus();
+  console.log('処理状況:');
+  console.log(`- 成功: ${counts[TWEET_STATUSES.SUCCESSFUL]}件`);
+  console.log(`- 失敗: ${counts[TWEET_STATUSES.FAILED]}件`);
+  console.log(`- メディアなし: ${counts[TWEET_STATUSES.NO_MEDIA]}件`);
+  console.log(`- エラー記録: ${store.getErrorStatistics().total_errors}件`);
+
+  const media = store.getMediaStatistics();
+  if (media.length > 0) {
+    console.log('\nメディア:');
+    for (const { type, status, count, bytes } of media) {
+      console.log(`  ${type} / ${status}: ${count}件 (${bytes} バイト)`);
+    }
+  }
+}
+
+function showRuns(store, limit) {
+  const runs = store.getRecentRuns(limit);
+  if (runs.length === 0) {
+    console.log('実行履歴はありません');
+    return;
+  }
+  console.log(`\n=== 実行履歴 (最近の${runs.length}件) ===`);
+  for (const run of runs) {
+    console.log(`\n#${run.id} ${run.script} [${run.status}]`);
+    console.log(`  開始: ${run.started_at}`);
+    if (run.finished_at) {
+      console.log(`  終了: ${run.finished_at}`);
+    }
+    if (run.summary) {
+      console.log(`  結果: ${JSON.stringify(run.summary)}`);
+    }
+  }
+}
+
+function exportState(store, outputDir) {
+  fs.ensureDirSync(outputDir);
+  const processedPath = path.join(outputDir, 'processed-tweets.json');
+  const errorsPath = path.join(outputDir, 'error-tweets.json');
+  writeJSONAtomic(processedPath, { schemaVersion: STATE_EXPORT_SCHEMA_VERSION, ...store.exportProcessed() });
+  writeJSONAtomic(errorsPath, { schemaVersion: STATE_EXPORT_SCHEMA_VERSION, ...store.exportErrors() });
+  console.log(`書き出しました: ${processedPath}`);
+  console.log(`書き出しました: ${errorsPath}`);
+}
+
+function describeEvent(event) {
+  const parts = [];
+  if (event.status) parts.push(`処理結果: ${event.status}`);
+  if (event.errorType) parts.push(`エラー: ${event.errorType}`);
+  if (event.retryCount) parts.push(`${event.retryCount}回目`);
+  if (event.sources) parts.push(`取得元: ${event.sources.join(', ')}`);
+  if (event.files) parts.push(`ファイル: ${event.files.join(', ')}`);
+  if (event.script) parts.push(`${event.script} #${event.run}`);
+  if (event.compacted) parts.push('まとめたもの');
+  return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+}
+
+function showHistory(store, tweetId) {
+  if (!tweetId) {
+    console.error('ツイートIDを指定してください');
+    return;
+  }
+  const history = store.getTweetHistory(tweetId);
+  if (history.length === 0) {
+    console.log(`ツイート ${tweetId} の履歴はありません`);
+    return;
+  }
+  const attempts = history.reduce((sum, event) => sum + (event.event === 'queued' ? (event.attempts ?? 1) : 0), 0);
+  console.log(`\n=== ツイート ${tweetId} の履歴 (処理対象になった回数: ${attempts}) ===`);
+  for (const event of history) {
+    console.log(`${event.at} ${event.event}${describeEvent(event)}`);
+  }
+}
+
+function compactJournal(before) {
+  if (before && Number.isNaN(Date.parse(before))) {
+    throw new Error(`日付の形式が正しくありません: ${before}`);
+  }
+  acquireStateLock('state-utils');
+  const store = getStateStore();
+  const { before: beforeCount, after } = store.compactJournal(before ? new Date(before).toISOString() : null);
+  console.log(`履歴をまとめました: ${beforeCount}行 → ${after}行（元の履歴は state-journal.jsonl.bak.1）`);
+}
+
+function rebuildFromJournal(dryRun) {
+  let store;
+  if (dryRun) {
+    store = openReadonly();
+    if (!store) return;
+  } else {
+    acquireStateLock('state-utils');
+    store = getStateStore();
+    store.backup();
+  }
+  const diff = store.rebuildFromJournal({ dryRun });
+  console.log(`履歴と違うツイート: ${diff.tweets}件`);
+  console.log(`履歴と違うエラー記録: ${diff.errors}件`);
+  console.log(`エラー統計: ${diff.statistics ? '違いあり' : '一致'}`);
+  if (dryRun) {
+    console.log('\n--dry-run のため変更していません');
+  } else {
+    console.log('\n履歴から処理状況とエラー記録を作り直しました（作り直す前のものは state.db.bak.1）');
+  }
+}
+
+function showBackups() {
+  const backups = listBackups(STATE_DB_PATH);
+  if (backups.length === 0) {
+    console.log('バックアップはありません');
+    return;
+  }
+  backups.forEach((backupPath, i) => {
+    const stat = fs.statSync(backupPath);
+    console.log(`${i + 1}: ${path.basename(backupPath)} (${stat.mtime.toISOString()}, ${stat.size} バイト)`);
+  });
+}
+
+function restoreBackup(generation) {
+  // 復元中に他のスクリプトが state.db を書き換えないようにする
+  acquireStateLock('state-utils');
+  const backupPath = restoreStateBackup(generation);
+  console.log(`${path.basename(backupPath)} から state.db を復元しました（置き換える前のものは state.db.before-restore）`);
+  console.log('履歴は復元した state.db の内容から作り直しました（それまでの履歴は state-journal.jsonl.before-restore）');
+}
+
+function unlock(force) {
+  if (!fs.existsSync(LOCK_FILE_PATH)) {
+    console.log('ロックファイルはありません');
+    return;
+  }
+  const holder = readLock(LOCK_FILE_PATH);
+  // 別のマシン（共有フォルダ）で取られたロックは、持ち主が動いているか確かめられない
+  if (holder && !force && (holder.host !== os.hostname() || isProcessAlive(holder.pid))) {
+    console.error(`${holder.script} (PID ${holder.pid}, ${holder.host}) が実行中の可能性があります。本当に削除する場合は --force を付けてください`);
+    process.exit(1);
+  }
+  fs.removeSync(LOCK_FILE_PATH);
+  console.log(holder
+    ? `ロックファイルを削除しました (${holder.script}, PID ${holder.pid}, ${holder.startedAt} 開始)`
+    : 'ロックファイルを削除しました');
+}
+
+// 表示・書き出しだけのコマンド用。ロックを取らずに読み取り専用で開く（state.db がまだ無ければ null）
+function openReadonly() {
+  const store = openReadonlyStateStore();
+  if (!store) {
+    console.log('まだ処理されたツイートはありません');
+  }
+  return store;
+}
+
+function main() {
+  try {
+    switch (command) {
+      case 'summary': {
+        const store = openReadonly();
+        if (store) showSummary(store);
+        break;
+      }
+      case 'runs': {
+        const store = openReadonly();
+        if (store) showRuns(store, args[1] ? Number(args[1]) : 10);
+        break;
+      }
+      case 'export': {
+        const store = openReadonly();
+        if (store) exportState(store, args[1] ? path.resolve(args[1]) : DEFAULT_EXPORT_DIR);
+        break;
+      }
+      case 'history': {
+        const store = openReadonly();
+        if (store) showHistory(store, args[1]);
+        break;
+      }
+      case 'compact': {
+        const option = args.find(arg => arg.startsWith('--before='));
+        compactJournal(option ? option.slice('--before='.length) : null);
+        break;
+      }
+      case 'rebuild':
+        rebuildFromJournal(args.includes('--dry-run'));
+        break;
+      case 'backups':
+        showBackups();
+        break;
+      case 'restore':
+        restoreBackup(args[1] ? Number(args[1]) : 1);
+        break;
+      case 'unlock':
+        unlock(args.includes('--force'));
+        break;
+      case 'migrate': {
+        const { failures } = runMigrations({ dryRun: args.includes('--dry-run') });
+        if (failures > 0) {
+          process.exit(1);
+        }
+        break;
+      }
+      case 'help':
+      case '--help':
+      case '-h':
+        printUsage();
+        break;
+      default:
+        console.error('不明なコマンドです');
+        printUsage();
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error(`エラーが発生しました: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// スクリプト実行
+if (require.main === module) {
+  main();
+}
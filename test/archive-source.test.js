@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { createWorkspace } = require('./helpers/workspace');
+const { createZip, ytdFile } = require('./helpers/zip');
+const { openArchive } = require('../archive-source');
+const { readYtdDataset } = require('../ytd-reader');
+
+const like = tweetId => ({ like: { tweetId } });
+
+// データセットの tweetId を読み出す
+async function readTweetIds(archive, datasetName) {
+  const ids = [];
+  for await (const { record } of readYtdDataset(archive, datasetName)) {
+    ids.push(record.tweetId);
+  }
+  return ids;
+}
+
+async function writeZip(ws, entries) {
+  const zipPath = ws.file('archive.zip');
+  await fs.writeFile(zipPath, createZip(entries));
+  return zipPath;
+}
+
+test('archive-source: 無圧縮と deflate のエントリを展開せずに読む', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+  const zipPath = await writeZip(ws, [
+    { name: 'data/', method: 'store' },
+    { name: 'data/like.js', data: ytdFile('like', 0, [like('100'), like('200')]), method: 'store' },
+    { name: 'data/bookmark.js', data: ytdFile('bookmark', 0, [{ bookmark: { tweetId: '300' } }]), method: 'deflate' },
+    { name: 'README.txt', data: 'readme' }
+  ]);
+
+  const archive = await openArchive(zipPath);
+  t.after(() => archive.close());
+  assert.deepStrictEqual((await archive.list()).sort(), ['bookmark.js', 'like.js']);
+  assert.deepStrictEqual(await readTweetIds(archive, 'like'), ['100', '200']);
+  assert.deepStrictEqual(await readTweetIds(archive, 'bookmark'), ['300']);
+});
+
+test('archive-source: ルートにフォルダが挟まった ZIP でも一番浅い data フォルダを読む', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+  const zipPath = await writeZip(ws, [
+    { name: 'twitter-2024-01-01/data/like.js', data: ytdFile('like', 0, [like('100')]) },
+    { name: 'twitter-2024-01-01/data/tweets_media/like.js', data: 'not a dataset' },
+    { name: 'twitter-2024-01-01/assets/js/data/like.js', data: 'not a dataset' }
+  ]);
+
+  const archive = await openArchive(zipPath);
+  t.after(() => archive.close());
+  assert.deepStrictEqual(await archive.list(), ['like.js']);
+  assert.deepStrictEqual(await readTweetIds(archive, 'like'), ['100']);
+});
+
+test('archive-source: パスが短くても、より深い data フォルダは選ばない', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+  const zipPath = await writeZip(ws, [
+    { name: 'twitter-2024-01-01-0123456789abcdef/data/like.js', data: ytdFile('like', 0, [like('100')]) },
+    { name: 'a/b/data/like.js', data: ytdFile('like', 0, [like('900')]) }
+  ]);
+
+  const archive = await openArchive(zipPath);
+  t.after(() => archive.close());
+  assert.deepStrictEqual(await readTweetIds(archive, 'like'), ['100']);
+});
+
+test('archive-source: like-partN.js に分かれたデータセットをパート番号順に読む', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+  const zipPath = await writeZip(ws, [
+    { name: 'data/like-part2.js', data: ytdFile('like', 2, [like('300')]) },
+    { name: 'data/like.js', data: ytdFile('like', 0, [like('100')]) },
+    { name: 'data/like-part1.js', data: ytdFile('like', 1, [like('200')]), method: 'store' }
+  ]);
+
+  const archive = await openArchive(zipPath);
+  t.after(() => archive.close());
+  assert.deepStrictEqual(await readTweetIds(archive, 'like'), ['100', '200', '300']);
+});
+
+test('archive-source: 途中で切れた・壊れた ZIP はエラーにする', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+  const zip = createZip([{ name: 'data/like.js', data: ytdFile('like', 0, [like('100')]) }]);
+  const zipPath = ws.file('archive.zip');
+
+  // 終端レコードが無い
+  await fs.writeFile(zipPath, zip.subarray(0, zip.length - 30));
+  await assert.rejects(openArchive(zipPath), /ZIPファイルとして読み込めません/);
+
+  // 中央ディレクトリのシグネチャが壊れている
+  const cdOffset = zip.readUInt32LE(zip.length - 6);
+  const corrupt = Buffer.from(zip);
+  corrupt.writeUInt32LE(0, cdOffset);
+  await fs.writeFile(zipPath, corrupt);
+  await assert.rejects(openArchive(zipPath), /ZIPの中央ディレクトリが壊れています/);
+
+  // 圧縮データが壊れている
+  const broken = Buffer.from(zip);
+  broken.fill(0xff, 30 + 'data/like.js'.length, cdOffset);
+  await fs.writeFile(zipPath, broken);
+  const archive = await openArchive(zipPath);
+  t.after(() => archive.close());
+  await assert.rejects(readTweetIds(archive, 'like'));
+});
+
+test('archive-source: like.js を直接指定したら、含むフォルダを指定するよう案内する', async (t) => {
+  const ws = await createWorkspace({ archive: { 'like.js': [like('100')] } });
+  t.after(() => ws.remove());
+
+  await assert.rejects(
+    openArchive(ws.file('archive', 'data', 'like.js')),
+    error => /展開したフォルダを指定してください/.test(error.message) && error.message.includes(ws.file('archive', 'data'))
+  );
+  const archive = await openArchive(ws.file('archive', 'data'));
+  assert.deepStrictEqual(await readTweetIds(archive, 'like'), ['100']);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { createWorkspace } = require('./helpers/workspace');
+
+test('check-success-fail: tweet-data.json の有無で処理状況を修正する', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+
+  // 100: 成功扱いだが JSON が無い → 成功から外してエラー登録
+  // 200: JSON があるのに記録されていない → 成功に追加
+  // 300: 成功扱いで JSON もある → そのまま
+  await fs.ensureDir(ws.file('downloads', '100'));
+  await ws.writeTweetData('200', { media: [] });
+  await ws.writeTweetData('300', { media: [] });
+  await fs.writeJSON(ws.file('processed-tweets.json'), {
+    successful: { 100: '2024-01-01T00:00:00.000Z', 300: '2024-01-01T00:00:00.000Z' },
+    failed: {},
+    noMedia: {},
+    sources: { 100: ['like'] }
+  });
+
+  const { code, stdout } = await ws.run('check-success-fail.js');
+  assert.strictEqual(code, 0, stdout);
+
+  const processed = (await ws.readState()).processed;
+  assert.deepStrictEqual(Object.keys(processed.successful).sort(), ['200', '300']);
+  // 取得元の記録は消さない
+  assert.deepStrictEqual(processed.sources['100'], ['like']);
+  assert.strictEqual(await fs.pathExists(ws.file('downloads', '100')), false);
+
+  const errors = (await ws.readState()).errors;
+  assert.strictEqual(errors.errors['100'].type, 'not_found');
+});
+
+test('check-success-fail: like.js のスタブしか無いツイートは成功扱いにしない', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+
+  await ws.writeTweetData('100', { description: 'stub', media: [], archiveFallback: { errorType: 'media_404' } });
+  await fs.writeJSON(ws.file('error-tweets.json'), {
+    errors: {
+      100: {
+        type: 'media_404',
+        timestamp: '2024-01-01T00:00:00.000Z',
+        details: { archiveFallback: true },
+        retry_count: 1
+      }
+    },
+    statistics: { total_errors: 1, by_type: { media_404: 1 }, by_date: { '2024-01-01': 1 } }
+  });
+
+  const { code, stdout } = await ws.run('check-success-fail.js');
+  assert.strictEqual(code, 0, stdout);
+
+  const processed = (await ws.readState()).processed;
+  assert.strictEqual(processed.successful['100'], undefined);
+});
+
+test('check-success-fail: エラー記録が消えていても、tweet-data.json の印でスタブを見分ける', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+
+  // error-utils.js retry / clear-all の後のように、エラー記録は無い
+  // 100: 今のスタブ、200: 以前のスタブ（archiveFallback に失敗の内容）、300: 取得できたツイート
+  await ws.writeTweetData('100', { description: 'stub', media: [], archiveFallback: true, archiveFallbackError: { errorType: 'media_404' } });
+  await ws.writeTweetData('200', { description: 'old stub', media: [], archiveFallback: { errorType: 'media_404' } });
+  await ws.writeTweetData('300', { description: 'fetched', media: [] });
+
+  const { code, stdout } = await ws.run('check-success-fail.js');
+  assert.strictEqual(code, 0, stdout);
+
+  const processed = (await ws.readState()).processed;
+  assert.deepStrictEqual(Object.keys(processed.successful), ['300']);
+});
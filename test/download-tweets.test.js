@@ -0,0 +1,205 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { createWorkspace } = require('./helpers/workspace');
+
+// 待ち時間を短くし、TwitterDL の代わりに mock バックエンドを使う設定
+function mockConfig(mockOptions, overrides = {}) {
+  return {
+    downloadSettings: {
+      batchSize: 10,
+      rateLimitWaitTime: 10,
+      maxRateLimitRetries: 1,
+      requestsPerSecond: 50,
+      maxRequestsPerSecond: 100,
+      fetchers: ['mock'],
+      fetcherOptions: { mock: mockOptions },
+      ...overrides
+    }
+  };
+}
+
+const TWEET_WITH_MEDIA = {
+  id: '100',
+  description: 'photo tweet',
+  author: { username: 'alice' },
+  media: [{ type: 'photo', image: 'http://127.0.0.1:1/media/a.jpg' }]
+};
+
+const TWEET_WITHOUT_MEDIA = {
+  id: '200',
+  description: 'text tweet',
+  author: { username: 'bob' },
+  media: []
+};
+
+test('download-tweets: 取得結果に応じて処理状況と tweet-data.json を作る', async (t) => {
+  const ws = await createWorkspace({
+    config: mockConfig({
+      tweets: { 100: TWEET_WITH_MEDIA, 200: TWEET_WITHOUT_MEDIA },
+      errors: { 300: 'HTTP 404 Not Found' }
+    }),
+    archive: {
+      'like.js': [
+        { like: { tweetId: '100' } },
+        { like: { tweetId: '200' } },
+        { like: { tweetId: '300', fullText: 'deleted tweet text', expandedUrl: 'https://twitter.com/i/web/status/300' } }
+      ],
+      'like-part1.js': [
+        { like: { tweetId: '100' } }
+      ]
+    }
+  });
+  t.after(() => ws.remove());
+
+  const { code, stdout } = await ws.run('download-tweets.js', [ws.archiveDir]);
+  assert.strictEqual(code, 0, stdout);
+  assert.match(stdout, /like-part1\.js \(part1\): 1件 \(重複 1件\)/);
+
+  const processed = (await ws.readState()).processed;
+  assert.ok(processed.successful['100']);
+  assert.ok(processed.noMedia['200']);
+  assert.ok(processed.failed['300']);
+  assert.deepStrictEqual(processed.sources['100'], ['like']);
+
+  const saved = await ws.readJSON('downloads', '100', 'tweet-data.json');
+  assert.deepStrictEqual(saved, { schemaVersion: 1, ...TWEET_WITH_MEDIA });
+
+  // 取得に失敗したツイートは like.js の本文からスタブを作り、エラーも記録する
+  const stub = await ws.readJSON('downloads', '300', 'tweet-data.json');
+  assert.strictEqual(stub.description, 'deleted tweet text');
+  assert.strictEqual(stub.archiveFallback, true);
+  assert.strictEqual(stub.archiveFallbackError.errorType, 'media_404');
+
+  const errors = (await ws.readState()).errors;
+  assert.strictEqual(errors.errors['300'].type, 'media_404');
+  assert.strictEqual(errors.errors['300'].details.archiveFallback, true);
+  assert.strictEqual(errors.errors['100'], undefined);
+});
+
+test('download-tweets: 処理済みのツイートは再取得しない', async (t) => {
+  const ws = await createWorkspace({
+    config: mockConfig({ tweets: { 100: TWEET_WITH_MEDIA } }),
+    archive: { 'like.js': [{ like: { tweetId: '100' } }] }
+  });
+  t.after(() => ws.remove());
+
+  await fs.writeJSON(ws.file('processed-tweets.json'), {
+    successful: { 100: '2024-01-01T00:00:00.000Z' },
+    failed: {},
+    noMedia: {}
+  });
+
+  const { code, stdout } = await ws.run('download-tweets.js', [ws.archiveDir]);
+  assert.strictEqual(code, 0, stdout);
+  assert.match(stdout, /既に処理済みのためスキップ: 1件/);
+  assert.strictEqual(await fs.pathExists(ws.file('downloads', '100')), false);
+});
+
+test('download-tweets: レート制限は再試行回数の上限まで再試行してから失敗にする', async (t) => {
+  const ws = await createWorkspace({
+    config: mockConfig({ errors: { 100: 'Failed to get Guest Token. Authorization is invalid!' } }),
+    archive: { 'like.js': [{ like: { tweetId: '100' } }] }
+  });
+  t.after(() => ws.remove());
+
+  const { code, stdout } = await ws.run('download-tweets.js', [ws.archiveDir]);
+  assert.strictEqual(code, 0, stdout);
+  assert.match(stdout, /再試行: 100 \(1\/1\)/);
+
+  const processed = (await ws.readState()).processed;
+  assert.ok(processed.failed['100']);
+});
+
+test('download-tweets: 取り直しても変わらない失敗（retryable: false）はレート制限の文言があっても再試行しない', async (t) => {
+  const ws = await createWorkspace({
+    config: mockConfig({ errors: { 100: { message: '[twitterdl] HTTP 429 Too Many Requests / [syndication] Tweet not found! (TweetTombstone)', retryable: false } } }),
+    archive: { 'like.js': [{ like: { tweetId: '100' } }] }
+  });
+  t.after(() => ws.remove());
+
+  const { code, stdout } = await ws.run('download-tweets.js', [ws.archiveDir]);
+  assert.strictEqual(code, 0, stdout);
+  assert.doesNotMatch(stdout, /再試行: 100/);
+  assert.ok((await ws.readState()).processed.failed['100']);
+});
+
+test('download-tweets: --source=both で likes と bookmarks の取得元を記録する', async (t) => {
+  const ws = await createWorkspace({
+    config: mockConfig({ tweets: { 100: TWEET_WITH_MEDIA, 200: TWEET_WITHOUT_MEDIA } }),
+    archive: {
+      'like.js': [{ like: { tweetId: '100' } }],
+      'bookmark.js': [{ bookmark: { tweetId: '100' } }, { bookmark: { tweetId: '200' } }]
+    }
+  });
+  t.after(() => ws.remove());
+
+  const { code, stdout } = await ws.run('download-tweets.js', [ws.archiveDir, '--source=both']);
+  assert.strictEqual(code, 0, stdout);
+
+  const processed = (await ws.readState()).processed;
+  assert.deepStrictEqual(processed.sources['100'], ['like', 'bookmark']);
+  assert.deepStrictEqual(processed.sources['200'], ['bookmark']);
+});
+
+// 自分のツイート（tweets.js）の1要素
+function ownTweet(id, media) {
+  return {
+    tweet: {
+      id_str: id,
+      created_at: 'Mon Jan 01 00:00:00 +0000 2024',
+      full_text: `own tweet ${id}`,
+      lang: 'ja',
+      retweet_count: '2',
+      favorite_count: '5',
+      entities: { media },
+      extended_entities: { media }
+    }
+  };
+}
+
+const ACCOUNT = { account: { accountId: '1', username: 'me', accountDisplayName: 'Me' } };
+
+test('download-tweets: --source=tweets でメディアまで揃った自分のツイートは取得せずに保存する', async (t) => {
+  const photo = { type: 'photo', media_url_https: 'https://pbs.twimg.com/media/a.jpg', expanded_url: 'https://x.com/me/status/500/photo/1' };
+  const ws = await createWorkspace({
+    // 取得されれば、こちらの本文と remoteOnly が保存される
+    config: mockConfig({ tweets: { 500: { id: '500', description: 'from fetcher', remoteOnly: true, media: [] } } }),
+    archive: { 'tweets.js': [ownTweet('500', [photo])], 'account.js': [ACCOUNT] }
+  });
+  t.after(() => ws.remove());
+
+  const { code, stdout } = await ws.run('download-tweets.js', [ws.archiveDir, '--source=tweets']);
+  assert.strictEqual(code, 0, stdout);
+
+  const saved = await ws.readJSON('downloads', '500', 'tweet-data.json');
+  assert.strictEqual(saved.description, 'own tweet 500');
+  assert.strictEqual(saved.remoteOnly, undefined);
+  assert.deepStrictEqual(saved.author, { username: 'me', displayName: 'Me' });
+  assert.deepStrictEqual(saved.media, [{ type: 'photo', expandedUrl: photo.expanded_url, image: photo.media_url_https }]);
+  const processed = (await ws.readState()).processed;
+  assert.ok(processed.successful['500']);
+  assert.deepStrictEqual(processed.sources['500'], ['tweets']);
+});
+
+test('download-tweets: --source=tweets で動画のバリアントが無い自分のツイートは取得して、アーカイブの項目と合わせる', async (t) => {
+  const video = { type: 'video', media_url_https: 'https://pbs.twimg.com/cover.jpg', expanded_url: 'https://x.com/me/status/600/video/1' };
+  const remoteMedia = [{ type: 'video', cover: 'https://pbs.twimg.com/cover.jpg', videos: [{ bitrate: 2176000, url: 'https://video.twimg.com/high.mp4' }] }];
+  const ws = await createWorkspace({
+    config: mockConfig({ tweets: { 600: { id: '600', description: 'own tweet 600', media: remoteMedia, statistics: { viewCount: 10 } } } }),
+    archive: { 'tweets.js': [ownTweet('600', [video])], 'account.js': [ACCOUNT] }
+  });
+  t.after(() => ws.remove());
+
+  const { code, stdout } = await ws.run('download-tweets.js', [ws.archiveDir, '--source=tweets']);
+  assert.strictEqual(code, 0, stdout);
+
+  const saved = await ws.readJSON('downloads', '600', 'tweet-data.json');
+  // メディアと統計は取得した方、取得結果に無い項目はアーカイブの方
+  assert.deepStrictEqual(saved.media, remoteMedia);
+  assert.deepStrictEqual(saved.statistics, { viewCount: 10 });
+  assert.strictEqual(saved.createdAt, 'Mon Jan 01 00:00:00 +0000 2024');
+  assert.strictEqual(saved.languange, 'ja');
+  assert.deepStrictEqual(saved.author, { username: 'me', displayName: 'Me' });
+  assert.ok((await ws.readState()).processed.successful['600']);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWorkspace } = require('./helpers/workspace');
+const { ErrorManager, ERROR_TYPES, determineErrorType } = require('../error-manager');
+const { StateStore } = require('../state-store');
+
+test('error-manager: 同じツイートが何度失敗しても統計は記録の数と同じになる', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+  const store = new StateStore(ws.file('state.db'));
+  t.after(() => store.close());
+  const errorManager = new ErrorManager(store);
+  const today = new Date().toISOString().split('T')[0];
+
+  errorManager.addError('100', ERROR_TYPES.MEDIA_404);
+  errorManager.addError('100', ERROR_TYPES.MEDIA_404);
+  errorManager.addError('100', ERROR_TYPES.RATE_LIMIT);
+  errorManager.addError('200', ERROR_TYPES.MEDIA_404);
+  assert.strictEqual(errorManager.getError('100').retry_count, 3);
+  assert.deepStrictEqual(errorManager.getStatistics(), {
+    total_errors: 2,
+    by_type: { media_404: 1, rate_limit: 1 },
+    by_date: { [today]: 2 }
+  });
+
+  errorManager.removeError('100');
+  errorManager.removeError('100');
+  assert.deepStrictEqual(errorManager.getStatistics(), {
+    total_errors: 1,
+    by_type: { media_404: 1 },
+    by_date: { [today]: 1 }
+  });
+  assert.deepStrictEqual(errorManager.rebuildStatistics({ dryRun: true }).differences, []);
+});
+
+test('error-utils rebuild-stats: 記録と食い違った統計を表示し、数え直す', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+
+  // 以前の ErrorManager が再失敗のたびに足していた統計
+  const store = new StateStore(ws.file('state.db'));
+  store.putError('100', { type: 'rate_limit', timestamp: '2024-01-02T00:00:00.000Z', details: {}, retry_count: 3 });
+  store.incrementErrorStatistics('media_404', '2024-01-01', 2);
+  store.incrementErrorStatistics('rate_limit', '2024-01-02', 1);
+  store.close();
+
+  let result = await ws.run('error-utils.js', ['rebuild-stats', '--dry-run']);
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.match(result.stdout, /エラー統計の食い違い \(3項目\)/);
+  assert.match(result.stdout, /エラータイプ media_404: 2 → なし/);
+  assert.match(result.stdout, /総エラー数: 3件 → 1件/);
+  assert.strictEqual((await ws.readState()).errors.statistics.total_errors, 3);
+
+  result = await ws.run('error-utils.js', ['rebuild-stats']);
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.match(result.stdout, /エラー記録から数え直しました/);
+  assert.deepStrictEqual((await ws.readState()).errors.statistics, {
+    total_errors: 1,
+    by_type: { rate_limit: 1 },
+    by_date: { '2024-01-02': 1 }
+  });
+
+  result = await ws.run('error-utils.js', ['rebuild-stats', '--dry-run']);
+  assert.match(result.stdout, /エラー統計はエラー記録と一致しています \(1件\)/);
+});
+
+test('state-store: 以前のバージョンの state.db を開くと統計を記録から数え直す', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+
+  const store = new StateStore(ws.file('state.db'));
+  store.putError('100', { type: 'media_404', timestamp: '2024-01-01T00:00:00.000Z', details: {}, retry_count: 2 });
+  store.incrementErrorStatistics('media_404', '2024-01-01', 2);
+  store.db.pragma('user_version = 1');
+  store.close();
+
+  const reopened = new StateStore(ws.file('state.db'));
+  t.after(() => reopened.close());
+  assert.strictEqual(reopened.getSchemaVersion(), 2);
+  assert.deepStrictEqual(reopened.getErrorStatistics(), {
+    total_errors: 1,
+    by_type: { media_404: 1 },
+    by_date: { '2024-01-01': 1 }
+  });
+});
+
+test('error-manager: HTTP のステータスが分かるエラーは URL の数字に左右されずに判定する', () => {
+  const httpError = (statusCode, text) => {
+    const error = new Error(`HTTP ${statusCode} ${text}: http://127.0.0.1:44290/media/404.jpg`);
+    error.statusCode = statusCode;
+    return error;
+  };
+
+  assert.strictEqual(determineErrorType(httpError(503, 'Server Error')), ERROR_TYPES.UNKNOWN_ERROR);
+  assert.strictEqual(determineErrorType(httpError(429, 'Too Many Requests')), ERROR_TYPES.RATE_LIMIT);
+  assert.strictEqual(determineErrorType(httpError(403, 'Forbidden')), ERROR_TYPES.MEDIA_403);
+  assert.strictEqual(determineErrorType(httpError(401, 'Unauthorized')), ERROR_TYPES.AUTH_ERROR);
+  // ステータスの無いものは今までどおりメッセージで判定する
+  assert.strictEqual(determineErrorType(new Error('Tweet Not Found')), ERROR_TYPES.MEDIA_404);
+});
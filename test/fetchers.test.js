@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const https = require('https');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { createFetcher, createFetcherChain, registerFetcher } = require('../fetchers');
+const { createMockFetcher } = require('../fetchers/mock');
+const { getSyndicationToken } = require('../fetchers/syndication');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'local-json');
+
+// 同じ mock を別の名前で並べられるようにする（呼び出しは calls で確かめる）
+const mocks = {};
+for (const name of ['mock-first', 'mock-second']) {
+  registerFetcher(name, (options) => {
+    mocks[name] = { ...createMockFetcher(options), name };
+    return mocks[name];
+  });
+}
+
+test('fetchers: 前のバックエンドが失敗したときだけ、指定した順に次を試す', async () => {
+  const chain = createFetcherChain(['local-json', 'mock-first', 'mock-second'], {
+    'local-json': { path: FIXTURE_DIR },
+    'mock-first': { errors: { 300: 'HTTP 429 Too Many Requests' } },
+    'mock-second': { tweets: { 300: { id: '300', media: [] } } }
+  });
+  assert.strictEqual(chain.name, 'local-json → mock-first → mock-second');
+
+  // 手元にあるツイートはネットワークのバックエンドを呼ばない
+  let res = await chain.fetchTweet('2000');
+  assert.strictEqual(res.status, 'success');
+  assert.strictEqual(res.fetcher, 'local-json');
+  assert.deepStrictEqual(mocks['mock-first'].calls, []);
+
+  res = await chain.fetchTweet('300');
+  assert.strictEqual(res.status, 'success');
+  assert.strictEqual(res.fetcher, 'mock-second');
+  assert.deepStrictEqual(res.result, { id: '300', media: [] });
+  assert.deepStrictEqual(mocks['mock-first'].calls, ['300']);
+  assert.deepStrictEqual(mocks['mock-second'].calls, ['300']);
+});
+
+test('fetchers: すべて失敗したら各バックエンドのメッセージをまとめて返す', async () => {
+  registerFetcher('throwing', () => ({
+    name: 'throwing',
+    async fetchTweet() {
+      throw new Error('getaddrinfo ENOTFOUND example.com');
+    }
+  }));
+  const chain = createFetcherChain(['local-json', 'throwing', 'mock-first'], {
+    'local-json': { path: FIXTURE_DIR },
+    'mock-first': { errors: { 400: 'HTTP 404 Not Found' } }
+  });
+
+  const res = await chain.fetchTweet('400');
+  assert.deepStrictEqual(res, {
+    status: 'error',
+    message: '[local-json] Not Found in local dump: 400 / [throwing] getaddrinfo ENOTFOUND example.com / [mock-first] HTTP 404 Not Found'
+  });
+});
+
+test('fetchers: retryable: false の失敗が返ったら残りのバックエンドは試さない', async () => {
+  const chain = createFetcherChain(['mock-first', 'mock-second'], {
+    'mock-first': { errors: { 500: { message: 'Tweet not found! (TweetTombstone)', retryable: false } } },
+    'mock-second': { tweets: { 500: { id: '500', media: [] } } }
+  });
+
+  const res = await chain.fetchTweet('500');
+  assert.deepStrictEqual(res, {
+    status: 'error',
+    message: '[mock-first] Tweet not found! (TweetTombstone)',
+    retryable: false
+  });
+  assert.deepStrictEqual(mocks['mock-second'].calls, []);
+});
+
+test('fetchers: 1つだけならそのバックエンドを返し、未登録の名前や空の指定はエラーにする', () => {
+  assert.strictEqual(createFetcherChain(['mock']).name, 'mock');
+  assert.throws(() => createFetcherChain(['mock', 'unknown']), /未登録の取得バックエンドです: unknown/);
+  assert.throws(() => createFetcherChain([]), /取得バックエンドが1つも指定されていません/);
+  assert.throws(() => createFetcher('local-json'), /path の指定が必要です/);
+});
+
+test('local-json: <tweetId>.json と <tweetId>/tweet-data.json を読み、API v1.1 の形は変換する', async () => {
+  const fetcher = createFetcher('local-json', { path: FIXTURE_DIR });
+
+  const v1 = await fetcher.fetchTweet('1000');
+  assert.strictEqual(v1.status, 'success');
+  assert.strictEqual(v1.result.id, '1000');
+  assert.strictEqual(v1.result.description, 'API v1.1 の形で保存したツイート https://t.co/abc');
+  assert.strictEqual(v1.result.statistics.favoriteCount, 3);
+  assert.deepStrictEqual(v1.result.media, [{
+    type: 'photo',
+    expandedUrl: 'https://twitter.com/alice/status/1000/photo/1',
+    image: 'https://pbs.twimg.com/media/AAA.jpg'
+  }]);
+
+  const saved = await fetcher.fetchTweet('2000');
+  assert.deepStrictEqual(saved, {
+    status: 'success',
+    result: {
+      id: '2000',
+      description: 'tweet-data.json の形で保存したツイート',
+      author: { username: 'bob' },
+      media: []
+    }
+  });
+
+  assert.deepStrictEqual(await fetcher.fetchTweet('3000'), { status: 'error', message: 'Not Found in local dump: 3000' });
+});
+
+// https.get の代わりに、決まった応答を返す
+function mockSyndication(t, statusCode, body) {
+  const requested = [];
+  t.mock.method(https, 'get', (url, options, callback) => {
+    requested.push(url);
+    const response = new PassThrough();
+    response.statusCode = statusCode;
+    response.statusMessage = statusCode === 200 ? 'OK' : 'Not Found';
+    process.nextTick(() => {
+      callback(response);
+      response.end(body === undefined ? '' : JSON.stringify(body));
+    });
+    return { on() {}, setTimeout() {} };
+  });
+  return requested;
+}
+
+test('syndication: 埋め込み API の応答を tweet-data.json の形にする', async (t) => {
+  const requested = mockSyndication(t, 200, {
+    id_str: '1000',
+    created_at: '2024-01-01T00:00:00.000Z',
+    text: 'syndication tweet',
+    lang: 'en',
+    favorite_count: 5,
+    conversation_count: 2,
+    user: { screen_name: 'alice', name: 'Alice', is_blue_verified: true },
+    mediaDetails: [{ type: 'photo', media_url_https: 'https://pbs.twimg.com/media/BBB.jpg', expanded_url: 'https://x.com/alice/status/1000/photo/1' }]
+  });
+  const fetcher = createFetcher('syndication');
+
+  const res = await fetcher.fetchTweet('1000');
+  assert.strictEqual(requested[0], `https://cdn.syndication.twimg.com/tweet-result?id=1000&lang=ja&token=${getSyndicationToken('1000')}`);
+  assert.strictEqual(res.status, 'success');
+  assert.strictEqual(res.result.description, 'syndication tweet');
+  assert.deepStrictEqual(res.result.author, { username: 'alice', displayName: 'Alice', verified: true, profileImageUrl: undefined });
+  assert.deepStrictEqual(res.result.statistics, { replieCount: 2, retweetCount: 0, favoriteCount: 5, bookmarkCount: 0, viewCount: 0 });
+  assert.deepStrictEqual(res.result.media, [{ type: 'photo', expandedUrl: 'https://x.com/alice/status/1000/photo/1', image: 'https://pbs.twimg.com/media/BBB.jpg' }]);
+});
+
+test('syndication: 削除済みのツイートは取り直さない失敗、HTTP エラーはステータス付きの失敗にする', async (t) => {
+  mockSyndication(t, 200, { __typename: 'TweetTombstone' });
+  const fetcher = createFetcher('syndication');
+  assert.deepStrictEqual(await fetcher.fetchTweet('1000'), {
+    status: 'error',
+    message: 'Tweet not found! (TweetTombstone)',
+    retryable: false
+  });
+
+  t.mock.restoreAll();
+  mockSyndication(t, 404);
+  assert.deepStrictEqual(await fetcher.fetchTweet('1000'), { status: 'error', message: 'HTTP 404 Not Found' });
+});
@@ -0,0 +1,185 @@
+const zlib = require('zlib');
+
+// 知覚ハッシュのテスト用に、小さな本物の画像を作る
+// pixel(x, y) は 0〜255 の明るさを返す関数
+
+// 標準の輝度 DC ハフマン表（JPEG 仕様 K.3）
+const DC_COUNTS = [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0];
+const DC_SYMBOLS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+
+function buildCodes(counts, symbols) {
+  const codes = new Map();
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < counts[length - 1]; i++) {
+      codes.set(symbols[k++], { code, length });
+      code++;
+    }
+    code <<= 1;
+  }
+  return codes;
+}
+
+const DC_CODES = buildCodes(DC_COUNTS, DC_SYMBOLS);
+
+class BitWriter {
+  constructor() {
+    this.bytes = [];
+    this.current = 0;
+    this.count = 0;
+  }
+
+  write(value, length) {
+    for (let i = length - 1; i >= 0; i--) {
+      this.current = (this.current << 1) | ((value >> i) & 1);
+      if (++this.count === 8) {
+        this.bytes.push(this.current);
+        // 0xFF の後には 0x00 を入れる（マーカーと区別するため）
+        if (this.current === 0xff) this.bytes.push(0);
+        this.current = 0;
+        this.count = 0;
+      }
+    }
+  }
+
+  finish() {
+    if (this.count > 0) this.write(0x7f, 8 - this.count);
+    return Buffer.from(this.bytes);
+  }
+}
+
+function segment(marker, body) {
+  const header = Buffer.from([0xff, marker, (body.length + 2) >> 8, (body.length + 2) & 0xff]);
+  return Buffer.concat([header, Buffer.from(body)]);
+}
+
+// 8x8 ブロックの平均値で塗りつぶした JPEG（AC 成分なし、量子化テーブルは全て 1）を作る
+// color: true なら Y を 2x2 でサンプリングした YCbCr（Cb / Cr は無彩色）
+// progressive: true なら DC の最初のスキャンと、読み飛ばされるべき AC のスキャンに分ける
+function encodeJpeg({ width, height, pixel, color = false, progressive = false }) {
+  const sampling = color ? 2 : 1;
+  const mcuSize = 8 * sampling;
+  const mcusX = Math.ceil(width / mcuSize);
+  const mcusY = Math.ceil(height / mcuSize);
+
+  const blockValue = (bx, by) => {
+    let sum = 0;
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        sum += pixel(Math.min(bx * 8 + x, width - 1), Math.min(by * 8 + y, height - 1));
+      }
+    }
+    return Math.round(sum / 64);
+  };
+
+  const writer = new BitWriter();
+  const predictions = [0, 0, 0];
+  const writeDc = (component, value) => {
+    const dc = (value - 128) * 8;
+    const diff = dc - predictions[component];
+    predictions[component] = dc;
+    const magnitude = Math.abs(diff);
+    const category = magnitude === 0 ? 0 : Math.floor(Math.log2(magnitude)) + 1;
+    const { code, length } = DC_CODES.get(category);
+    writer.write(code, length);
+    if (category > 0) {
+      writer.write(diff > 0 ? diff : diff + (1 << category) - 1, category);
+    }
+    // ベースラインでは AC の EOB（符号 "0"）を続ける
+    if (!progressive) writer.write(0, 1);
+  };
+
+  for (let my = 0; my < mcusY; my++) {
+    for (let mx = 0; mx < mcusX; mx++) {
+      for (let v = 0; v < sampling; v++) {
+        for (let h = 0; h < sampling; h++) {
+          writeDc(0, blockValue(mx * sampling + h, my * sampling + v));
+        }
+      }
+      if (color) {
+        writeDc(1, 128);
+        writeDc(2, 128);
+      }
+    }
+  }
+
+  const components = color
+    ? [[1, (2 << 4) | 2], [2, 0x11], [3, 0x11]]
+    : [[1, 0x11]];
+  const frame = [8, height >> 8, height & 0xff, width >> 8, width & 0xff, components.length];
+  for (const [id, factors] of components) frame.push(id, factors, 0);
+
+  const parts = [
+    Buffer.from([0xff, 0xd8]),
+    segment(0xdb, [0, ...new Array(64).fill(1)]),
+    segment(progressive ? 0xc2 : 0xc0, frame),
+    segment(0xc4, [0x00, ...DC_COUNTS, ...DC_SYMBOLS]),
+    segment(0xc4, [0x10, 1, ...new Array(15).fill(0), 0])
+  ];
+
+  const scan = [components.length];
+  for (const [id] of components) scan.push(id, 0);
+  scan.push(0, progressive ? 0 : 63, 0);
+  parts.push(segment(0xda, scan), writer.finish());
+
+  if (progressive) {
+    // 輝度の AC スキャン（中身はでたらめ。DC だけを使うデコーダーは読み飛ばす）
+    parts.push(segment(0xda, [1, 1, 0, 1, 63, 0]), Buffer.from([0x12, 0x34, 0xff, 0x00, 0x56]));
+  }
+  parts.push(Buffer.from([0xff, 0xd9]));
+  return Buffer.concat(parts);
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// 8bit のグレースケール PNG を作る
+function encodePng({ width, height, pixel }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 0;
+
+  const raw = Buffer.alloc((width + 1) * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      raw[y * (width + 1) + 1 + x] = pixel(x, y);
+    }
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// 大きさを変えても見た目が同じになる模様（x, y は 0〜1）
+function gradientPattern(width, height) {
+  return (x, y) => {
+    const u = x / width;
+    const v = y / height;
+    return Math.round(127 + 60 * Math.sin(u * 6) + 60 * Math.cos(v * 4 + u * 2));
+  };
+}
+
+// gradientPattern とは見た目が大きく違う模様
+function checkerPattern(width, height) {
+  return (x, y) => ((Math.floor(x * 4 / width) + Math.floor(y * 3 / height)) % 2 ? 220 : 30);
+}
+
+module.exports = {
+  checkerPattern,
+  encodeJpeg,
+  encodePng,
+  gradientPattern
+};
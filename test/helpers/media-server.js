@@ -0,0 +1,233 @@
+const http = require('http');
+
+// テスト用のメディアファイル（先頭だけ本物と同じシグネチャにしておく）
+const JPEG_BODY = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(2048, 1), Buffer.from([0xff, 0xd9])]);
+const PNG_BODY = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(1024, 2)]);
+const MP4_BODY = Buffer.concat([Buffer.from([0x00, 0x00, 0x00, 0x18]), Buffer.from('ftypmp42'), Buffer.alloc(8192, 3)]);
+
+// HLS のテスト用セグメント（MPEG-TS は 0x47 で始まるパケット、fMP4 は ftyp の初期化セグメント + moof のセグメント）
+const TS_SEGMENTS = [0, 1, 2].map(i => Buffer.concat([Buffer.from([0x47]), Buffer.alloc(187, 0x10 + i)]));
+const FMP4_INIT = MP4_BODY;
+const FMP4_SEGMENTS = [0, 1].map(i => Buffer.concat([Buffer.from([0x00, 0x00, 0x00, 0x08]), Buffer.from('moof'), Buffer.alloc(100, 0x20 + i)]));
+
+// /hls/<kind>/<file> で返すプレイリストとセグメント
+// kind: ts / fmp4 / flaky（ts と同じだが seg1.ts が最初の1回だけ 503）/ encrypted / live
+//       broken（セグメントが8個あり、seg1.ts だけ 404、他は少し遅れて返る）
+function hlsFile(kind, file) {
+  const playlist = text => ({ body: Buffer.from(text), type: 'application/vnd.apple.mpegurl' });
+  const segmentNames = kind === 'fmp4' ? FMP4_SEGMENTS.map((_, i) => `seg${i}.m4s`)
+    : kind === 'broken' ? Array.from({ length: 8 }, (_, i) => `seg${i}.ts`)
+      : TS_SEGMENTS.map((_, i) => `seg${i}.ts`);
+
+  if (file === 'master.m3u8') {
+    return playlist([
+      '#EXTM3U',
+      '#EXT-X-STREAM-INF:BANDWIDTH=256000,RESOLUTION=320x180,CODECS="avc1.4d0015,mp4a.40.2"',
+      'low.m3u8',
+      '#EXT-X-STREAM-INF:BANDWIDTH=2176000,RESOLUTION=1280x720,CODECS="avc1.640020,mp4a.40.2"',
+      'high.m3u8',
+      ''
+    ].join('\n'));
+  }
+  if (file === 'high.m3u8' || file === 'low.m3u8') {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:6', '#EXT-X-TARGETDURATION:3', '#EXT-X-PLAYLIST-TYPE:VOD'];
+    if (kind === 'fmp4') lines.push('#EXT-X-MAP:URI="init.mp4"');
+    if (kind === 'encrypted') lines.push('#EXT-X-KEY:METHOD=AES-128,URI="key.bin"');
+    for (const name of file === 'low.m3u8' ? ['low.ts'] : segmentNames) {
+      lines.push('#EXTINF:3.000,', name);
+    }
+    if (kind !== 'live') lines.push('#EXT-X-ENDLIST');
+    return playlist(lines.join('\n'));
+  }
+  if (file === 'init.mp4') return { body: FMP4_INIT, type: 'video/mp4' };
+  const match = /^seg(\d+)\.(ts|m4s)$/.exec(file || '');
+  if (match) {
+    const segments = match[2] === 'm4s' ? FMP4_SEGMENTS : TS_SEGMENTS;
+    const body = segments[Number(match[1])];
+    if (body) return { body, type: match[2] === 'm4s' ? 'video/iso.segment' : 'video/mp2t' };
+  }
+  return null;
+}
+
+function bodyFor(pathname) {
+  if (pathname.endsWith('.png')) return { body: PNG_BODY, type: 'image/png' };
+  if (pathname.endsWith('.mp4')) return { body: MP4_BODY, type: 'video/mp4' };
+  return { body: JPEG_BODY, type: 'image/jpeg' };
+}
+
+// "bytes=N-" 形式の Range ヘッダーから開始位置を取り出す
+function rangeStart(header) {
+  const match = /^bytes=(\d+)-$/.exec(header || '');
+  return match ? Number(match[1]) : null;
+}
+
+// Range ヘッダーがあれば 206 で続きだけを返す
+function sendBody(req, res, body, type) {
+  const start = rangeStart(req.headers.range);
+  if (start === null) {
+    res.writeHead(200, { 'content-type': type, 'content-length': body.length, 'accept-ranges': 'bytes' });
+    res.end(body);
+    return;
+  }
+  if (start >= body.length) {
+    res.writeHead(416, { 'content-range': `bytes */${body.length}` });
+    res.end();
+    return;
+  }
+  res.writeHead(206, {
+    'content-type': type,
+    'content-length': body.length - start,
+    'content-range': `bytes ${start}-${body.length - 1}/${body.length}`
+  });
+  res.end(body.subarray(start));
+}
+
+// オフラインテスト用のメディアサーバー
+// パスの先頭で挙動を切り替える
+//   /media/<name>      … 正常に返す（拡張子で jpg / png / mp4 を選ぶ。Range にも対応）
+//   /norange/<name>    … Range ヘッダーを無視して常に全体を返す
+//   /404/<name> /403/<name> /429/<name> … 各ステータスを返す
+//   /slow/<name>       … slowDelay ミリ秒待ってから返す
+//   /truncated/<name>  … Content-Length より短いところで接続を切る
+//   /html/<name>       … 200 で HTML のエラーページを返す
+//   /empty/<name>      … 200 で空のボディを返す
+//   /redirect/<name>   … 302 で /media/<name> へ転送する（絶対 URL）
+//   /chain/<n>/<name>  … n 回転送してから /media/<name> へ転送する（相対 URL）
+//   /loop/<a|b>/<name> … /loop/a と /loop/b の間で転送し続ける
+//   /sized/<sizes>/<name>?format=jpg&name=<size> … name= が sizes（カンマ区切り）に含まれていれば返し、無ければ 404
+//   /hls/<kind>/<file> … HLS のプレイリストとセグメント（hlsFile を参照）
+function startMediaServer({ slowDelay = 300 } = {}) {
+  const requests = [];
+  // Range ヘッダー付きで来たリクエスト（{ path, range }）
+  const ranges = [];
+  // flaky の seg1.ts を既に失敗させたか
+  let flakyFailed = false;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname + url.search);
+    if (req.headers.range) {
+      ranges.push({ path: url.pathname, range: req.headers.range });
+    }
+    const [, mode, ...rest] = url.pathname.split('/');
+    const { body, type } = bodyFor(url.pathname);
+
+    switch (mode) {
+      case 'media':
+        sendBody(req, res, body, type);
+        break;
+      case 'norange':
+        res.writeHead(200, { 'content-type': type, 'content-length': body.length });
+        res.end(body);
+        break;
+      case '404':
+      case '403':
+      case '429':
+        res.writeHead(Number(mode), { 'content-type': 'text/html' });
+        res.end(`<html><body>${mode}</body></html>`);
+        break;
+      case 'slow':
+        setTimeout(() => {
+          res.writeHead(200, { 'content-type': type, 'content-length': body.length });
+          res.end(body);
+        }, slowDelay);
+        break;
+      case 'truncated':
+        res.writeHead(200, { 'content-type': type, 'content-length': body.length });
+        res.write(body.subarray(0, Math.floor(body.length / 2)), () => {
+          res.socket.destroy();
+        });
+        break;
+      case 'html':
+        res.writeHead(200, { 'content-type': 'text/html' });
+        res.end('<!DOCTYPE html><html><body>Something went wrong</body></html>');
+        break;
+      case 'empty':
+        res.writeHead(200, { 'content-type': type, 'content-length': 0 });
+        res.end();
+        break;
+      case 'redirect':
+        res.writeHead(302, { location: `http://${req.headers.host}/media/${rest.join('/')}` });
+        res.end();
+        break;
+      case 'chain': {
+        const [count, ...name] = rest;
+        const next = Number(count) > 0 ? `/chain/${Number(count) - 1}/${name.join('/')}` : `/media/${name.join('/')}`;
+        res.writeHead(301, { location: next });
+        res.end();
+        break;
+      }
+      case 'sized': {
+        const [sizes] = rest;
+        if (!sizes.split(',').includes(url.searchParams.get('name'))) {
+          res.writeHead(404);
+          res.end();
+          break;
+        }
+        const sized = bodyFor(`.${url.searchParams.get('format')}`);
+        sendBody(req, res, sized.body, sized.type);
+        break;
+      }
+      case 'loop': {
+        const [side, ...name] = rest;
+        res.writeHead(307, { location: `/loop/${side === 'a' ? 'b' : 'a'}/${name.join('/')}` });
+        res.end();
+        break;
+      }
+      case 'hls': {
+        const [kind, file] = rest;
+        if (kind === 'flaky' && file === 'seg1.ts' && !flakyFailed) {
+          flakyFailed = true;
+          res.writeHead(503);
+          res.end();
+          break;
+        }
+        if (kind === 'broken' && /^seg\d+\.ts$/.test(file)) {
+          if (file === 'seg1.ts') {
+            res.writeHead(404);
+            res.end();
+          } else {
+            setTimeout(() => sendBody(req, res, TS_SEGMENTS[0], 'video/mp2t'), 100);
+          }
+          break;
+        }
+        const hls = hlsFile(kind, file);
+        if (!hls) {
+          res.writeHead(404);
+          res.end();
+          break;
+        }
+        sendBody(req, res, hls.body, hls.type);
+        break;
+      }
+      default:
+        res.writeHead(404);
+        res.end();
+    }
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}`,
+        requests,
+        ranges,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+module.exports = {
+  FMP4_INIT,
+  FMP4_SEGMENTS,
+  JPEG_BODY,
+  MP4_BODY,
+  PNG_BODY,
+  TS_SEGMENTS,
+  startMediaServer
+};
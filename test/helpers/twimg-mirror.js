@@ -0,0 +1,33 @@
+// 子プロセスに --require で読み込ませ、テスト用サーバーを pbs.twimg.com と同じように扱わせる
+// （サイズ指定の書き換えは pbs.twimg.com の URL だけが対象なので、ホストを入れ替えて候補を作る）
+const twimgUrl = require('../../twimg-url');
+
+const MIRROR_HOST_ENV = 'LIKEJS_TEST_TWIMG_MIRROR';
+const TWIMG_ORIGIN = 'https://pbs.twimg.com';
+
+const mirrorHost = process.env[MIRROR_HOST_ENV];
+if (mirrorHost) {
+  const getImageCandidates = twimgUrl.getImageCandidates;
+  twimgUrl.getImageCandidates = (url, quality) => {
+    const u = new URL(url);
+    if (u.host !== mirrorHost) {
+      return getImageCandidates(url, quality);
+    }
+    return getImageCandidates(`${TWIMG_ORIGIN}${u.pathname}${u.search}`, quality).map(c => ({
+      ...c,
+      url: u.origin + c.url.slice(TWIMG_ORIGIN.length)
+    }));
+  };
+}
+
+// ws.run に渡す環境変数
+function twimgMirrorEnv(baseUrl) {
+  return {
+    NODE_OPTIONS: `--require ${JSON.stringify(__filename)}`,
+    [MIRROR_HOST_ENV]: new URL(baseUrl).host
+  };
+}
+
+module.exports = {
+  twimgMirrorEnv
+};
@@ -0,0 +1,73 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { StateStore } = require('../../state-store');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+// テスト用の作業フォルダを作る（LIKEJS_DATA_DIR として各スクリプトに渡す）
+// options.config: config.json の中身
+// options.archive: { "like.js": [...要素], "bookmark.js": [...] } のように data フォルダへ書くデータセット
+async function createWorkspace({ config = {}, archive = {} } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'likejs-test-'));
+  await fs.writeJSON(path.join(dir, 'config.json'), config, { spaces: 2 });
+
+  const dataDir = path.join(dir, 'archive', 'data');
+  await fs.ensureDir(dataDir);
+  for (const [fileName, entries] of Object.entries(archive)) {
+    const match = fileName.match(/^([a-z]+)(?:-part(\d+))?\.js$/);
+    const header = `window.YTD.${match[1]}.part${match[2] || 0}`;
+    await fs.writeFile(path.join(dataDir, fileName), `${header} = ${JSON.stringify(entries, null, 2)};\n`);
+  }
+
+  return {
+    dir,
+    archiveDir: path.join(dir, 'archive'),
+    downloadsDir: path.join(dir, 'downloads'),
+    file: (...parts) => path.join(dir, ...parts),
+    readJSON: (...parts) => fs.readJSON(path.join(dir, ...parts)),
+    writeTweetData: async (tweetId, data) => {
+      const tweetDir = path.join(dir, 'downloads', tweetId);
+      await fs.ensureDir(tweetDir);
+      await fs.writeJSON(path.join(tweetDir, 'tweet-data.json'), data, { spaces: 2 });
+    },
+    // state.db の中身を以前の processed-tweets.json / error-tweets.json と同じ形で読む
+    readState: () => readState(path.join(dir, 'state.db')),
+    run: (script, args = [], env = {}) => runScript(script, args, dir, env),
+    remove: () => fs.remove(dir)
+  };
+}
+
+function readState(dbPath) {
+  const store = new StateStore(dbPath, { readonly: true });
+  try {
+    return { processed: store.exportProcessed(), errors: store.exportErrors() };
+  } finally {
+    store.close();
+  }
+}
+
+// リポジトリ直下のスクリプトを子プロセスで実行する（env は追加する環境変数）
+function runScript(script, args, dataDir, env = {}) {
+  return new Promise(resolve => {
+    execFile(
+      process.execPath,
+      [path.join(REPO_ROOT, script), ...args],
+      {
+        cwd: dataDir,
+        env: { ...process.env, ...env, LIKEJS_DATA_DIR: dataDir },
+        timeout: 60000
+      },
+      (error, stdout, stderr) => {
+        resolve({ code: error ? (error.code ?? 1) : 0, stdout, stderr });
+      }
+    );
+  });
+}
+
+module.exports = {
+  REPO_ROOT,
+  createWorkspace,
+  runScript
+};
@@ -0,0 +1,60 @@
+const zlib = require('zlib');
+
+// archive-source.js のテスト用に、小さな ZIP を作る
+// entries: [{ name, data, method: 'store' | 'deflate' }]（name が / で終わるものはフォルダ）
+function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, data = '', method = 'deflate' } of entries) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const raw = Buffer.from(data);
+    const deflate = method === 'deflate' && !name.endsWith('/');
+    const body = deflate ? zlib.deflateRawSync(raw) : raw;
+    const crc = zlib.crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    localParts.push(local, nameBuffer, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + body.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(centralDirectory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, eocd]);
+}
+
+// like.js などと同じ形の YTD ファイルの中身
+function ytdFile(name, part, entries) {
+  return `window.YTD.${name}.part${part} = ${JSON.stringify(entries, null, 2)};\n`;
+}
+
+module.exports = {
+  createZip,
+  ytdFile
+};
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getOutputFilenames, isHlsVariant, parsePlaylist } = require('../hls-playlist');
+
+test('hls-playlist: マスタープレイリストのレンディションを相対 URL も解決して読み出す', () => {
+  const playlist = parsePlaylist([
+    '#EXTM3U',
+    '#EXT-X-STREAM-INF:BANDWIDTH=832000,RESOLUTION=640x360,CODECS="avc1.4d001e,mp4a.40.2"',
+    '/ext_tw_video/1/pu/pl/640x360/a.m3u8',
+    '#EXT-X-STREAM-INF:BANDWIDTH=2176000,RESOLUTION=1280x720,CODECS="avc1.640020,mp4a.40.2"',
+    '1280x720/b.m3u8'
+  ].join('\r\n'), 'https://video.twimg.com/ext_tw_video/1/pu/pl/master.m3u8?tag=12');
+
+  assert.deepStrictEqual(playlist, {
+    type: 'master',
+    renditions: [
+      { bandwidth: 832000, resolution: '640x360', url: 'https://video.twimg.com/ext_tw_video/1/pu/pl/640x360/a.m3u8' },
+      { bandwidth: 2176000, resolution: '1280x720', url: 'https://video.twimg.com/ext_tw_video/1/pu/pl/1280x720/b.m3u8' }
+    ]
+  });
+});
+
+test('hls-playlist: メディアプレイリストの初期化セグメントとセグメントを解決する', () => {
+  const playlist = parsePlaylist([
+    '#EXTM3U',
+    '#EXT-X-MAP:URI="/v/init.mp4"',
+    '#EXT-X-KEY:METHOD=NONE',
+    '#EXTINF:3.000,',
+    '/v/0.m4s',
+    '#EXTINF:1.500,',
+    '/v/1.m4s',
+    '#EXT-X-ENDLIST'
+  ].join('\n'), 'https://video.twimg.com/x/high.m3u8');
+
+  assert.deepStrictEqual(playlist, {
+    type: 'media',
+    initUrl: 'https://video.twimg.com/v/init.mp4',
+    segments: ['https://video.twimg.com/v/0.m4s', 'https://video.twimg.com/v/1.m4s'],
+    ended: true
+  });
+});
+
+test('hls-playlist: 対応していないプレイリストは isHlsError 付きのエラーにする', () => {
+  const base = 'https://example.com/a.m3u8';
+  for (const text of [
+    '<html></html>',
+    '#EXTM3U\n#EXT-X-ENDLIST',
+    '#EXTM3U\n#EXT-X-KEY:METHOD=AES-128,URI="k"\n#EXTINF:3,\n0.ts',
+    '#EXTM3U\n#EXT-X-BYTERANGE:100@0\n#EXTINF:3,\n0.ts'
+  ]) {
+    assert.throws(() => parsePlaylist(text, base), error => error.isHlsError === true, text);
+  }
+});
+
+test('hls-playlist: URL か content_type で HLS のバリアントを見分ける', () => {
+  assert.strictEqual(isHlsVariant({ url: 'https://video.twimg.com/a/pl/b.m3u8?tag=12' }), true);
+  assert.strictEqual(isHlsVariant({ url: 'https://example.com/stream', content_type: 'application/x-mpegURL' }), true);
+  assert.strictEqual(isHlsVariant({ url: 'https://video.twimg.com/a/vid/b.mp4', content_type: 'video/mp4' }), false);
+  assert.deepStrictEqual(getOutputFilenames('b.m3u8'), { mp4: 'b.mp4', ts: 'b.ts' });
+});
@@ -0,0 +1,517 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { createWorkspace } = require('./helpers/workspace');
+const { twimgMirrorEnv } = require('./helpers/twimg-mirror');
+const { startMediaServer, FMP4_INIT, FMP4_SEGMENTS, JPEG_BODY, MP4_BODY, PNG_BODY, TS_SEGMENTS } = require('./helpers/media-server');
+
+test('media-check-and-download: 写真・動画・サムネイルを保存する', async (t) => {
+  const server = await startMediaServer();
+  const ws = await createWorkspace();
+  t.after(async () => {
+    await server.close();
+    await ws.remove();
+  });
+
+  await ws.writeTweetData('100', {
+    media: [
+      { type: 'photo', image: `${server.baseUrl}/media/photo.jpg` },
+      {
+        type: 'video',
+        cover: `${server.baseUrl}/media/cover.jpg`,
+        videos: [
+          { bitrate: 256000, url: `${server.baseUrl}/media/low.mp4` },
+          { bitrate: 2176000, url: `${server.baseUrl}/media/high.mp4` }
+        ]
+      }
+    ]
+  });
+
+  const { code, stdout } = await ws.run('media-check-and-download.js');
+  assert.strictEqual(code, 0, stdout);
+
+  assert.deepStrictEqual(await fs.readFile(ws.file('downloads', '100', 'photo.jpg')), JPEG_BODY);
+  assert.deepStrictEqual(await fs.readFile(ws.file('downloads', '100', 'high.mp4')), MP4_BODY);
+  assert.ok(await fs.pathExists(ws.file('downloads', '100', 'cover.jpg')));
+  // 一番高いビットレートだけを保存する
+  assert.strictEqual(await fs.pathExists(ws.file('downloads', '100', 'low.mp4')), false);
+});
+
+test('media-check-and-download: 遅い応答は待ってから保存する', async (t) => {
+  const server = await startMediaServer({ slowDelay: 500 });
+  const ws = await createWorkspace();
+  t.after(async () => {
+    await server.close();
+    await ws.remove();
+  });
+
+  await ws.writeTweetData('100', {
+    media: [{ type: 'photo', image: `${server.baseUrl}/slow/photo.jpg` }]
+  });
+
+  const { code, stdout } = await ws.run('media-check-and-download.js');
+  assert.strictEqual(code, 0, stdout);
+  assert.deepStrictEqual(await fs.readFile(ws.file('downloads', '100', 'photo.jpg')), JPEG_BODY);
+});
+
+test('media-check-and-download: HTTP エラーと途中切断をエラータイプ別に記録する', async (t) => {
+  const server = await startMediaServer();
+  const ws = await createWorkspace();
+  t.after(async () => {
+    await server.close();
+    await ws.remove();
+  });
+
+  const cases = {
+    404: { url: `${server.baseUrl}/404/a.jpg`, type: 'media_404' },
+    403: { url: `${server.baseUrl}/403/b.jpg`, type: 'media_403' },
+    429: { url: `${server.baseUrl}/429/c.jpg`, type: 'rate_limit' },
+    500: { url: `${server.baseUrl}/truncated/d.jpg`, type: null }
+  };
+  for (const [tweetId, { url }] of Object.entries(cases)) {
+    await ws.writeTweetData(tweetId, { media: [{ type: 'photo', image: url }] });
+  }
+
+  const { code, stdout } = await ws.run('media-check-and-download.js');
+  assert.strictEqual(code, 0, stdout);
+
+  const errors = (await ws.readState()).errors;
+  for (const [tweetId, { type }] of Object.entries(cases)) {
+    const error = errors.errors[tweetId];
+    assert.ok(error, `${tweetId} のエラーが記録されていません`);
+    if (type) {
+      assert.strictEqual(error.type, type);
+    }
+    // 失敗したファイルは残さない
+    const fileName = error.details.filename;
+    assert.strictEqual(await fs.pathExists(ws.file('downloads', tweetId, fileName)), false);
+  }
+});
+
+test('media-check-and-download: 既に保存済みのファイルはダウンロードしない', async (t) => {
+  const server = await startMediaServer();
+  const ws = await createWorkspace();
+  t.after(async () => {
+    await server.close();
+    await ws.remove();
+  });
+
+  await ws.writeTweetData('100', {
+    media: [{ type: 'photo', image: `${server.baseUrl}/media/photo.jpg` }]
+  });
+  await fs.writeFile(ws.file('downloads', '100', 'photo.jpg'), JPEG_BODY);
+
+  const { code, stdout } = await ws.run('media-check-and-download.js');
+  assert.strictEqual(code, 0, stdout);
+  assert.deepStrictEqual(server.requests, []);
+});
+
+test('media-check-and-download: 途中で切れたダウンロードは .part を残し、次回 Range で続きから取得する', async (t) => {
+  const server = await startMediaServer();
+  const ws = await createWorkspace();
+  t.after(async () => {
+    await server.close();
+    await ws.remove();
+  });
+
+  await ws.writeTweetData('100', {
+    media: [{ type: 'video', videos: [{ bitrate: 0, url: `${server.baseUrl}/truncated/video.mp4` }] }]
+  });
+  let result = await ws.run('media-check-and-download.js');
+  assert.strictEqual(result.code, 0, result.stdout);
+  assert.strictEqual(await fs.pathExists(ws.file('downloads', '100', 'video.mp4')), false);
+  assert.ok(await fs.pathExists(ws.file('downloads', '100', 'video.mp4.part')));
+
+  // 受信済みの前半を用意して、続きを取得させる
+  const half = Math.floor(MP4_BODY.length / 2);
+  await fs.writeFile(ws.file('downloads', '100', 'video.mp4.part'), MP4_BODY.subarray(0, half));
+  await ws.writeTweetData('100', {
+    media: [{ type: 'video', videos: [{ bitrate: 0, url: `${server.baseUrl}/media/video.mp4` }] }]
+  });
+  result = await ws.run('media-check-and-download.js');
+  assert.strictEqual(result.code, 0, result.stdout);
+
+  assert.deepStrictEqual(server.ranges, [{ path: '/media/video.mp4', range: `bytes=${half}-` }]);
+  assert.deepStrictEqual(await fs.readFile(ws.file('downloads', '100', 'video.mp4')), MP4_BODY);
+  assert.strictEqual(await fs.pathExists(ws.file('downloads', '100', 'video.mp4.part')), false);
+  const errors = (await ws.readState()).errors;
+  assert.strictEqual(errors.errors['100'], undefined);
+});
+
+test('media-check-and-download: Range 非対応のサーバーからは最初から取り直す', async (t) => {
+  const server = await startMediaServer();
+  const ws = await createWorkspace();
+  t.after(async () => {
+    await server.close();
+    await ws.remove();
+  });
+
+  await ws.writeTweetData('100', {
+    media: [{ type: 'photo', image: `${server.baseUrl}/norange/photo.jpg` }]
+  });
+  await fs.writeFile(ws.file('downloads', '100', 'photo.jpg.part'), Buffer.from('stale'));
+
+  const { code, stdout } = await ws.run('media-check-and-download.js');
+  assert.strictEqual(code, 0, stdout);
+  assert.deepStrictEqual(await fs.readFile(ws.file('downloads', '100', 'photo.jpg')), JPEG_BODY);
+  assert.strictEqual(await fs.pathExists(ws.file('downloads', '100', 'photo.jpg.part')), false);
+});
+
+test('media-check-and-download: 受信済みの .part が全体と同じ長さならそのまま完了にする', async (t) => {
+  const server = await startMediaServer();
+  const ws = await createWorkspace();
+  t.after(async () => {
+    await server.close();
+    await ws.remove();
+  });
+
+  await ws.writeTweetData('100', {
+    media: [{ type: 'photo', image: `${server.baseUrl}/media/photo.jpg` }]
+  });
+  await fs.writeFile(ws.file('downloads', '100', 'photo.jpg.part'), JPEG_BODY);
+
+  const { code, stdout } = await ws.run('media-check-and-download.js');
+  assert.strictEqual(code, 0, stdout);
+  assert.deepStrictEqual(await fs.readFile(ws.file('downloads', '100', 'photo.jpg')), JPEG_BODY);
+  assert.strictEqual(await fs.pathExists(ws.file('downloads', '100', 'photo.jpg.part')), false);
+});
+
+test('media-check-and-download: HTML や空のファイルは保存せず media_corrupt として記録する', async (t) => {
+  const server = await startMediaServer();
+  const ws = await createWorkspace();
+  t.after(async () => {
+    await server.close();
+    await ws.remove();
+  });
+
+  await ws.writeTweetData('100', {
+    media: [{ type: 'photo', image: `${server.baseUrl}/html/photo.jpg` }]
+  });
+  await ws.writeTweetData('200', {
+    media: [{ type: 'video', videos: [{ bitrate: 0, url: `${server.baseUrl}/empty/video.mp4` }] }]
+  });
+
+  const { code, stdout } = await ws.run('media-check-and-download.js');
+  assert.strictEqual(code, 0, stdout);
+
+  const errors = (await ws.readState()).errors;
+  for (const [tweetId, fileName] of [['100', 'photo.jpg'], ['200', 'video.mp4']]) {
+    assert.strictEqual(errors.errors[tweetId].type, 'media_corrupt');
+    assert.strictEqual(errors.errors[tweetId].details.isCorrupt, true);
+    assert.strictEqual(await fs.pathExists(ws.file('downloads', tweetId, fileName)), false);
+    assert.strictEqual(await fs.pathExists(ws.file('downloads', tweetId, `${fileName}.part`)), false);
+  }
+});
+
+test('media-check-and-download: リダイレクトを辿って保存し、ループや回数超過は転送先ごと記録する', async (t) => {
+  const server = await startMediaServer();
+  const ws = await createWorkspace();
+  t.after(async () => {
+    await server.close();
+    await ws.remove();
+  });
+
+  await ws.writeTweetData('100', {
+    media: [{ type: 'photo', image: `${server.baseUrl}/redirect/photo.jpg` }]
+  });
+  await ws.writeTweetData('200', {
+    media: [{ type: 'video', videos: [{ bitrate: 0, url: `${server.baseUrl}/chain/2/video.mp4` }] }]
+  });
+  await ws.writeTweetData('300', {
+    media: [{ type: 'photo', image: `${server.baseUrl}/loop/a/loop.jpg` }]
+  });
+  await ws.writeTweetData('400', {
+    media: [{ type: 'photo', image: `${server.baseUrl}/chain/10/far.jpg` }]
+  });
+
+  const { code, stdout } = await ws.run('media-check-and-download.js');
+  assert.strictEqual(code, 0, stdout);
+
+  assert.deepStrictEqual(await fs.readFile(ws.file('downloads', '100', 'photo.jpg')), JPEG_BODY);
+  assert.deepStrictEqual(await fs.readFile(ws.file('downloads', '200', 'video.mp4')), MP4_BODY);
+
+  const errors = (await ws.readState()).errors;
+  assert.strictEqual(errors.errors['100'], undefined);
+  assert.strictEqual(errors.errors['200'], undefined);
+
+  const loop = errors.errors['300'];
+  assert.strictEqual(loop.type, 'media_download_failed');
+  assert.match(loop.details.message, /Redirect loop/);
+  assert.strictEqual(loop.details.finalUrl, `${server.baseUrl}/loop/b/loop.jpg`);
+  // a → b → a と戻ってきた時点で打ち切る
+  assert.deepStrictEqual(server.requests.filter(p => p.startsWith('/loop/')), ['/loop/a/loop.jpg', '/loop/b/loop.jpg']);
+
+  const far = errors.errors['400'];
+  assert.strictEqual(far.type, 'media_download_failed');
+  assert.match(far.details.message, /Too many redirects/);
+  assert.strictEqual(far.details.redirects.length, 5);
+  assert.strictEqual(await fs.pathExists(ws.file('downloads', '400', 'far.jpg')), false);
+});
+
+test('media-check-and-download: 写真は設定した画質から順に取得し、保存したサイズを記録する', async (t) => {
+  const server = await startMediaServer();
+  const ws = await createWorkspace({ config: { mediaSettings: { imageQuality: '4096x4096' } } });
+  t.after(async () => {
+    await server.close();
+    await ws.remove();
+  });
+
+  // 4096x4096 は無く large はある
+  await ws.writeTweetData('100', {
+    media: [{ type: 'photo', image: `${server.baseUrl}/sized/large,medium/photo.png?name=medium` }]
+  });
+  // どのサイズも無い
+  await ws.writeTweetData('200', {
+    media: [{ type: 'photo', image: `${server.baseUrl}/sized/none/gone.jpg?name=medium` }]
+  });
+
+  // テスト用サーバーを pbs.twimg.com として扱わせる
+  const { code, stdout } = await ws.run('media-check-and-download.js', [], twimgMirrorEnv(server.baseUrl));
+  assert.strictEqual(code, 0, stdout);
+
+  assert.deepStrictEqual(await fs.readFile(ws.file('downloads', '100', 'photo.png')), PNG_BODY);
+  const manifest = await ws.readJSON('downloads', '100', 'media-manifest.json');
+  assert.deepStrictEqual(manifest.media[0].variant, { quality: 'large' });
+  assert.strictEqual(manifest.media[0].url, `${server.baseUrl}/sized/large,medium/photo?format=png&name=large`);
+  assert.deepStrictEqual(
+    server.requests.filter(p => p.includes('/photo')),
+    [
+      '/sized/large,medium/photo?format=png&name=4096x4096',
+      '/sized/large,medium/photo?format=png&name=large'
+    ]
+  );
+
+  const errors = (await ws.readState()).errors;
+  assert.strictEqual(errors.errors['100'], undefined);
+  assert.strictEqual(errors.errors['200'].type, 'media_404');
+  assert.deepStrictEqual(errors.errors['200'].details.triedQualities, ['4096x4096', 'large', 'medium']);
+});
+
+test('media-check-and-download: 保存したメディアを media-manifest.json に記録する', async (t) => {
+  const server = await startMediaServer();
+  const ws = await createWorkspace();
+  t.after(async () => {
+    await server.close();
+    await ws.remove();
+  });
+  const sha256 = body => crypto.createHash('sha256').update(body).digest('hex');
+
+  await ws.writeTweetData('100', {
+    media: [
+      { type: 'photo', image: `${server.baseUrl}/media/photo.jpg` },
+      {
+        type: 'video',
+        cover: `${server.baseUrl}/404/cover.jpg`,
+        videos: [{ bitrate: 832000, content_type: 'video/mp4', url: `${server.baseUrl}/redirect/video.mp4` }]
+      }
+    ]
+  });
+
+  let result = await ws.run('media-check-and-download.js');
+  assert.strictEqual(result.code, 0, result.stdout);
+
+  const manifest = await ws.readJSON('downloads', '100', 'media-manifest.json');
+  assert.strictEqual(manifest.tweetId, '100');
+  const [photo, video, cover] = manifest.media;
+  assert.deepStrictEqual(
+    { ...photo, downloadedAt: undefined },
+    {
+      index: 0,
+      type: 'photo',
+      sourceUrl: `${server.baseUrl}/media/photo.jpg`,
+      url: `${server.baseUrl}/media/photo.jpg`,
+      variant: null,
+      filename: 'photo.jpg',
+      size: JPEG_BODY.length,
+      sha256: sha256(JPEG_BODY),
+      downloadedAt: undefined,
+      status: 'downloaded',
+      // テスト用の JPEG は中身が画像ではないので計算できない
+      perceptualHash: null
+    }
+  );
+  assert.ok(!Number.isNaN(Date.parse(photo.downloadedAt)));
+  assert.strictEqual(video.index, 1);
+  assert.strictEqual(video.url, `${server.baseUrl}/media/video.mp4`);
+  assert.deepStrictEqual(video.variant, { bitrate: 832000, contentType: 'video/mp4', resolution: null, policy: 'highest' });
+  assert.strictEqual(video.sha256, sha256(MP4_BODY));
+  assert.deepStrictEqual(cover, {
+    index: 1,
+    type: 'video_cover',
+    sourceUrl: `${server.baseUrl}/404/cover.jpg`,
+    filename: 'cover.jpg',
+    status: 'failed',
+    error: 'media_404'
+  });
+
+  // 再実行しても保存済みファイルの記録（取得元・取得日時）は変わらない
+  result = await ws.run('media-check-and-download.js');
+  assert.strictEqual(result.code, 0, result.stdout);
+  const again = await ws.readJSON('downloads', '100', 'media-manifest.json');
+  assert.deepStrictEqual(again.media.slice(0, 2), manifest.media.slice(0, 2));
+});
+
+test('media-check-and-download: 新しいバージョンのマニフェストがあるツイートは飛ばし、他のツイートは続ける', async (t) => {
+  const server = await startMediaServer();
+  const ws = await createWorkspace();
+  t.after(async () => {
+    await server.close();
+    await ws.remove();
+  });
+
+  await ws.writeTweetData('100', { media: [{ type: 'photo', image: `${server.baseUrl}/media/photo.jpg` }] });
+  await fs.writeJSON(ws.file('downloads', '100', 'media-manifest.json'), { schemaVersion: 99, media: [] });
+  await ws.writeTweetData('200', { media: [{ type: 'photo', image: `${server.baseUrl}/media/photo.jpg` }] });
+
+  const { code, stdout } = await ws.run('media-check-and-download.js');
+  assert.strictEqual(code, 0, stdout);
+  assert.match(stdout, /マニフェストを扱えないためスキップ: 100/);
+  assert.strictEqual(await fs.pathExists(ws.file('downloads', '100', 'photo.jpg')), false);
+  assert.strictEqual((await ws.readJSON('downloads', '100', 'media-manifest.json')).schemaVersion, 99);
+  assert.ok(await fs.pathExists(ws.file('downloads', '200', 'photo.jpg')));
+});
+
+test('media-check-and-download: animated_gif の MP4 を保存し、マニフェストでは animated_gif として区別する', async (t) => {
+  const server = await startMediaServer();
+  const ws = await createWorkspace();
+  t.after(async () => {
+    await server.close();
+    await ws.remove();
+  });
+
+  const gif = {
+    type: 'animated_gif',
+    cover: `${server.baseUrl}/media/gif_cover.jpg`,
+    videos: [{ bitrate: 0, content_type: 'video/mp4', url: `${server.baseUrl}/media/loop.mp4` }]
+  };
+  await ws.writeTweetData('100', { media: [gif] });
+  await ws.writeTweetData('200', { media: [gif] });
+  await fs.writeJSON(ws.file('config.json'), { mediaSettings: { markAnimatedGif: false } });
+
+  // markAnimatedGif: false なら通常の動画として記録する
+  let result = await ws.run('media-check-and-download.js');
+  assert.strictEqual(result.code, 0, result.stdout);
+  assert.doesNotMatch(result.stdout, /未対応のメディアタイプ/);
+  assert.deepStrictEqual(await fs.readFile(ws.file('downloads', '100', 'loop.mp4')), MP4_BODY);
+  let manifest = await ws.readJSON('downloads', '100', 'media-manifest.json');
+  assert.deepStrictEqual(manifest.media.map(entry => entry.type), ['video', 'video_cover']);
+
+  // デフォルトでは animated_gif として記録する（保存済みのファイルも種類だけ付け直す）
+  await fs.remove(ws.file('config.json'));
+  result = await ws.run('media-check-and-download.js');
+  assert.strictEqual(result.code, 0, result.stdout);
+  manifest = await ws.readJSON('downloads', '200', 'media-manifest.json');
+  assert.deepStrictEqual(manifest.media.map(entry => entry.type), ['animated_gif', 'video_cover']);
+  assert.deepStrictEqual(manifest.media[0].variant, { bitrate: 0, contentType: 'video/mp4', resolution: null, policy: 'highest' });
+});
+
+test('media-check-and-download: HLS は一番帯域の大きいレンディションのセグメントを連結して保存する', async (t) => {
+  const server = await startMediaServer();
+  const ws = await createWorkspace();
+  t.after(async () => {
+    await server.close();
+    await ws.remove();
+  });
+
+  const hlsVideo = kind => ({
+    type: 'video',
+    videos: [{ content_type: 'application/x-mpegURL', url: `${server.baseUrl}/hls/${kind}/master.m3u8` }]
+  });
+  await ws.writeTweetData('100', { media: [hlsVideo('ts')] });
+  await ws.writeTweetData('200', { media: [hlsVideo('fmp4')] });
+  await ws.writeTweetData('300', { media: [hlsVideo('encrypted')] });
+  await ws.writeTweetData('400', { media: [hlsVideo('flaky')] });
+
+  let result = await ws.run('media-check-and-download.js');
+  assert.strictEqual(result.code, 0, result.stdout);
+
+  // MPEG-TS は .ts、fMP4 は初期化セグメントを先頭にした .mp4
+  assert.deepStrictEqual(await fs.readFile(ws.file('downloads', '100', 'master.ts')), Buffer.concat(TS_SEGMENTS));
+  assert.deepStrictEqual(await fs.readFile(ws.file('downloads', '200', 'master.mp4')), Buffer.concat([FMP4_INIT, ...FMP4_SEGMENTS]));
+  assert.strictEqual(await fs.pathExists(ws.file('downloads', '100', 'master.m3u8')), false);
+  assert.strictEqual(await fs.pathExists(ws.file('downloads', '100', 'master.m3u8.hls')), false);
+  assert.ok(!server.requests.some(request => request.endsWith('/low.m3u8')));
+
+  const manifest = await ws.readJSON('downloads', '100', 'media-manifest.json');
+  assert.strictEqual(manifest.media[0].filename, 'master.ts');
+  assert.strictEqual(manifest.media[0].url, `${server.baseUrl}/hls/ts/high.m3u8`);
+  assert.deepStrictEqual(manifest.media[0].variant, { bitrate: 2176000, contentType: 'application/x-mpegURL', resolution: '1280x720', policy: 'highest' });
+
+  // 暗号化された HLS は対応していないので作業フォルダも残さない
+  const errors = (await ws.readState()).errors;
+  assert.strictEqual(errors.errors['300'].type, 'media_download_failed');
+  assert.strictEqual(await fs.pathExists(ws.file('downloads', '300', 'master.m3u8.hls')), false);
+
+  // 一時的なエラーで止まったものは、次回は取得済みのセグメントを使って続きだけ取得する
+  assert.strictEqual(errors.errors['400'].type, 'unknown_error');
+  assert.ok(await fs.pathExists(ws.file('downloads', '400', 'master.m3u8.hls')));
+  const before = server.requests.length;
+  result = await ws.run('media-check-and-download.js');
+  assert.strictEqual(result.code, 0, result.stdout);
+  assert.deepStrictEqual(await fs.readFile(ws.file('downloads', '400', 'master.ts')), Buffer.concat(TS_SEGMENTS));
+  const segmentRequests = server.requests.slice(before).filter(request => request.includes('/hls/flaky/seg'));
+  assert.deepStrictEqual(segmentRequests, ['/hls/flaky/seg1.ts']);
+});
+
+test('media-check-and-download: HLS のセグメントが取り直せない失敗をしたら、残りは取得せず、取得中のものを待ってから作業フォルダを消す', async (t) => {
+  const server = await startMediaServer();
+  const ws = await createWorkspace();
+  t.after(async () => {
+    await server.close();
+    await ws.remove();
+  });
+
+  await ws.writeTweetData('100', {
+    media: [{ type: 'video', videos: [{ content_type: 'application/x-mpegURL', url: `${server.baseUrl}/hls/broken/master.m3u8` }] }]
+  });
+
+  const result = await ws.run('media-check-and-download.js');
+  assert.strictEqual(result.code, 0, result.stdout);
+  assert.strictEqual((await ws.readState()).errors.errors['100'].type, 'media_404');
+
+  // 同時に取得できる5個だけが始まり、seg1.ts の 404 の後は新しく始めない
+  const segmentRequests = server.requests.filter(request => request.includes('/hls/broken/seg'));
+  assert.deepStrictEqual(segmentRequests.sort(), ['/hls/broken/seg0.ts', '/hls/broken/seg1.ts', '/hls/broken/seg2.ts', '/hls/broken/seg3.ts', '/hls/broken/seg4.ts']);
+  assert.deepStrictEqual((await fs.readdir(ws.file('downloads', '100'))).sort(), ['media-manifest.json', 'tweet-data.json']);
+});
+
+test('media-check-and-download: 動画は設定した選び方でバリアントを選び、再実行では記録したバリアントを使い続ける', async (t) => {
+  const server = await startMediaServer();
+  const ws = await createWorkspace({ config: { mediaSettings: { videoPolicy: 'lowest' } } });
+  t.after(async () => {
+    await server.close();
+    await ws.remove();
+  });
+
+  const videos = [
+    { bitrate: 256000, content_type: 'video/mp4', url: `${server.baseUrl}/media/vid/480x270/low.mp4` },
+    { bitrate: 2176000, content_type: 'video/mp4', url: `${server.baseUrl}/media/vid/1280x720/high.mp4` }
+  ];
+  await ws.writeTweetData('100', { media: [{ type: 'video', videos }] });
+
+  let result = await ws.run('media-check-and-download.js');
+  assert.strictEqual(result.code, 0, result.stdout);
+  assert.ok(await fs.pathExists(ws.file('downloads', '100', 'low.mp4')));
+  assert.strictEqual(await fs.pathExists(ws.file('downloads', '100', 'high.mp4')), false);
+  let manifest = await ws.readJSON('downloads', '100', 'media-manifest.json');
+  assert.deepStrictEqual(manifest.media[0].variant, { bitrate: 256000, contentType: 'video/mp4', resolution: '480x270', policy: 'lowest' });
+
+  // 設定を変えても、保存済みの動画は取り直さない
+  await fs.writeJSON(ws.file('config.json'), { mediaSettings: { videoPolicy: 'highest' } });
+  result = await ws.run('media-check-and-download.js');
+  assert.strictEqual(result.code, 0, result.stdout);
+  assert.strictEqual(await fs.pathExists(ws.file('downloads', '100', 'high.mp4')), false);
+  manifest = await ws.readJSON('downloads', '100', 'media-manifest.json');
+  assert.deepStrictEqual(manifest.media.map(entry => entry.filename), ['low.mp4']);
+  assert.strictEqual(manifest.media[0].variant.policy, 'lowest');
+
+  // 全てのバリアントを保存する設定なら、足りないものだけを取得する
+  await fs.writeJSON(ws.file('config.json'), { mediaSettings: { videoKeepAllVariants: true } });
+  const before = server.requests.length;
+  result = await ws.run('media-check-and-download.js');
+  assert.strictEqual(result.code, 0, result.stdout);
+  assert.deepStrictEqual(server.requests.slice(before), ['/media/vid/1280x720/high.mp4']);
+  manifest = await ws.readJSON('downloads', '100', 'media-manifest.json');
+  assert.deepStrictEqual(manifest.media.map(entry => entry.filename), ['high.mp4', 'low.mp4']);
+});
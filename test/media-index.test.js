@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { createWorkspace } = require('./helpers/workspace');
+const { startMediaServer, JPEG_BODY } = require('./helpers/media-server');
+
+// 同じ画像を3つのツイートに保存する
+async function setupDuplicates(ws, server) {
+  for (const tweetId of ['100', '200', '300']) {
+    await ws.writeTweetData(tweetId, {
+      media: [{ type: 'photo', image: `${server.baseUrl}/media/same.jpg` }]
+    });
+  }
+}
+
+test('media-index: 保存したファイルを SHA-256 ごとにまとめた索引を作る', async (t) => {
+  const server = await startMediaServer();
+  const ws = await createWorkspace();
+  t.after(async () => {
+    await server.close();
+    await ws.remove();
+  });
+  await setupDuplicates(ws, server);
+
+  const { code, stdout } = await ws.run('media-check-and-download.js');
+  assert.strictEqual(code, 0, stdout);
+
+  const index = await ws.readJSON('media-index.json');
+  const blobs = Object.values(index.blobs);
+  assert.strictEqual(blobs.length, 1);
+  assert.strictEqual(blobs[0].size, JPEG_BODY.length);
+  assert.deepStrictEqual(blobs[0].files.sort(), ['100/same.jpg', '200/same.jpg', '300/same.jpg']);
+
+  // 重複排除しない設定ではファイルは別々のまま
+  const stats = await Promise.all(['100', '200'].map(id => fs.stat(ws.file('downloads', id, 'same.jpg'))));
+  assert.notStrictEqual(stats[0].ino, stats[1].ino);
+
+  // 消したファイルは rebuild で索引から外れる
+  await fs.remove(ws.file('downloads', '300'));
+  const rebuilt = await ws.run('media-utils.js', ['rebuild']);
+  assert.strictEqual(rebuilt.code, 0, rebuilt.stdout);
+  const after = await ws.readJSON('media-index.json');
+  assert.deepStrictEqual(Object.values(after.blobs)[0].files.sort(), ['100/same.jpg', '200/same.jpg']);
+});
+
+for (const mode of ['hardlink', 'store']) {
+  test(`media-index: dedupe=${mode} で同じ内容のファイルをハードリンクにまとめる`, async (t) => {
+    const server = await startMediaServer();
+    const ws = await createWorkspace({ config: { mediaSettings: { dedupe: mode } } });
+    t.after(async () => {
+      await server.close();
+      await ws.remove();
+    });
+    await setupDuplicates(ws, server);
+
+    const { code, stdout } = await ws.run('media-check-and-download.js');
+    assert.strictEqual(code, 0, stdout);
+
+    // ツイートごとのフォルダにはファイルが残り、中身は1つ
+    const stats = [];
+    for (const tweetId of ['100', '200', '300']) {
+      const filePath = ws.file('downloads', tweetId, 'same.jpg');
+      assert.deepStrictEqual(await fs.readFile(filePath), JPEG_BODY);
+      stats.push(await fs.stat(filePath));
+    }
+    assert.strictEqual(new Set(stats.map(s => s.ino)).size, 1);
+
+    const storeExists = await fs.pathExists(ws.file('media-store'));
+    assert.strictEqual(storeExists, mode === 'store');
+    assert.strictEqual(stats[0].nlink, mode === 'store' ? 4 : 3);
+  });
+}
+
+test('media-utils: 新しいバージョンの索引は表示できないが、rebuild は空から作り直す（扱えないマニフェストは飛ばす）', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+  await fs.outputJSON(ws.file('downloads', '100', 'media-manifest.json'), {
+    schemaVersion: 1,
+    tweetId: '100',
+    media: [{ index: 0, type: 'photo', filename: 'a.jpg', status: 'downloaded', sha256: 'abc', size: 10 }]
+  });
+  await fs.outputJSON(ws.file('downloads', '200', 'media-manifest.json'), { schemaVersion: 99, tweetId: '200', media: [] });
+  await fs.writeJSON(ws.file('media-index.json'), { schemaVersion: 99, blobs: {} });
+
+  let result = await ws.run('media-utils.js', ['summary']);
+  assert.strictEqual(result.code, 1);
+  assert.match(result.stderr, /エラーが発生しました: 新しいバージョン \(99\) の メディア索引/);
+  assert.doesNotMatch(result.stderr, /at /);
+
+  // 新しいバージョンのマニフェストがあるツイートだけ飛ばす
+  result = await ws.run('media-utils.js', ['rebuild']);
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.match(result.stdout, /マニフェストを扱えずスキップしたツイート: 1件/);
+  assert.deepStrictEqual(await ws.readJSON('media-index.json'), { schemaVersion: 1, blobs: { abc: { size: 10, files: ['100/a.jpg'] } } });
+  assert.strictEqual(await fs.pathExists(ws.file('state.lock')), false);
+});
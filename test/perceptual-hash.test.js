@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { createWorkspace } = require('./helpers/workspace');
+const { checkerPattern, encodeJpeg, encodePng, gradientPattern } = require('./helpers/images');
+const {
+  HASH_ALGORITHMS,
+  computePerceptualHashes,
+  decodeLuma,
+  groupSimilar,
+  hammingDistance
+} = require('../perceptual-hash');
+
+function blockMeans(width, height, pixel) {
+  const means = [];
+  for (let by = 0; by < height / 8; by++) {
+    for (let bx = 0; bx < width / 8; bx++) {
+      let sum = 0;
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) sum += pixel(bx * 8 + x, by * 8 + y);
+      }
+      means.push(Math.round(sum / 64));
+    }
+  }
+  return means;
+}
+
+test('perceptual-hash: ベースライン・カラー・プログレッシブの JPEG から 8x8 ブロックの明るさを読み出す', () => {
+  const pixel = gradientPattern(64, 48);
+  const expected = blockMeans(64, 48, pixel);
+  for (const options of [{}, { color: true }, { color: true, progressive: true }]) {
+    const image = decodeLuma(encodeJpeg({ width: 64, height: 48, pixel, ...options }));
+    assert.strictEqual(image.width, 8);
+    assert.strictEqual(image.height, 6);
+    assert.deepStrictEqual(Array.from(image.pixels, Math.round), expected, JSON.stringify(options));
+  }
+});
+
+test('perceptual-hash: 大きさや形式が違っても同じ絵なら近く、違う絵なら遠い', () => {
+  const original = computePerceptualHashes(encodeJpeg({ width: 256, height: 192, pixel: gradientPattern(256, 192) }));
+  const resized = computePerceptualHashes(encodePng({ width: 96, height: 72, pixel: gradientPattern(96, 72) }));
+  const different = computePerceptualHashes(encodeJpeg({ width: 256, height: 192, pixel: checkerPattern(256, 192) }));
+
+  for (const algorithm of HASH_ALGORITHMS) {
+    assert.match(original[algorithm], /^[0-9a-f]{16}$/);
+    assert.ok(hammingDistance(original[algorithm], resized[algorithm]) <= 8, algorithm);
+    assert.ok(hammingDistance(original[algorithm], different[algorithm]) > 16, algorithm);
+  }
+
+  // 画像でなければ null
+  assert.strictEqual(computePerceptualHashes(Buffer.from('<html></html>')), null);
+});
+
+test('perceptual-hash: 距離が閾値以内のものを連鎖的にまとめる', () => {
+  const items = [
+    { name: 'a', hash: '0000000000000000' },
+    { name: 'b', hash: '0000000000000007' },
+    { name: 'c', hash: '000000000000003f' },
+    { name: 'd', hash: 'ffffffffffffffff' },
+    { name: 'e', hash: 'fffffffffffffffe' }
+  ];
+  const groups = groupSimilar(items, 3).map(group => group.map(item => item.name).sort());
+  assert.deepStrictEqual(groups.sort(), [['a', 'b', 'c'], ['d', 'e']]);
+  assert.deepStrictEqual(groupSimilar(items, 2).map(group => group.map(item => item.name)), [['d', 'e']]);
+});
+
+test('media-utils similar: マニフェストの知覚ハッシュで似た写真をまとめ、無いものは計算して書き戻す', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+
+  const photos = {
+    100: encodeJpeg({ width: 256, height: 192, pixel: gradientPattern(256, 192) }),
+    200: encodePng({ width: 96, height: 72, pixel: gradientPattern(96, 72) }),
+    300: encodeJpeg({ width: 256, height: 192, pixel: checkerPattern(256, 192), color: true })
+  };
+  for (const [tweetId, body] of Object.entries(photos)) {
+    const filename = tweetId === '200' ? 'photo.png' : 'photo.jpg';
+    await fs.outputFile(ws.file('downloads', tweetId, filename), body);
+    await fs.writeJSON(ws.file('downloads', tweetId, 'media-manifest.json'), {
+      tweetId,
+      updatedAt: new Date().toISOString(),
+      media: [{ index: 0, type: 'photo', filename, size: body.length, sha256: `sha-${tweetId}`, status: 'downloaded' }]
+    });
+  }
+
+  // 新しいバージョンのマニフェストがあるツイートだけ飛ばす
+  await fs.outputJSON(ws.file('downloads', '400', 'media-manifest.json'), { schemaVersion: 99, tweetId: '400', media: [] });
+
+  const { code, stdout } = await ws.run('media-utils.js', ['similar', '--output=similar.json']);
+  assert.strictEqual(code, 0, stdout);
+  assert.match(stdout, /グループ: 1組/);
+  assert.match(stdout, /マニフェストを扱えないためスキップ: 400 - 新しいバージョン \(99\)/);
+  assert.match(stdout, /マニフェストを扱えずスキップしたツイート: 1件/);
+
+  const report = await ws.readJSON('similar.json');
+  assert.strictEqual(report.algorithm, 'phash');
+  assert.strictEqual(report.groups.length, 1);
+  assert.deepStrictEqual(report.groups[0].map(item => item.files[0]).sort(), ['100/photo.jpg', '200/photo.png']);
+  // 一番大きいファイルが基準（距離 0）になる
+  assert.ok(report.groups[0][0].size >= report.groups[0][1].size);
+  assert.strictEqual(report.groups[0][0].distance, 0);
+
+  const manifest = await ws.readJSON('downloads', '300', 'media-manifest.json');
+  assert.match(manifest.media[0].perceptualHash.phash, /^[0-9a-f]{16}$/);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AdaptiveRateLimiter, runWorkerPool, sleep } = require('../rate-limiter');
+
+test('rate-limiter: レート制限のたびに速度を下げ、下限で止まる', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const limiter = new AdaptiveRateLimiter({ rate: 4, minRate: 0.5, decreaseFactor: 0.5 });
+
+  assert.strictEqual(limiter.onRateLimit(), 2);
+  assert.strictEqual(limiter.tokens, 0);
+  assert.strictEqual(limiter.isAtMinimum(), false);
+  // 下げた後の速度でトークン1つ分（2件/秒なら 500ms）待ってからの通知は、新しいレート制限として数える
+  t.mock.timers.tick(500);
+  assert.strictEqual(limiter.onRateLimit(), 1);
+  t.mock.timers.tick(1000);
+  assert.strictEqual(limiter.onRateLimit(), 0.5);
+  assert.strictEqual(limiter.isAtMinimum(), true);
+  t.mock.timers.tick(2000);
+  assert.strictEqual(limiter.onRateLimit(), 0.5);
+});
+
+test('rate-limiter: 同時に受けた複数のレート制限では速度を1回だけ下げる', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const limiter = new AdaptiveRateLimiter({ rate: 4, minRate: 0.1, decreaseFactor: 0.5 });
+
+  // 並列に取得していた5件が同じ 429 を受けた
+  const rates = [];
+  await runWorkerPool([1, 2, 3, 4, 5], 5, async () => {
+    rates.push(limiter.onRateLimit());
+  });
+  assert.deepStrictEqual(rates, [2, 2, 2, 2, 2]);
+  assert.strictEqual(limiter.isCoolingDown(), true);
+  assert.strictEqual(limiter.isAtMinimum(), false);
+
+  t.mock.timers.tick(499);
+  assert.strictEqual(limiter.onRateLimit(), 2);
+  t.mock.timers.tick(1);
+  assert.strictEqual(limiter.isCoolingDown(), false);
+  assert.strictEqual(limiter.onRateLimit(), 1);
+});
+
+test('rate-limiter: 決まった回数続けて成功したら速度を上げ、上限を超えない', () => {
+  const limiter = new AdaptiveRateLimiter({ rate: 1, maxRate: 1.5, increaseStep: 0.25, successesBeforeIncrease: 3 });
+
+  limiter.onSuccess();
+  limiter.onSuccess();
+  assert.strictEqual(limiter.rate, 1);
+  assert.strictEqual(limiter.onSuccess(), 1.25);
+
+  // 途中でレート制限があると数え直す
+  limiter.onSuccess();
+  limiter.onSuccess();
+  limiter.onRateLimit();
+  assert.strictEqual(limiter.rate, 0.625);
+  limiter.onSuccess();
+  limiter.onSuccess();
+  assert.strictEqual(limiter.rate, 0.625);
+  assert.strictEqual(limiter.onSuccess(), 0.875);
+
+  for (let i = 0; i < 12; i++) {
+    limiter.onSuccess();
+  }
+  assert.strictEqual(limiter.rate, 1.5);
+});
+
+test('rate-limiter: pause の間は acquire が待ち、それ以降は速度どおりに通す', async () => {
+  const limiter = new AdaptiveRateLimiter({ rate: 100, maxRate: 100, burst: 1 });
+
+  let start = Date.now();
+  await limiter.acquire();
+  assert.ok(Date.now() - start < 50, '貯まっているトークンはすぐ使える');
+
+  limiter.pause(80);
+  limiter.pause(10);  // 短い pause で先の pause が縮まない
+  start = Date.now();
+  await limiter.acquire();
+  assert.ok(Date.now() - start >= 75, `pause の間は待つ (${Date.now() - start}ms)`);
+
+  // トークンを使い切ったら、次の1件は 1/速度 秒待つ
+  const slow = new AdaptiveRateLimiter({ rate: 20, burst: 1 });
+  await slow.acquire();
+  start = Date.now();
+  await slow.acquire();
+  assert.ok(Date.now() - start >= 40, `トークンが貯まるまで待つ (${Date.now() - start}ms)`);
+});
+
+test('rate-limiter: runWorkerPool は同時に concurrency 件まで処理する', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  const processed = [];
+
+  const completed = await runWorkerPool([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await sleep(5);
+    processed.push(item);
+    running--;
+  });
+
+  assert.strictEqual(completed, true);
+  assert.strictEqual(maxRunning, 3);
+  assert.deepStrictEqual(processed.sort(), [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('rate-limiter: runWorkerPool は worker が false を返したら新しいアイテムを取らない', async () => {
+  const started = [];
+
+  const completed = await runWorkerPool(['a', 'auth', 'b', 'c', 'd', 'e'], 2, async (item) => {
+    started.push(item);
+    await sleep(item === 'auth' ? 5 : 20);
+    // 認証エラーのときと同じく false を返す
+    return item !== 'auth';
+  });
+
+  // 処理中だった 'a' は最後まで待つが、'auth' の後は次のアイテムを始めない
+  assert.strictEqual(completed, false);
+  assert.deepStrictEqual(started, ['a', 'auth']);
+});
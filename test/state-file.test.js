@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const { spawnSync } = require('child_process');
+const { createWorkspace } = require('./helpers/workspace');
+const { acquireStateLock, readJSONWithBackups, writeJSONAtomic } = require('../state-file');
+const { StateStore } = require('../state-store');
+
+test('state-file: 一時ファイル経由で書き、前の世代をバックアップに残す。壊れていればバックアップから読む', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+  const file = ws.file('media-index.json');
+
+  for (let version = 1; version <= 5; version++) {
+    writeJSONAtomic(file, { version }, { backups: 3 });
+  }
+  assert.deepStrictEqual(await ws.readJSON('media-index.json'), { version: 5 });
+  assert.deepStrictEqual(await ws.readJSON('media-index.json.bak.1'), { version: 4 });
+  assert.deepStrictEqual(await ws.readJSON('media-index.json.bak.3'), { version: 2 });
+  assert.strictEqual(await fs.pathExists(ws.file('media-index.json.bak.4')), false);
+  assert.deepStrictEqual((await fs.readdir(ws.dir)).filter(name => name.includes('.tmp-')), []);
+
+  // 書き込み途中で止まったように本体を壊す
+  await fs.writeFile(file, '{"version": 6, "blo');
+  await fs.writeFile(ws.file('media-index.json.bak.1'), '');
+  assert.deepStrictEqual(readJSONWithBackups(file), { version: 3 });
+
+  // 全て読めなければ空の状態として続けず、例外にする
+  for (const generation of [2, 3]) {
+    await fs.writeFile(ws.file(`media-index.json.bak.${generation}`), 'x');
+  }
+  assert.throws(() => readJSONWithBackups(file), error => error.isCorruptState);
+  assert.strictEqual(readJSONWithBackups(ws.file('missing.json')), null);
+});
+
+test('state-file: 動いているプロセスのロックは取れず、終了したプロセスのロックは取り直す', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+  const lockPath = ws.file('state.lock');
+
+  const release = acquireStateLock('test', lockPath);
+  assert.throws(() => acquireStateLock('test', lockPath), error => error.isLockError && /test, PID/.test(error.message));
+
+  // 別のスクリプトもロックを見て何もせずに終わる
+  const { code, stderr } = await ws.run('media-check-and-download.js');
+  assert.strictEqual(code, 1);
+  assert.match(stderr, /処理状況を更新中です/);
+  release();
+  assert.strictEqual(await fs.pathExists(lockPath), false);
+
+  // Ctrl+C などで残った、終了済みのプロセスのロック
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  await fs.writeJSON(lockPath, { pid, script: 'download-tweets', host: os.hostname(), startedAt: '2024-01-01T00:00:00.000Z' });
+  const releaseAgain = acquireStateLock('test', lockPath);
+  assert.strictEqual((await fs.readJSON(lockPath)).pid, process.pid);
+  releaseAgain();
+});
+
+test('state-utils: 実行前のバックアップから state.db を復元する', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+
+  const store = new StateStore(ws.file('state.db'));
+  store.setTweetStatus('100', 'successful', '2024-01-01T00:00:00.000Z');
+  store.backup();
+  store.setTweetStatus('200', 'failed', '2024-01-01T00:00:00.000Z');
+  store.close();
+
+  let result = await ws.run('state-utils.js', ['backups']);
+  assert.match(result.stdout, /1: state\.db\.bak\.1/);
+
+  result = await ws.run('state-utils.js', ['restore']);
+  assert.strictEqual(result.code, 0, result.stderr);
+  const { processed } = await ws.readState();
+  assert.deepStrictEqual(Object.keys(processed.successful), ['100']);
+  assert.deepStrictEqual(processed.failed, {});
+  assert.strictEqual(await fs.pathExists(ws.file('state.db.before-restore')), true);
+  assert.strictEqual(await fs.pathExists(ws.file('state.lock')), false);
+
+  // 履歴は復元した内容から作り直すので、rebuild しても復元は取り消されない
+  assert.match(result.stdout, /state-journal\.jsonl\.before-restore/);
+  const oldJournal = await fs.readFile(ws.file('state-journal.jsonl.before-restore'), 'utf8');
+  assert.match(oldJournal, /"tweetId":"200"/);
+  assert.doesNotMatch(await fs.readFile(ws.file('state-journal.jsonl'), 'utf8'), /"tweetId":"200"/);
+
+  result = await ws.run('state-utils.js', ['restore', '2']);
+  assert.strictEqual(result.code, 1);
+  assert.match(result.stderr, /バックアップが見つかりません/);
+
+  result = await ws.run('state-utils.js', ['rebuild', '--dry-run']);
+  assert.match(result.stdout, /履歴と違うツイート: 0件/);
+  result = await ws.run('state-utils.js', ['rebuild']);
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.deepStrictEqual(Object.keys((await ws.readState()).processed.successful), ['100']);
+  assert.deepStrictEqual((await ws.readState()).processed.failed, {});
+});
+
+test('state-file: 他のスクリプトがロックを持っている間は state.db を開かず、表示だけのコマンドは読み取り専用で動く', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+  // 取り込み前の processed-tweets.json（開くと state.db に取り込まれる）
+  await fs.writeJSON(ws.file('processed-tweets.json'), { successful: { 100: '2024-01-01T00:00:00.000Z' }, failed: {}, no_media: {} });
+  await fs.writeJSON(ws.file('state.lock'), { pid: process.pid, script: 'download-tweets', host: os.hostname(), startedAt: new Date().toISOString() });
+
+  const scripts = [
+    ['download-tweets.js', [ws.archiveDir]],
+    ['media-check-and-download.js', []],
+    ['check-success-fail.js', []],
+    ['error-utils.js', ['clear-all']],
+    ['state-utils.js', ['compact']]
+  ];
+  for (const [script, args] of scripts) {
+    const result = await ws.run(script, args);
+    assert.strictEqual(result.code, 1, `${script}: ${result.stdout}`);
+    assert.match(result.stdout + result.stderr, /実行中です|PID/, script);
+  }
+  // 表示だけのコマンドは state.db が無くても作らない
+  let result = await ws.run('state-utils.js', ['summary']);
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.match(result.stdout, /まだ処理されたツイートはありません/);
+  result = await ws.run('error-utils.js', ['list']);
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.strictEqual(await fs.pathExists(ws.file('state.db')), false);
+  assert.strictEqual(await fs.pathExists(ws.file('state-journal.jsonl')), false);
+
+  const store = new StateStore(ws.file('state.db'));
+  store.putError('200', { type: 'media_404', timestamp: '2024-01-01T00:00:00.000Z', details: {}, retry_count: 1 });
+  store.incrementErrorStatistics('media_404', '2024-01-01', 1);
+  store.close();
+  for (const [script, args, pattern] of [
+    ['state-utils.js', ['summary'], /成功: 1件/],
+    ['state-utils.js', ['runs'], /実行履歴はありません/],
+    ['state-utils.js', ['history', '100'], /ツイート 100 の履歴/],
+    ['error-utils.js', ['list'], /ツイートID: 200/],
+    ['error-utils.js', ['summary'], /media_404: 1件/]
+  ]) {
+    result = await ws.run(script, args);
+    assert.strictEqual(result.code, 0, `${script} ${args.join(' ')}: ${result.stderr}`);
+    assert.match(result.stdout, pattern, `${script} ${args.join(' ')}`);
+  }
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { createWorkspace } = require('./helpers/workspace');
+const { compactEvents, replayJournal, toStateFiles } = require('../state-journal');
+const { SOURCE_ORDER, StateStore } = require('../state-store');
+
+const EVENTS = [
+  { at: '2024-01-01T00:00:00.000Z', event: 'queued', tweetId: '100', sources: ['bookmark'] },
+  { at: '2024-01-01T00:00:01.000Z', event: 'failed', tweetId: '100', errorType: 'rate_limit', details: {}, retryCount: 1 },
+  { at: '2024-01-01T00:00:02.000Z', event: 'failed', tweetId: '100', status: 'failed' },
+  { at: '2024-01-02T00:00:00.000Z', event: 'cleared', tweetId: '100', errorType: 'rate_limit' },
+  { at: '2024-01-02T00:00:00.000Z', event: 'cleared', tweetId: '100', status: 'failed' },
+  { at: '2024-01-03T00:00:00.000Z', event: 'queued', tweetId: '100', sources: ['like'] },
+  { at: '2024-01-03T00:00:01.000Z', event: 'fetched', tweetId: '100' },
+  { at: '2024-01-03T00:00:02.000Z', event: 'media_saved', tweetId: '100', files: ['a.jpg'] },
+  { at: '2024-01-03T00:00:03.000Z', event: 'failed', tweetId: '200', errorType: 'media_404', details: { url: 'x' } },
+  { at: '2024-01-04T00:00:00.000Z', event: 'no_media', tweetId: '300' }
+];
+
+test('state-journal: イベントを順に反映して処理状況とエラー記録を作り、圧縮しても同じ状態になる', () => {
+  const state = replayJournal(EVENTS, SOURCE_ORDER);
+  assert.strictEqual(state.tweets.get('100').attempts, 2);
+
+  const { processed, errors } = toStateFiles(state);
+  assert.deepStrictEqual(processed, {
+    successful: { 100: '2024-01-03T00:00:01.000Z' },
+    failed: {},
+    noMedia: { 300: '2024-01-04T00:00:00.000Z' },
+    sources: { 100: ['like', 'bookmark'] }
+  });
+  assert.deepStrictEqual(errors, {
+    errors: { 200: { type: 'media_404', timestamp: '2024-01-03T00:00:03.000Z', details: { url: 'x' }, retry_count: 1 } },
+    statistics: { total_errors: 1, by_type: { media_404: 1 }, by_date: { '2024-01-03': 1 } }
+  });
+
+  for (const before of [null, '2024-01-02T12:00:00.000Z']) {
+    const compacted = compactEvents(EVENTS, SOURCE_ORDER, before);
+    assert.ok(compacted.events.length < EVENTS.length, String(before));
+    const replayed = replayJournal(compacted.events, SOURCE_ORDER);
+    assert.deepStrictEqual(toStateFiles(replayed), { processed, errors }, String(before));
+    assert.strictEqual(replayed.tweets.get('100').attempts, 2);
+  }
+});
+
+test('state-utils: 失敗から成功までの履歴を表示し、履歴から処理状況を作り直す', async (t) => {
+  const mockConfig = (mock) => ({
+    downloadSettings: {
+      maxRateLimitRetries: 0,
+      requestsPerSecond: 50,
+      maxRequestsPerSecond: 100,
+      fetchers: ['mock'],
+      fetcherOptions: { mock }
+    }
+  });
+  const ws = await createWorkspace({
+    config: mockConfig({ errors: { 100: 'HTTP 404 Not Found' } }),
+    archive: { 'like.js': [{ like: { tweetId: '100' } }, { like: { tweetId: '200' } }] }
+  });
+  t.after(() => ws.remove());
+
+  let result = await ws.run('download-tweets.js', [ws.archiveDir]);
+  assert.strictEqual(result.code, 0, result.stdout);
+
+  // エラーを消して処理結果も外し、次の実行で取り直させる
+  result = await ws.run('error-utils.js', ['retry', '100']);
+  assert.strictEqual(result.code, 0, result.stderr);
+  const store = new StateStore(ws.file('state.db'));
+  store.clearTweetStatus('100');
+  store.close();
+
+  await fs.writeJSON(ws.file('config.json'), mockConfig({ tweets: { 100: { id: '100', description: 'photo', media: [] } } }));
+  result = await ws.run('download-tweets.js', [ws.archiveDir]);
+  assert.strictEqual(result.code, 0, result.stdout);
+
+  result = await ws.run('state-utils.js', ['history', '100']);
+  assert.match(result.stdout, /処理対象になった回数: 2/);
+  const events = result.stdout.split('\n').filter(line => /^\d{4}-/.test(line)).map(line => line.split(' ')[1]);
+  assert.deepStrictEqual(events, ['sources', 'queued', 'failed', 'failed', 'cleared', 'cleared', 'queued', 'no_media']);
+  assert.match(result.stdout, /failed \(エラー: media_404, 1回目, download-tweets #1\)/);
+
+  result = await ws.run('state-utils.js', ['rebuild', '--dry-run']);
+  assert.match(result.stdout, /履歴と違うツイート: 0件/);
+  assert.match(result.stdout, /エラー統計: 一致/);
+
+  // 圧縮しても処理回数と状態は変わらない
+  result = await ws.run('state-utils.js', ['compact']);
+  assert.strictEqual(result.code, 0, result.stderr);
+  result = await ws.run('state-utils.js', ['history', '100']);
+  assert.match(result.stdout, /処理対象になった回数: 2/);
+
+  // state.db を失っても履歴から作り直せる
+  const before = await ws.readState();
+  for (const suffix of ['', '-wal', '-shm']) {
+    await fs.remove(ws.file(`state.db${suffix}`));
+  }
+  result = await ws.run('state-utils.js', ['rebuild']);
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.match(result.stdout, /履歴と違うツイート: 2件/);
+  assert.deepStrictEqual(await ws.readState(), before);
+});
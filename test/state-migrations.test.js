@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { createWorkspace } = require('./helpers/workspace');
+const { StateStore } = require('../state-store');
+
+const TWEET = { id: '100', description: 'photo tweet', author: { username: 'alice' }, media: [] };
+const LEGACY_STATUS = { status: 'successful', statusMetadata: { mediaCount: 0 }, statusUpdatedAt: '2024-01-01T00:00:00.000Z' };
+
+// 古いフォルダの形を作る
+//   100: 以前のツールの <tweetId>.json（FULL_TWEET）
+//   200: ツイートの中身が無い <tweetId>.json（STATUS_ONLY）と tweet-data.json の両方
+//   300: 今の形の tweet-data.json（LIGHT_TWEET）と schemaVersion の無いマニフェスト
+//   400: ツイートの中身が無い <tweetId>.json（STATUS_ONLY）だけ
+async function writeLegacyLayout(ws) {
+  const write = (tweetId, name, data) => fs.outputJSON(ws.file('downloads', tweetId, name), data, { spaces: 2 });
+  await write('100', '100.json', { ...TWEET, ...LEGACY_STATUS });
+  await write('200', '200.json', LEGACY_STATUS);
+  await write('200', 'tweet-data.json', { ...TWEET, id: '200' });
+  await write('300', 'tweet-data.json', { ...TWEET, id: '300' });
+  await write('300', 'media-manifest.json', { tweetId: '300', updatedAt: '2024-01-01T00:00:00.000Z', media: [] });
+  await write('400', '400.json', LEGACY_STATUS);
+  await fs.writeJSON(ws.file('media-index.json'), { blobs: {} });
+  // 先頭行の無い（バージョン 0 の）履歴
+  await fs.writeFile(ws.file('state-journal.jsonl'), JSON.stringify({ at: '2024-01-01T00:00:00.000Z', event: 'no_media', tweetId: '300' }) + '\n');
+}
+
+// フォルダ内の全ファイルの中身
+async function snapshot(ws) {
+  const files = {};
+  const walk = async (dir) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const filePath = `${dir}/${entry.name}`;
+      if (entry.isDirectory()) {
+        await walk(filePath);
+      } else {
+        files[filePath.slice(ws.dir.length + 1)] = await fs.readFile(filePath, 'utf8');
+      }
+    }
+  };
+  await walk(ws.dir);
+  return files;
+}
+
+test('state-utils migrate: --dry-run は何も変えず、実行すると古い形を今のバージョンにする', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+  await writeLegacyLayout(ws);
+
+  const before = await snapshot(ws);
+  let result = await ws.run('state-utils.js', ['migrate', '--dry-run']);
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.match(result.stdout, /downloads\/100: 100\.json を tweet-data\.json に変更/);
+  assert.match(result.stdout, /downloads\/200: 200\.json を 200\.json\.migrated に変更/);
+  assert.match(result.stdout, /FULL_TWEET: 1件/);
+  assert.match(result.stdout, /LIGHT_TWEET: 2件/);
+  assert.match(result.stdout, /STATUS_ONLY: 1件/);
+  assert.match(result.stdout, /変更予定: 12件/);
+  assert.deepStrictEqual(await snapshot(ws), before);
+
+  result = await ws.run('state-utils.js', ['migrate']);
+  assert.strictEqual(result.code, 0, result.stderr);
+
+  // 以前のツールの処理状況は消さずに legacyStatus にまとめる
+  assert.strictEqual(await fs.pathExists(ws.file('downloads', '100', '100.json')), false);
+  assert.deepStrictEqual(await ws.readJSON('downloads', '100', 'tweet-data.json'), { schemaVersion: 1, ...TWEET, legacyStatus: LEGACY_STATUS });
+  assert.deepStrictEqual(await ws.readJSON('downloads', '200', '200.json.migrated'), LEGACY_STATUS);
+  assert.strictEqual((await ws.readJSON('downloads', '200', 'tweet-data.json')).schemaVersion, 1);
+  assert.deepStrictEqual(await ws.readJSON('downloads', '400', 'tweet-data.json'), { schemaVersion: 1, legacyStatus: LEGACY_STATUS });
+  assert.strictEqual((await ws.readJSON('downloads', '300', 'media-manifest.json')).schemaVersion, 1);
+  assert.deepStrictEqual(await ws.readJSON('media-index.json'), { schemaVersion: 1, blobs: {} });
+  const journal = (await fs.readFile(ws.file('state-journal.jsonl'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(journal.map(event => event.event), ['journal', 'no_media']);
+  assert.strictEqual(await fs.pathExists(ws.file('state.lock')), false);
+
+  // 2回目は何もしない
+  const migrated = await snapshot(ws);
+  result = await ws.run('state-utils.js', ['migrate']);
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.match(result.stdout, /変更: 0件/);
+  assert.deepStrictEqual(await snapshot(ws), migrated);
+});
+
+test('state-utils migrate: 今より新しいバージョンのファイルには触れない', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+
+  const store = new StateStore(ws.file('state.db'));
+  store.close();
+  await fs.outputJSON(ws.file('downloads', '100', 'tweet-data.json'), { schemaVersion: 99, ...TWEET });
+  await fs.outputJSON(ws.file('downloads', '100', 'media-manifest.json'), { schemaVersion: 99, media: [] });
+
+  const result = await ws.run('state-utils.js', ['migrate']);
+  assert.strictEqual(result.code, 1);
+  assert.match(result.stderr, /downloads\/100: 移行できません - 新しいバージョン \(99\)/);
+  assert.strictEqual((await ws.readJSON('downloads', '100', 'tweet-data.json')).schemaVersion, 99);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { createWorkspace } = require('./helpers/workspace');
+const { StateStore } = require('../state-store');
+
+test('state-store: 初回に processed-tweets.json / error-tweets.json を取り込み、元のファイルは .migrated に残す', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+
+  const processed = {
+    successful: { 100: '2024-01-01T00:00:00.000Z' },
+    failed: { 200: '2024-01-02T00:00:00.000Z' },
+    noMedia: { 300: '2024-01-03T00:00:00.000Z' },
+    sources: { 100: ['like', 'bookmark'], 400: ['tweets'] }
+  };
+  const errors = {
+    errors: {
+      200: { type: 'media_404', timestamp: '2024-01-02T00:00:00.000Z', details: { url: 'http://example.com/a.jpg' }, retry_count: 2 }
+    },
+    statistics: { total_errors: 3, by_type: { media_404: 3 }, by_date: { '2024-01-02': 3 } }
+  };
+  await fs.writeJSON(ws.file('processed-tweets.json'), processed);
+  await fs.writeJSON(ws.file('error-tweets.json'), errors);
+
+  const store = new StateStore(ws.file('state.db'));
+  t.after(() => store.close());
+  assert.deepStrictEqual(store.exportProcessed(), processed);
+  // 統計は記録と食い違っているので、取り込んだ記録から数え直す
+  assert.deepStrictEqual(store.exportErrors(), {
+    errors: errors.errors,
+    statistics: { total_errors: 1, by_type: { media_404: 1 }, by_date: { '2024-01-02': 1 } }
+  });
+  assert.deepStrictEqual(store.countTweetsByStatus(), { successful: 1, failed: 1, noMedia: 1 });
+  assert.deepStrictEqual([...store.getProcessedIdSet()].sort(), ['100', '200', '300']);
+
+  assert.strictEqual(await fs.pathExists(ws.file('processed-tweets.json')), false);
+  assert.strictEqual(await fs.pathExists(ws.file('error-tweets.json')), false);
+  assert.deepStrictEqual(await ws.readJSON('processed-tweets.json.migrated'), processed);
+
+  // 移行後に JSON が戻ってきても二重には取り込まない
+  await fs.writeJSON(ws.file('processed-tweets.json'), { successful: { 999: '2024-01-01T00:00:00.000Z' }, failed: {}, noMedia: {} });
+  const reopened = new StateStore(ws.file('state.db'));
+  t.after(() => reopened.close());
+  assert.strictEqual(reopened.getTweetStatus('999'), null);
+  assert.strictEqual(await fs.pathExists(ws.file('processed-tweets.json')), true);
+});
+
+test('state-store: 処理結果を消しても取得元は残り、トランザクション内の例外は全て取り消す', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+  const store = new StateStore(ws.file('state.db'));
+  t.after(() => store.close());
+
+  store.mergeTweetSources(new Map([['100', new Set(['bookmark'])]]), ['like', 'bookmark', 'tweets']);
+  store.mergeTweetSources(new Map([['100', new Set(['like'])]]), ['like', 'bookmark', 'tweets']);
+  store.setTweetStatus('100', 'successful', '2024-01-01T00:00:00.000Z');
+  store.clearTweetStatus('100');
+  assert.strictEqual(store.getTweetStatus('100'), null);
+  assert.deepStrictEqual(store.getTweetSources('100'), ['like', 'bookmark']);
+
+  assert.throws(() => store.transaction(() => {
+    store.setTweetStatus('200', 'failed');
+    store.putError('200', { type: 'unknown_error', timestamp: '2024-01-01T00:00:00.000Z', details: {}, retry_count: 1 });
+    throw new Error('中断');
+  }), /中断/);
+  assert.strictEqual(store.getTweetStatus('200'), null);
+  assert.strictEqual(store.getError('200'), undefined);
+});
+
+test('state-utils: 件数・実行履歴を表示し、以前の JSON 形式で書き出す', async (t) => {
+  const ws = await createWorkspace();
+  t.after(() => ws.remove());
+
+  let result = await ws.run('state-utils.js', ['summary']);
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.match(result.stdout, /まだ処理されたツイートはありません/);
+
+  const store = new StateStore(ws.file('state.db'));
+  store.setTweetStatus('100', 'successful', '2024-01-01T00:00:00.000Z');
+  store.setTweetStatus('200', 'noMedia', '2024-01-01T00:00:00.000Z');
+  store.replaceTweetMedia('100', [
+    { index: 0, type: 'photo', filename: 'a.jpg', size: 10, sha256: 'aa', status: 'downloaded' },
+    { index: 1, type: 'photo', filename: 'b.jpg', status: 'failed', error: '404' }
+  ]);
+  const runId = store.startRun('media-check-and-download');
+  store.finishRun(runId, 'completed', { total: 1 });
+  store.close();
+
+  result = await ws.run('state-utils.js', ['summary']);
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.match(result.stdout, /成功: 1件/);
+  assert.match(result.stdout, /メディアなし: 1件/);
+  assert.match(result.stdout, /photo \/ downloaded: 1件 \(10 バイト\)/);
+
+  result = await ws.run('state-utils.js', ['runs']);
+  assert.match(result.stdout, /#1 media-check-and-download \[completed\]/);
+
+  result = await ws.run('state-utils.js', ['export']);
+  assert.strictEqual(result.code, 0, result.stderr);
+  const exported = await ws.readJSON('state-export', 'processed-tweets.json');
+  assert.strictEqual(exported.schemaVersion, 1);
+  assert.deepStrictEqual(exported.successful, { 100: '2024-01-01T00:00:00.000Z' });
+  const exportedErrors = await ws.readJSON('state-export', 'error-tweets.json');
+  assert.strictEqual(exportedErrors.schemaVersion, 1);
+  assert.deepStrictEqual(exportedErrors.errors, {});
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildImageUrl, getImageCandidates, isSizableImageUrl } = require('../twimg-url');
+
+test('twimg-url: 拡張子付き・format 指定のどちらの URL からもサイズ指定の URL を作る', () => {
+  assert.strictEqual(
+    buildImageUrl('https://pbs.twimg.com/media/AbCdEf.jpg', 'orig'),
+    'https://pbs.twimg.com/media/AbCdEf?format=jpg&name=orig'
+  );
+  assert.strictEqual(
+    buildImageUrl('https://pbs.twimg.com/media/AbCdEf?format=png&name=small', 'large'),
+    'https://pbs.twimg.com/media/AbCdEf?format=png&name=large'
+  );
+});
+
+test('twimg-url: 指定の画質から小さいサイズへ順に候補を返す', () => {
+  const candidates = getImageCandidates('https://pbs.twimg.com/media/AbCdEf.jpg', '4096x4096');
+  assert.deepStrictEqual(candidates.map(c => c.quality), ['4096x4096', 'large', 'medium']);
+  assert.strictEqual(candidates[2].url, 'https://pbs.twimg.com/media/AbCdEf?format=jpg&name=medium');
+});
+
+test('twimg-url: サイズ指定に対応していない URL はそのまま1件だけ返す', () => {
+  const url = 'https://video.twimg.com/ext_tw_video/1/pu/img/AbCdEf.jpg';
+  assert.strictEqual(isSizableImageUrl(url), false);
+  assert.deepStrictEqual(getImageCandidates(url, 'orig'), [{ quality: null, url }]);
+
+  // name= が付いていても pbs.twimg.com 以外は書き換えない
+  const other = 'https://example.com/image?format=jpg&name=small';
+  assert.strictEqual(isSizableImageUrl(other), false);
+  assert.deepStrictEqual(getImageCandidates(other, 'orig'), [{ quality: null, url: other }]);
+});
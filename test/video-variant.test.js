@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDuration, rankVariants, selectVideoVariants } = require('../video-variant');
+
+const VIDEOS = [
+  { bitrate: 256000, content_type: 'video/mp4', url: 'https://video.twimg.com/ext_tw_video/1/pu/vid/480x270/low.mp4' },
+  { bitrate: 2176000, content_type: 'video/mp4', url: 'https://video.twimg.com/ext_tw_video/1/pu/vid/1280x720/high.mp4' },
+  { content_type: 'application/x-mpegURL', url: 'https://video.twimg.com/ext_tw_video/1/pu/pl/list.m3u8' },
+  { bitrate: 832000, content_type: 'video/mp4', url: 'https://video.twimg.com/ext_tw_video/1/pu/vid/640x360/mid.mp4' }
+];
+const names = variants => variants.map(v => v.url.split('/').pop());
+const settings = overrides => ({ policy: 'highest', targetResolution: 720, maxSizeMB: 50, keepAll: false, ...overrides });
+
+test('video-variant: 選び方ごとに MP4 のバリアントを選び、HLS は MP4 が無い場合だけ使う', () => {
+  assert.deepStrictEqual(names(selectVideoVariants(VIDEOS, settings())), ['high.mp4']);
+  assert.deepStrictEqual(names(selectVideoVariants(VIDEOS, settings({ policy: 'lowest' }))), ['low.mp4']);
+  assert.deepStrictEqual(names(selectVideoVariants(VIDEOS, settings({ policy: 'resolution', targetResolution: 400 }))), ['mid.mp4']);
+  assert.deepStrictEqual(names(selectVideoVariants(VIDEOS, settings({ keepAll: true }))), ['high.mp4', 'mid.mp4', 'low.mp4']);
+  assert.deepStrictEqual(names(selectVideoVariants([VIDEOS[2]], settings())), ['list.m3u8']);
+  assert.deepStrictEqual(selectVideoVariants([], settings()), []);
+});
+
+test('video-variant: max_size は見積もりサイズが上限に収まる一番高画質なものを選ぶ', () => {
+  // 60 秒: high は約 15.6MB、mid は約 6MB、low は約 1.8MB
+  const durationMs = parseDuration('1:00');
+  assert.strictEqual(durationMs, 60000);
+  assert.deepStrictEqual(names(rankVariants(VIDEOS.slice(0, 2).concat(VIDEOS[3]), settings({ policy: 'max_size', maxSizeMB: 10 }), durationMs)), ['mid.mp4', 'low.mp4', 'high.mp4']);
+  // 収まるものが無い・長さが分からない場合は一番小さいもの
+  assert.deepStrictEqual(names(selectVideoVariants(VIDEOS, settings({ policy: 'max_size', maxSizeMB: 1 }), durationMs)), ['low.mp4']);
+  assert.deepStrictEqual(names(selectVideoVariants(VIDEOS, settings({ policy: 'max_size' }), parseDuration(undefined))), ['low.mp4']);
+  assert.strictEqual(parseDuration('15000'), 15000);
+});
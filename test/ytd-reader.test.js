@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { Readable } = require('stream');
+const { createWorkspace } = require('./helpers/workspace');
+const { ytdFile } = require('./helpers/zip');
+const { openArchive } = require('../archive-source');
+const { YTD_DATASETS, readYtdDataset, streamYtdEntries } = require('../ytd-reader');
+
+const like = (tweetId, fullText) => ({ like: { tweetId, fullText } });
+
+// text を size バイトずつのチャンクにした読み込みストリーム（マルチバイト文字の途中でも切る）
+function chunked(text, size) {
+  const buffer = Buffer.from(text, 'utf8');
+  const chunks = [];
+  for (let i = 0; i < buffer.length; i += size) {
+    chunks.push(buffer.subarray(i, i + size));
+  }
+  return Readable.from(chunks, { objectMode: false });
+}
+
+async function readEntries(text, size, options = {}) {
+  const entries = [];
+  for await (const entry of streamYtdEntries(chunked(text, size), { label: 'like.js', ...options })) {
+    entries.push(entry);
+  }
+  return entries;
+}
+
+test('ytd-reader: "window.YTD.x.partN =" がチャンクをまたいでも配列要素を読む', async () => {
+  const entries = [like('100', 'いいねした本文'), like('200', 'セミコロンで終わる;  ')];
+  const text = ytdFile('like', 0, entries);
+
+  for (const size of [1, 2, 3, 7, 16, 1024]) {
+    assert.deepStrictEqual(await readEntries(text, size), entries, `${size}バイトずつ`);
+  }
+});
+
+test('ytd-reader: 先頭の BOM と、チャンクをまたぐ末尾の ";" や空白を取り除く', async () => {
+  const entries = [like('100', 'text')];
+  const text = `\uFEFFwindow.YTD.like.part0 = ${JSON.stringify(entries)}  ;\r\n \n`;
+
+  for (const size of [1, 2, 5, 1024]) {
+    assert.deepStrictEqual(await readEntries(text, size), entries, `${size}バイトずつ`);
+  }
+  // ";" の無いファイルや空の配列も読める
+  assert.deepStrictEqual(await readEntries('window.YTD.like.part0 = []', 4), []);
+});
+
+test('ytd-reader: "=" が無い・左辺が違うファイルは形式エラーにする', async () => {
+  await assert.rejects(
+    readEntries(JSON.stringify([like('100')]), 4),
+    /期待されるフォーマットではありません: like\.js - "window\.YTD\.<name>\.partN =" が見つかりません/
+  );
+  // 上限を超えても "=" が出てこなければ、ファイル末尾まで読まずに止める
+  await assert.rejects(
+    readEntries(`[${'"x",'.repeat(200)}"x"]`, 16),
+    /"window\.YTD\.<name>\.partN =" が見つかりません/
+  );
+  await assert.rejects(
+    readEntries(`var likes = ${JSON.stringify([like('100')])};`, 8),
+    /先頭が "window\.YTD\.<name>\.partN =" ではありません \(var likes\)/
+  );
+});
+
+test('ytd-reader: 壊れた要素があればファイル名を付けたエラーにする', async () => {
+  const text = 'window.YTD.like.part0 = [\n  { "like": { "tweetId": "100" } },\n  { "like": { "tweetId": } }\n]';
+  const read = [];
+  await assert.rejects(async () => {
+    for await (const entry of streamYtdEntries(chunked(text, 8), { label: 'like.js' })) {
+      read.push(entry);
+    }
+  }, /^Error: like\.js: /);
+  // 壊れた要素の前までは読めている
+  assert.deepStrictEqual(read, [{ like: { tweetId: '100' } }]);
+});
+
+// データセットを読み、見つけた ID と警告を返す
+async function readDataset(archive, datasetName, options = {}) {
+  const ids = [];
+  const warnings = [];
+  const { idField } = YTD_DATASETS[datasetName];
+  for await (const { record, fileName, part } of readYtdDataset(archive, datasetName, { ...options, onWarning: w => warnings.push(w) })) {
+    ids.push(`${fileName}#${part}:${record[idField]}`);
+  }
+  return { ids, warnings };
+}
+
+test('readYtdDataset: ファイル名と左辺のデータセット名・パート番号が違えばエラーにする', async (t) => {
+  const ws = await createWorkspace({ archive: { 'like.js': [like('100')] } });
+  t.after(() => ws.remove());
+  await fs.writeFile(ws.file('archive', 'data', 'bookmark.js'), ytdFile('like', 0, [like('200')]));
+  await fs.writeFile(ws.file('archive', 'data', 'like-part1.js'), ytdFile('like', 2, [like('300')]));
+
+  const archive = await openArchive(ws.file('archive', 'data'));
+  t.after(() => archive.close());
+  await assert.rejects(
+    readDataset(archive, 'bookmark'),
+    /bookmark\.js - データセット名が一致しません \(期待: bookmark, 実際: like\)/
+  );
+  await assert.rejects(
+    readDataset(archive, 'like'),
+    /like-part1\.js - パート番号が一致しません \(期待: part1, 実際: part2\)/
+  );
+});
+
+test('readYtdDataset: ID を持たない要素は読み飛ばし、ファイルごとの件数を onWarning に渡す', async (t) => {
+  const ws = await createWorkspace({
+    archive: {
+      'like.js': [like('100'), { like: { fullText: 'tweetId なし' } }, { bookmark: { tweetId: '999' } }, like('200')],
+      'like-part1.js': [like('300'), null]
+    }
+  });
+  t.after(() => ws.remove());
+
+  const archive = await openArchive(ws.file('archive', 'data'));
+  t.after(() => archive.close());
+  assert.deepStrictEqual(await readDataset(archive, 'like'), {
+    ids: ['like.js#0:100', 'like.js#0:200', 'like-part1.js#1:300'],
+    warnings: [
+      'like.js: "like.tweetId" を持たない要素を2件読み飛ばしました',
+      'like-part1.js: "like.tweetId" を持たない要素を1件読み飛ばしました'
+    ]
+  });
+});
+
+test('readYtdDataset: tweets は tweet.id_str、like と bookmark は tweetId を ID として読む', async (t) => {
+  const ws = await createWorkspace({
+    archive: {
+      'tweets.js': [{ tweet: { id_str: '500', full_text: '自分のツイート' } }, { tweet: { tweetId: '501' } }],
+      'like.js': [like('100'), { like: { id_str: '101' } }],
+      'bookmark.js': [{ bookmark: { tweetId: '300' } }, { tweet: { id_str: '301' } }]
+    }
+  });
+  t.after(() => ws.remove());
+
+  const archive = await openArchive(ws.file('archive', 'data'));
+  t.after(() => archive.close());
+  assert.deepStrictEqual(await readDataset(archive, 'tweets'), {
+    ids: ['tweets.js#0:500'],
+    warnings: ['tweets.js: "tweet.id_str" を持たない要素を1件読み飛ばしました']
+  });
+  assert.deepStrictEqual(await readDataset(archive, 'like'), {
+    ids: ['like.js#0:100'],
+    warnings: ['like.js: "like.tweetId" を持たない要素を1件読み飛ばしました']
+  });
+  assert.deepStrictEqual(await readDataset(archive, 'bookmark'), {
+    ids: ['bookmark.js#0:300'],
+    warnings: ['bookmark.js: "bookmark.tweetId" を持たない要素を1件読み飛ばしました']
+  });
+
+  // 無いファイルは optional のときだけ空として扱う
+  assert.deepStrictEqual(await readDataset(archive, 'block', { optional: true }), { ids: [], warnings: [] });
+  await assert.rejects(readDataset(archive, 'block'), /block\.jsファイルが見つかりません/);
+  await assert.rejects(readYtdDataset(archive, 'unknown').next(), /未対応のYTDデータセットです/);
+});
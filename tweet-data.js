@@ -0,0 +1,98 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { checkVersion } = require('./state-file');
+
+// 各ツイートフォルダの tweet-data.json の形とバージョン
+// 古いフォルダには <tweetId>.json という名前のものや、次の形のものが混ざっている
+// （user-analysis/analyze-downloads-format.js で集計した代表的な形）
+//   FULL_TWEET  … ツイート本体に、以前のツールが付けた status / statusMetadata / statusUpdatedAt が付いたもの
+//   LIGHT_TWEET … ツイート本体だけ（TwitterDL の result と同じ形。今の download-tweets.js が書く形）
+//   STATUS_ONLY … status / statusMetadata / statusUpdatedAt だけで、ツイートの中身が無いもの
+//
+// バージョン
+//   0（schemaVersion なし）… 上のどれか。ファイル名は tweet-data.json か <tweetId>.json
+//   1 … ファイル名は tweet-data.json。先頭に schemaVersion を置き、
+//       以前のツールの status などは legacyStatus: { status, statusMetadata, statusUpdatedAt } にまとめる
+const TWEET_DATA_FILE_NAME = 'tweet-data.json';
+const TWEET_DATA_SCHEMA_VERSION = 1;
+
+const TWEET_SHAPES = {
+  FULL_TWEET: 'FULL_TWEET',
+  LIGHT_TWEET: 'LIGHT_TWEET',
+  STATUS_ONLY: 'STATUS_ONLY',
+  OTHER: 'OTHER'
+};
+
+// 以前のツールが付けていた処理状況のキー
+const LEGACY_STATUS_KEYS = ['status', 'statusMetadata', 'statusUpdatedAt'];
+
+// 古い名前（<tweetId>.json）
+function getLegacyTweetDataName(tweetId) {
+  return `${tweetId}.json`;
+}
+
+// ツイートフォルダ内の tweet-data.json（無ければ <tweetId>.json）のパス。どちらも無ければ null
+function findTweetDataPath(tweetDir, tweetId) {
+  for (const name of [TWEET_DATA_FILE_NAME, getLegacyTweetDataName(tweetId)]) {
+    const filePath = path.join(tweetDir, name);
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+  }
+  return null;
+}
+
+// 中身の形を判定する（legacyStatus にまとめた後のものはツイート本体の有無で判定する）
+function detectTweetShape(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return TWEET_SHAPES.OTHER;
+  }
+  const hasStatus = LEGACY_STATUS_KEYS.some(key => key in data) || !!data.legacyStatus;
+  const hasTweet = 'author' in data || 'description' in data || Array.isArray(data.media);
+  if (hasTweet) {
+    return hasStatus ? TWEET_SHAPES.FULL_TWEET : TWEET_SHAPES.LIGHT_TWEET;
+  }
+  return hasStatus ? TWEET_SHAPES.STATUS_ONLY : TWEET_SHAPES.OTHER;
+}
+
+// 書き込む前に付ける（download-tweets.js が使う）
+function withSchemaVersion(data) {
+  const { schemaVersion, ...rest } = data;
+  return { schemaVersion: TWEET_DATA_SCHEMA_VERSION, ...rest };
+}
+
+// 中身を今のバージョンにする
+// 戻り値: { data, changes: 変更内容の説明 }（変更が無ければ changes は空）
+// 今より新しいバージョンのものは例外
+function upgradeTweetData(data) {
+  const version = checkVersion(data.schemaVersion, TWEET_DATA_SCHEMA_VERSION, TWEET_DATA_FILE_NAME);
+  if (version === TWEET_DATA_SCHEMA_VERSION) {
+    return { data, changes: [] };
+  }
+
+  const changes = [];
+  const upgraded = { ...data };
+  const legacyKeys = LEGACY_STATUS_KEYS.filter(key => key in upgraded);
+  if (legacyKeys.length > 0) {
+    upgraded.legacyStatus = {};
+    for (const key of legacyKeys) {
+      upgraded.legacyStatus[key] = upgraded[key];
+      delete upgraded[key];
+    }
+    changes.push(`${legacyKeys.join(' / ')} を legacyStatus にまとめる (${detectTweetShape(data)})`);
+  }
+  changes.push(`schemaVersion: ${TWEET_DATA_SCHEMA_VERSION} を付ける`);
+  return { data: withSchemaVersion(upgraded), changes };
+}
+
+module.exports = {
+  LEGACY_STATUS_KEYS,
+  TWEET_DATA_FILE_NAME,
+  TWEET_DATA_SCHEMA_VERSION,
+  TWEET_SHAPES,
+  detectTweetShape,
+  findTweetDataPath,
+  getLegacyTweetDataName,
+  upgradeTweetData,
+  withSchemaVersion
+};
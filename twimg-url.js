@@ -0,0 +1,52 @@
+// pbs.twimg.com の画像 URL を扱うヘルパー
+// 画像は "https://pbs.twimg.com/media/<id>?format=jpg&name=orig" のように name= でサイズを指定できる
+// （"<id>.jpg" 形式の URL はサイズ指定なしで medium 相当が返る）
+
+// 大きい順に並べた画質（サイズ名）
+const IMAGE_QUALITIES = ['orig', '4096x4096', 'large', 'medium'];
+
+// サイズ指定の書き換えに対応しているか（pbs.twimg.com の画像だけ）
+// 他のホストの name= は意味が違うかもしれないので書き換えない
+function isSizableImageUrl(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return false;
+  }
+  return u.hostname === 'pbs.twimg.com';
+}
+
+// "<id>.jpg" / "<id>?format=jpg" のどちらの形式からも、拡張子を除いたパスと形式を取り出す
+function parseImageUrl(url) {
+  const u = new URL(url);
+  const match = u.pathname.match(/^(.*?)(?:\.([A-Za-z0-9]+))?$/);
+  return {
+    base: `${u.origin}${match[1]}`,
+    format: u.searchParams.get('format') || (match[2] ? match[2].toLowerCase() : 'jpg')
+  };
+}
+
+// 指定サイズの URL を作る
+function buildImageUrl(url, quality) {
+  const { base, format } = parseImageUrl(url);
+  return `${base}?format=${format}&name=${quality}`;
+}
+
+// 指定の画質から順に、小さいサイズへフォールバックする候補の一覧
+// 戻り値の各要素は { quality, url }。書き換えできない URL は { quality: null, url } の1件だけ
+function getImageCandidates(url, quality = IMAGE_QUALITIES[0]) {
+  if (!isSizableImageUrl(url)) {
+    return [{ quality: null, url }];
+  }
+  const start = Math.max(0, IMAGE_QUALITIES.indexOf(quality));
+  return IMAGE_QUALITIES.slice(start).map(q => ({ quality: q, url: buildImageUrl(url, q) }));
+}
+
+module.exports = {
+  IMAGE_QUALITIES,
+  buildImageUrl,
+  getImageCandidates,
+  isSizableImageUrl,
+  parseImageUrl
+};
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { findTweetDataPath } = require('../tweet-data');
 
 // 処理対象ディレクトリ
 const DOWNLOADS_DIR = path.join(__dirname, '../downloads');
@@ -11,7 +12,7 @@ if (!fs.existsSync(DOWNLOADS_DIR)) {
 
 // 統計用カウンタ
 let totalDirs = 0;              // downloads 配下のディレクトリ数
-let totalJsonFiles = 0;         // JSON ファイルが存在した件数（tweetId/tweetId.json）
+let totalJsonFiles = 0;         // JSON ファイルが存在した件数（tweetId/tweet-data.json か tweetId/tweetId.json）
 let totalParsed = 0;            // JSON パース成功件数
 let totalParseError = 0;        // JSON パースエラー件数
 let totalMissingJson = 0;       // JSON が存在しないディレクトリ数
@@ -81,9 +82,9 @@ totalDirs = tweetDirs.length;
 console.log('[analyze-downloads-format] ディレクトリ数 (ツイート候補):', totalDirs);
 
 for (const tweetId of tweetDirs) {
-  const jsonPath = path.join(DOWNLOADS_DIR, tweetId, tweetId + '.json');
+  const jsonPath = findTweetDataPath(path.join(DOWNLOADS_DIR, tweetId), tweetId);
 
-  if (!fs.existsSync(jsonPath)) {
+  if (!jsonPath) {
     totalMissingJson += 1;
     continue;
   }
@@ -105,8 +106,10 @@ for (const tweetId of tweetDirs) {
   }
 
   // トップレベルのキー構成で簡易分類
+  // state-utils.js migrate 後のものは schemaVersion を除き、legacyStatus を元の位置に戻して比べる
   if (data && typeof data === 'object' && !Array.isArray(data)) {
-    const keys = Object.keys(data).sort();
+    const { schemaVersion, legacyStatus, ...rest } = data;
+    const keys = Object.keys({ ...rest, ...legacyStatus }).sort();
     const shapeKey = keys.join(',');
 
     // 代表的な 3 パターンは専用カウンタへ
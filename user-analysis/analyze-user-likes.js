@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { findTweetDataPath } = require('../tweet-data');
 
 // 処理対象ディレクトリ
 const DOWNLOADS_DIR = path.join(__dirname, '../downloads');
@@ -10,7 +11,7 @@ const userData = {};
 
 // 動的解析用のカウンタ
 let totalDirs = 0;          // downloads 配下のディレクトリ数
-let totalJsonFound = 0;     // .json ファイルが存在した件数
+let totalJsonFound = 0;     // tweet-data.json（または {TweetID}.json）が存在した件数
 let totalParsed = 0;        // JSON パースに成功した件数
 let totalAuthorFound = 0;   // author.username が存在した件数
 let totalAuthorMissing = 0; // author または username が無かった件数
@@ -25,8 +26,9 @@ totalDirs = tweetDirs.length;
 console.log('[analyze-user-likes] ディレクトリ数 (ツイート候補数):', totalDirs);
 
 for (const tweetId of tweetDirs) {
-  const jsonPath = path.join(DOWNLOADS_DIR, tweetId, tweetId + '.json');
-  if (!fs.existsSync(jsonPath)) {
+  // tweet-data.json（移行前の古いフォルダでは {TweetID}.json）
+  const jsonPath = findTweetDataPath(path.join(DOWNLOADS_DIR, tweetId), tweetId);
+  if (!jsonPath) {
     // JSON が存在しないツイート ID
     console.log('[analyze-user-likes] JSON 不存在のためスキップ:', tweetId);
     continue;
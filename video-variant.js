@@ -0,0 +1,93 @@
+// 動画のバリアント（画質違いの MP4 や HLS のレンディション）から保存するものを選ぶヘルパー
+const { isHlsVariant } = require('./hls-playlist');
+
+// 選び方
+//   highest    … ビットレートが一番高いもの
+//   lowest     … ビットレートが一番低いもの
+//   resolution … 短い辺のピクセル数が targetResolution に一番近いもの（同じならビットレートが高い方）
+//   max_size   … ビットレートと長さから見積もったサイズが maxSizeMB 以下で一番高画質なもの
+//                （収まるものが無い・長さが分からない場合は一番低いもの）
+const VIDEO_POLICIES = ['highest', 'lowest', 'resolution', 'max_size'];
+
+// "1280x720" 形式の解像度を resolution / quality（twitter-downloader）/ URL（.../vid/1280x720/...）から取り出す
+function getVariantResolution(variant) {
+  const source = variant.resolution || variant.quality || variant.url || '';
+  const match = /(\d{2,5})x(\d{2,5})/.exec(source);
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+}
+
+// 動画の長さをミリ秒にする（アーカイブは "12345" のようなミリ秒、twitter-downloader は "1:05" 形式）
+function parseDuration(duration) {
+  if (duration === undefined || duration === null || duration === '') return null;
+  const text = String(duration);
+  const match = /^(\d+):(\d{1,2})$/.exec(text);
+  if (match) {
+    return (Number(match[1]) * 60 + Number(match[2])) * 1000;
+  }
+  const millis = Number(text);
+  return Number.isFinite(millis) && millis > 0 ? millis : null;
+}
+
+// ビットレートと長さから見積もったファイルサイズ（バイト）。分からなければ null
+function estimateSize(variant, durationMs) {
+  if (!durationMs || !variant.bitrate) return null;
+  return Math.round(variant.bitrate * durationMs / 8000);
+}
+
+function pixelCount(variant) {
+  const resolution = getVariantResolution(variant);
+  return resolution ? resolution.width * resolution.height : 0;
+}
+
+const byHighest = (a, b) => (b.bitrate || 0) - (a.bitrate || 0) || pixelCount(b) - pixelCount(a);
+const byLowest = (a, b) => byHighest(b, a);
+
+// バリアントを選び方の優先順に並べる（先頭が選ばれるもの）
+// settings: { policy, targetResolution, maxSizeMB }
+function rankVariants(variants, settings, durationMs = null) {
+  const sorted = variants.slice();
+  switch (settings.policy) {
+    case 'lowest':
+      return sorted.sort(byLowest);
+    case 'resolution': {
+      const distance = (variant) => {
+        const resolution = getVariantResolution(variant);
+        return resolution
+          ? Math.abs(Math.min(resolution.width, resolution.height) - settings.targetResolution)
+          : Infinity;
+      };
+      return sorted.sort((a, b) => distance(a) - distance(b) || byHighest(a, b));
+    }
+    case 'max_size': {
+      const budget = settings.maxSizeMB * 1024 * 1024;
+      const fits = (variant) => {
+        const size = estimateSize(variant, durationMs);
+        return size !== null && size <= budget;
+      };
+      return sorted.filter(fits).sort(byHighest).concat(sorted.filter(v => !fits(v)).sort(byLowest));
+    }
+    case 'highest':
+    default:
+      return sorted.sort(byHighest);
+  }
+}
+
+// ツイートの動画の videos から保存するバリアントを選ぶ（先頭が選び方で選ばれたもの）
+// MP4 があれば MP4 から選び、HLS（m3u8）は MP4 が無い場合だけ使う
+// settings.keepAll が true なら全てのバリアントを優先順に返す
+function selectVideoVariants(videos, settings, durationMs = null) {
+  const available = (videos || []).filter(video => video && video.url);
+  const progressive = available.filter(video => !isHlsVariant(video));
+  const candidates = progressive.length > 0 ? progressive : available;
+  const ranked = rankVariants(candidates, settings, durationMs);
+  return settings.keepAll ? ranked : ranked.slice(0, 1);
+}
+
+module.exports = {
+  VIDEO_POLICIES,
+  estimateSize,
+  getVariantResolution,
+  parseDuration,
+  rankVariants,
+  selectVideoVariants
+};
@@ -0,0 +1,191 @@
+const fs = require('fs-extra');
+const { Transform } = require('stream');
+const { chain } = require('stream-chain');
+const { parser } = require('stream-json');
+const { streamArray } = require('stream-json/streamers/StreamArray');
+
+// "window.YTD.like.part0 = " のような代入式の左辺
+const YTD_PREFIX_PATTERN = /^\s*window\.YTD\.([A-Za-z0-9_]+)\.part(\d+)\s*$/;
+
+// 代入式の左辺を読み飛ばす上限（これを超えても "=" が無ければ形式エラー）
+const MAX_PREFIX_LENGTH = 256;
+
+// アーカイブに含まれる YTD データセットの定義
+// file: data フォルダ内のファイル名（拡張子・パート番号なし。YTD の変数名も同じ）
+// key: 配列要素のラッパーキー（例: { "like": { ... } } の "like"）
+// idField: 要素を識別するフィールド（これが無い要素は不正として読み飛ばす）
+const YTD_DATASETS = {
+  like: { file: 'like', key: 'like', idField: 'tweetId' },
+  bookmark: { file: 'bookmark', key: 'bookmark', idField: 'tweetId' },
+  tweets: { file: 'tweets', key: 'tweet', idField: 'id_str' },
+  following: { file: 'following', key: 'following', idField: 'accountId' },
+  follower: { file: 'follower', key: 'follower', idField: 'accountId' },
+  block: { file: 'block', key: 'blocking', idField: 'accountId' },
+  mute: { file: 'mute', key: 'muting', idField: 'accountId' },
+  account: { file: 'account', key: 'account', idField: 'accountId' }
+};
+
+// YTD 形式のファイル先頭にある "window.YTD.<name>.partN =" と末尾の ";" を取り除き、
+// 純粋な JSON 配列だけを後段のパーサーへ流すストリーム
+// expectedName / expectedPart を指定すると、左辺の変数名・パート番号も検証する
+class YtdPrefixStripper extends Transform {
+  constructor({ expectedName = null, expectedPart = null, label = 'YTDファイル' } = {}) {
+    super({ decodeStrings: false, encoding: 'utf8' });
+    this.expectedName = expectedName;
+    this.expectedPart = expectedPart;
+    this.label = label;
+    this.prefixDone = false;
+    this.prefixBuffer = '';
+    // チャンク末尾の空白やセミコロンは、ファイル末尾かどうか分かるまで保留する
+    this.pending = '';
+    this.header = null;
+  }
+
+  _transform(chunk, encoding, callback) {
+    let text = typeof chunk === 'string' ? chunk : chunk.toString('utf8');
+
+    if (!this.prefixDone) {
+      this.prefixBuffer += text;
+      const eqIndex = this.prefixBuffer.indexOf('=');
+      if (eqIndex === -1) {
+        if (this.prefixBuffer.length > MAX_PREFIX_LENGTH) {
+          return callback(this.formatError('"window.YTD.<name>.partN =" が見つかりません'));
+        }
+        return callback();
+      }
+
+      const left = this.prefixBuffer.slice(0, eqIndex).replace(/^\uFEFF/, '');
+      const match = left.match(YTD_PREFIX_PATTERN);
+      if (!match) {
+        return callback(this.formatError(`先頭が "window.YTD.<name>.partN =" ではありません (${left.trim().slice(0, 60)})`));
+      }
+      this.header = { name: match[1], part: Number(match[2]) };
+
+      if (this.expectedName && this.header.name !== this.expectedName) {
+        return callback(this.formatError(`データセット名が一致しません (期待: ${this.expectedName}, 実際: ${this.header.name})`));
+      }
+      if (this.expectedPart !== null && this.header.part !== this.expectedPart) {
+        return callback(this.formatError(`パート番号が一致しません (期待: part${this.expectedPart}, 実際: part${this.header.part})`));
+      }
+      this.emit('header', this.header);
+
+      text = this.prefixBuffer.slice(eqIndex + 1);
+      this.prefixBuffer = '';
+      this.prefixDone = true;
+    }
+
+    text = this.pending + text;
+    const tail = text.match(/[\s;]*$/)[0];
+    this.pending = tail;
+    const body = text.slice(0, text.length - tail.length);
+    if (body) {
+      this.push(body);
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    if (!this.prefixDone) {
+      return callback(this.formatError('"window.YTD.<name>.partN =" が見つかりません'));
+    }
+    // ファイル末尾の空白と ";" は捨てる
+    callback();
+  }
+
+  formatError(reason) {
+    return new Error(`期待されるフォーマットではありません: ${this.label} - ${reason}`);
+  }
+}
+
+// YTD 形式のファイル（パスまたは読み込みストリーム）から配列要素を1件ずつ取り出す
+// ファイル全体をメモリに載せないため、巨大なアーカイブでもメモリ使用量は一定
+async function* streamYtdEntries(source, options = {}) {
+  const input = typeof source === 'string' ? fs.createReadStream(source) : source;
+  input.setEncoding('utf8');
+  const label = options.label || (typeof source === 'string' ? source : undefined);
+  const pipeline = chain([
+    input,
+    new YtdPrefixStripper({ ...options, label }),
+    parser(),
+    streamArray()
+  ]);
+
+  try {
+    for await (const { value } of pipeline) {
+      yield value;
+    }
+  } catch (error) {
+    // stream-json のエラーにはファイル名が含まれないので補う
+    if (label && !error.message.includes(label)) {
+      error.message = `${label}: ${error.message}`;
+    }
+    throw error;
+  }
+}
+
+// アーカイブ内の YTD パートファイル（like.js, like-part1.js, like-part2.js, ...）を
+// パート番号順に列挙する。archive は archive-source.js の openArchive() の戻り値
+async function findYtdPartFiles(archive, name) {
+  const pattern = new RegExp(`^${name}(?:-part(\\d+))?\\.js$`);
+  const entries = await archive.list();
+
+  return entries
+    .map(entry => {
+      const match = entry.match(pattern);
+      if (!match) return null;
+      return {
+        name: entry,
+        part: match[1] ? Number(match[1]) : 0
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.part - b.part);
+}
+
+// データセットの全パートを順に読み、要素の中身（{ like: {...} } なら {...}）を1件ずつ返す
+// 戻り値の各要素は { record, fileName, part }
+// options.optional: ファイルが無くてもエラーにしない
+// options.onWarning: 不正な要素を読み飛ばしたときの通知先（デフォルトは console.warn）
+async function* readYtdDataset(archive, datasetName, options = {}) {
+  const dataset = YTD_DATASETS[datasetName];
+  if (!dataset) {
+    throw new Error(`未対応のYTDデータセットです: ${datasetName} (対応: ${Object.keys(YTD_DATASETS).join(', ')})`);
+  }
+  const onWarning = options.onWarning || (message => console.warn(message));
+
+  const partFiles = await findYtdPartFiles(archive, dataset.file);
+  if (partFiles.length === 0) {
+    if (options.optional) return;
+    throw new Error(`${dataset.file}.jsファイルが見つかりません: ${archive.description}`);
+  }
+
+  for (const { name: fileName, part } of partFiles) {
+    let invalid = 0;
+    const entries = streamYtdEntries(archive.createReadStream(fileName), {
+      expectedName: dataset.file,
+      expectedPart: part,
+      label: fileName
+    });
+
+    for await (const entry of entries) {
+      const record = entry && entry[dataset.key];
+      if (!record || typeof record !== 'object' || !record[dataset.idField]) {
+        invalid++;
+        continue;
+      }
+      yield { record, fileName, part };
+    }
+
+    if (invalid > 0) {
+      onWarning(`${fileName}: "${dataset.key}.${dataset.idField}" を持たない要素を${invalid}件読み飛ばしました`);
+    }
+  }
+}
+
+module.exports = {
+  YTD_DATASETS,
+  YtdPrefixStripper,
+  findYtdPartFiles,
+  readYtdDataset,
+  streamYtdEntries
+};